@@ -0,0 +1,216 @@
+// migracoes.js - Migrações versionadas do banco de dados
+//
+// Cada arquivo em migracoes/ se chama NNN_descricao.js e exporta up(db, callback) e, quando a
+// migração pode ser desfeita, down(db, callback). As versões aplicadas ficam em schema_migrations
+// e o servidor não atende enquanto houver migração pendente.
+//
+// Uso: node migracoes.js [aplicar | status | reverter [quantidade]]
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'demandas.db');
+const MIGRACOES_DIR = path.join(__dirname, 'migracoes');
+
+// Migrações disponíveis, em ordem de versão
+function carregarMigracoes() {
+    const migracoes = fs.readdirSync(MIGRACOES_DIR)
+        .filter(arquivo => /^\d{3}_[\w-]+\.js$/.test(arquivo))
+        .sort()
+        .map(arquivo => {
+            const { up, down } = require(path.join(MIGRACOES_DIR, arquivo));
+            return { versao: parseInt(arquivo, 10), nome: arquivo.replace(/\.js$/, ''), up, down };
+        });
+
+    migracoes.forEach((migracao, indice) => {
+        if (indice > 0 && migracao.versao === migracoes[indice - 1].versao) {
+            throw new Error(`Há duas migrações com a versão ${migracao.versao}`);
+        }
+        if (typeof migracao.up !== 'function') {
+            throw new Error(`A migração ${migracao.nome} não exporta up(db, callback)`);
+        }
+    });
+
+    return migracoes;
+}
+
+function criarTabelaMigracoes(db, callback) {
+    db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+    versao INTEGER PRIMARY KEY,
+    nome TEXT NOT NULL,
+    aplicadaEm TEXT NOT NULL
+    )
+    `, callback);
+}
+
+// { aplicadas, pendentes, desconhecidas }: desconhecidas são versões gravadas no banco sem arquivo correspondente
+// (banco migrado por uma versão mais nova do sistema)
+function situacaoMigracoes(db, callback) {
+    let migracoes;
+    try {
+        migracoes = carregarMigracoes();
+    } catch (err) {
+        return callback(err);
+    }
+
+    db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'", [], (err, tabela) => {
+        if (err) return callback(err);
+
+        const consultar = tabela
+            ? cb => db.all('SELECT versao, nome, aplicadaEm FROM schema_migrations ORDER BY versao', [], cb)
+            : cb => cb(null, []);
+
+        consultar((err, aplicadas) => {
+            if (err) return callback(err);
+
+            const versoesAplicadas = new Set(aplicadas.map(m => m.versao));
+            const versoesConhecidas = new Set(migracoes.map(m => m.versao));
+
+            callback(null, {
+                migracoes,
+                aplicadas,
+                pendentes: migracoes.filter(m => !versoesAplicadas.has(m.versao)),
+                desconhecidas: aplicadas.filter(m => !versoesConhecidas.has(m.versao))
+            });
+        });
+    });
+}
+
+// Cada migração roda numa transação junto com o seu registro em schema_migrations: ou entra inteira, ou não entra
+function executarEmTransacao(db, etapa, callback) {
+    db.run('BEGIN IMMEDIATE', (err) => {
+        if (err) return callback(err);
+
+        etapa((err) => {
+            if (err) return db.run('ROLLBACK', () => callback(err));
+            db.run('COMMIT', callback);
+        });
+    });
+}
+
+function aplicarMigracoes(db, callback) {
+    criarTabelaMigracoes(db, (err) => {
+        if (err) return callback(err);
+
+        situacaoMigracoes(db, (err, situacao) => {
+            if (err) return callback(err);
+
+            if (situacao.desconhecidas.length > 0) {
+                return callback(new Error(`O banco tem migrações que este código não conhece: ${situacao.desconhecidas.map(m => m.nome).join(', ')}`));
+            }
+
+            const aplicadas = [];
+            const proxima = (indice) => {
+                if (indice === situacao.pendentes.length) return callback(null, aplicadas);
+
+                const migracao = situacao.pendentes[indice];
+                executarEmTransacao(db, (concluir) => {
+                    migracao.up(db, (err) => {
+                        if (err) return concluir(err);
+                        db.run('INSERT INTO schema_migrations (versao, nome, aplicadaEm) VALUES (?, ?, ?)',
+                            [migracao.versao, migracao.nome, new Date().toISOString()], concluir);
+                    });
+                }, (err) => {
+                    if (err) return callback(new Error(`Falha na migração ${migracao.nome}: ${err.message}`), aplicadas);
+
+                    aplicadas.push(migracao);
+                    proxima(indice + 1);
+                });
+            };
+
+            proxima(0);
+        });
+    });
+}
+
+// Desfazer as últimas `quantidade` migrações aplicadas, da mais recente para a mais antiga
+function reverterMigracoes(db, quantidade, callback) {
+    situacaoMigracoes(db, (err, situacao) => {
+        if (err) return callback(err);
+
+        const porVersao = new Map(situacao.migracoes.map(m => [m.versao, m]));
+        const alvo = situacao.aplicadas.slice(-quantidade).reverse();
+
+        for (const aplicada of alvo) {
+            const migracao = porVersao.get(aplicada.versao);
+            if (!migracao) return callback(new Error(`O arquivo da migração ${aplicada.nome} não foi encontrado`));
+            if (typeof migracao.down !== 'function') return callback(new Error(`A migração ${aplicada.nome} não pode ser revertida`));
+        }
+
+        const revertidas = [];
+        const proxima = (indice) => {
+            if (indice === alvo.length) return callback(null, revertidas);
+
+            const migracao = porVersao.get(alvo[indice].versao);
+            executarEmTransacao(db, (concluir) => {
+                migracao.down(db, (err) => {
+                    if (err) return concluir(err);
+                    db.run('DELETE FROM schema_migrations WHERE versao = ?', [migracao.versao], concluir);
+                });
+            }, (err) => {
+                if (err) return callback(new Error(`Falha ao reverter ${migracao.nome}: ${err.message}`), revertidas);
+
+                revertidas.push(migracao);
+                proxima(indice + 1);
+            });
+        };
+
+        proxima(0);
+    });
+}
+
+module.exports = { DB_FILE, situacaoMigracoes, aplicarMigracoes, reverterMigracoes };
+
+// ========== LINHA DE COMANDO ==========
+
+if (require.main === module) {
+    const [comando = 'status', argumento] = process.argv.slice(2);
+
+    const finalizar = (db, err) => {
+        db.close(() => {
+            if (err) {
+                console.error(`❌ ${err.message}`);
+                process.exit(1);
+            }
+        });
+    };
+
+    const db = new sqlite3.Database(DB_FILE, (err) => {
+        if (err) {
+            console.error('❌ Erro ao abrir o banco de dados:', err.message);
+            process.exit(1);
+        }
+    });
+    db.configure('busyTimeout', 30000);
+
+    if (comando === 'aplicar') {
+        aplicarMigracoes(db, (err, aplicadas = []) => {
+            aplicadas.forEach(m => console.log(`✅ Migração ${m.nome} aplicada`));
+            if (!err && aplicadas.length === 0) console.log('✅ Nenhuma migração pendente');
+            finalizar(db, err);
+        });
+    } else if (comando === 'status') {
+        situacaoMigracoes(db, (err, situacao) => {
+            if (err) return finalizar(db, err);
+
+            console.log(`Banco: ${DB_FILE}`);
+            situacao.aplicadas.forEach(m => console.log(`  ✅ ${m.nome} (aplicada em ${m.aplicadaEm})`));
+            situacao.pendentes.forEach(m => console.log(`  ⏳ ${m.nome} (pendente)`));
+            situacao.desconhecidas.forEach(m => console.log(`  ⚠️ ${m.nome} (aplicada, mas sem arquivo neste código)`));
+            finalizar(db);
+        });
+    } else if (comando === 'reverter') {
+        const quantidade = argumento === undefined ? 1 : parseInt(argumento, 10);
+        if (!Number.isInteger(quantidade) || quantidade < 1) {
+            finalizar(db, new Error('Informe quantas migrações reverter (um número maior que zero)'));
+        } else {
+            reverterMigracoes(db, quantidade, (err, revertidas = []) => {
+                revertidas.forEach(m => console.log(`↩️ Migração ${m.nome} revertida`));
+                finalizar(db, err);
+            });
+        }
+    } else {
+        finalizar(db, new Error(`Comando desconhecido: ${comando}. Use aplicar, status ou reverter [quantidade].`));
+    }
+}
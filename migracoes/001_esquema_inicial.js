@@ -0,0 +1,261 @@
+// Esquema existente antes das migrações versionadas. Bancos criados pelas versões anteriores do
+// servidor já têm boa parte dele, por isso tudo aqui é idempotente (IF NOT EXISTS e colunas conferidas).
+
+// Colunas acrescentadas depois da criação das tabelas: bancos antigos podem não tê-las
+const COLUNAS_POSTERIORES = {
+    demandas: {
+        comentariosUsuarios: "TEXT DEFAULT '[]'",
+        rotinaPaiId: 'INTEGER',
+        rotinaStatus: 'TEXT',
+        rotinaFim: 'TEXT'
+    },
+    usuarios: {
+        ativo: 'INTEGER DEFAULT 1',
+        local: 'TEXT',
+        dataCriacao: 'TEXT',
+        deveTrocarSenha: 'INTEGER DEFAULT 0'
+    },
+    anotacoes: {
+        idLocal: 'TEXT'
+    }
+};
+
+const TABELAS = `
+CREATE TABLE IF NOT EXISTS demandas (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+funcionarioId INTEGER NOT NULL,
+nomeFuncionario TEXT NOT NULL,
+emailFuncionario TEXT NOT NULL,
+categoria TEXT NOT NULL,
+prioridade TEXT NOT NULL,
+complexidade TEXT NOT NULL,
+descricao TEXT NOT NULL,
+local TEXT NOT NULL,
+dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+dataLimite TEXT NOT NULL,
+status TEXT NOT NULL DEFAULT 'pendente',
+isRotina INTEGER DEFAULT 0,
+diasSemana TEXT,
+tag TEXT UNIQUE,
+comentarios TEXT DEFAULT '',
+comentarioGestor TEXT DEFAULT '',
+dataConclusao TEXT,
+atribuidos TEXT DEFAULT '[]',
+anexosCriacao TEXT DEFAULT '[]',
+anexosResolucao TEXT DEFAULT '[]',
+comentarioReprovacaoAtribuicao TEXT DEFAULT '',
+nomeDemanda TEXT,
+dataAtualizacao TEXT DEFAULT CURRENT_TIMESTAMP,
+criadoPor INTEGER,
+atualizadoPor INTEGER,
+comentariosUsuarios TEXT DEFAULT '[]',
+rotinaPaiId INTEGER,
+rotinaStatus TEXT,
+rotinaFim TEXT
+);
+
+CREATE TABLE IF NOT EXISTS usuarios (
+id INTEGER PRIMARY KEY,
+nome TEXT UNIQUE,
+email TEXT UNIQUE,
+senha TEXT,
+nivel TEXT,
+pontos INTEGER DEFAULT 0,
+conquistas TEXT DEFAULT '[]',
+role TEXT DEFAULT 'funcionario',
+ativo INTEGER DEFAULT 1,
+local TEXT,
+dataCriacao TEXT,
+deveTrocarSenha INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS auditoria (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+acao TEXT NOT NULL,
+tabela TEXT NOT NULL,
+registroId INTEGER NOT NULL,
+dadosAntigos TEXT,
+dadosNovos TEXT,
+usuarioId INTEGER,
+dataHora TEXT DEFAULT CURRENT_TIMESTAMP,
+ip TEXT
+);
+
+CREATE TABLE IF NOT EXISTS feedbacks (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+funcionarioId INTEGER,
+gestorId INTEGER,
+tipo TEXT,
+mensagem TEXT,
+dataCriacao TEXT
+);
+
+CREATE TABLE IF NOT EXISTS anotacoes (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+titulo TEXT NOT NULL,
+conteudo TEXT NOT NULL,
+cor TEXT DEFAULT '#3498db',
+dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+criadoPor INTEGER NOT NULL,
+atribuidoA INTEGER,
+audioData TEXT,
+atualizadoEm TEXT DEFAULT CURRENT_TIMESTAMP,
+idLocal TEXT
+);
+
+CREATE TABLE IF NOT EXISTS anotacoes_demandas (
+anotacaoId INTEGER NOT NULL,
+demandaId INTEGER NOT NULL,
+PRIMARY KEY (anotacaoId, demandaId)
+);
+
+CREATE TABLE IF NOT EXISTS solicitacoes_cadastro (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+nome TEXT NOT NULL,
+email TEXT NOT NULL,
+senha TEXT NOT NULL,
+role TEXT DEFAULT 'funcionario',
+local TEXT,
+status TEXT NOT NULL DEFAULT 'pendente',
+dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+analisadoPor INTEGER,
+dataAnalise TEXT,
+usuarioId INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS tokens_redefinicao_senha (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+usuarioId INTEGER NOT NULL,
+tokenHash TEXT NOT NULL UNIQUE,
+expiraEm TEXT NOT NULL,
+usadoEm TEXT,
+dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ip TEXT,
+FOREIGN KEY (usuarioId) REFERENCES usuarios(id)
+);
+
+CREATE TABLE IF NOT EXISTS notificacoes (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+usuarioId INTEGER NOT NULL,
+tipo TEXT NOT NULL DEFAULT 'info',
+titulo TEXT NOT NULL,
+mensagem TEXT NOT NULL,
+demandaId INTEGER,
+tag TEXT,
+chave TEXT,
+prioridade INTEGER DEFAULT 0,
+lida INTEGER DEFAULT 0,
+dataLeitura TEXT,
+dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (usuarioId) REFERENCES usuarios(id),
+UNIQUE (usuarioId, chave)
+);
+
+CREATE TABLE IF NOT EXISTS modelos_email (
+tipo TEXT PRIMARY KEY,
+descricao TEXT,
+assunto TEXT NOT NULL,
+corpo TEXT NOT NULL,
+dataAtualizacao TEXT,
+atualizadoPor INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS emails_saida (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+tipo TEXT NOT NULL,
+para TEXT NOT NULL,
+cc TEXT,
+assunto TEXT NOT NULL,
+corpo TEXT NOT NULL,
+demandaId INTEGER,
+status TEXT NOT NULL DEFAULT 'pendente',
+tentativas INTEGER DEFAULT 0,
+ultimoErro TEXT,
+proximaTentativa TEXT,
+criadoPor INTEGER,
+dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+dataEnvio TEXT
+);
+
+CREATE TABLE IF NOT EXISTS feriados (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+data TEXT NOT NULL,
+descricao TEXT NOT NULL,
+local TEXT,
+anual INTEGER DEFAULT 0,
+criadoPor INTEGER,
+dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mindmap_layouts (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+usuarioId INTEGER NOT NULL,
+nome TEXT NOT NULL DEFAULT '',
+compartilhado INTEGER DEFAULT 0,
+dados TEXT NOT NULL,
+atualizadoEm TEXT NOT NULL,
+UNIQUE(usuarioId, nome)
+);
+
+CREATE TABLE IF NOT EXISTS regras_conquistas (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+codigo TEXT NOT NULL UNIQUE,
+nome TEXT NOT NULL,
+descricao TEXT,
+icone TEXT,
+tipo TEXT NOT NULL,
+meta INTEGER NOT NULL,
+ativa INTEGER DEFAULT 1
+);
+`;
+
+const INDICES = `
+CREATE INDEX IF NOT EXISTS idx_status ON demandas(status);
+CREATE INDEX IF NOT EXISTS idx_funcionarioId ON demandas(funcionarioId);
+CREATE INDEX IF NOT EXISTS idx_dataLimite ON demandas(dataLimite);
+CREATE INDEX IF NOT EXISTS idx_tag ON demandas(tag);
+CREATE INDEX IF NOT EXISTS idx_categoria ON demandas(categoria);
+CREATE INDEX IF NOT EXISTS idx_prioridade ON demandas(prioridade);
+CREATE INDEX IF NOT EXISTS idx_dataCriacao ON demandas(dataCriacao);
+CREATE INDEX IF NOT EXISTS idx_rotinaPaiId ON demandas(rotinaPaiId);
+CREATE INDEX IF NOT EXISTS idx_dataAtualizacao ON demandas(dataAtualizacao);
+CREATE INDEX IF NOT EXISTS idx_dataConclusao ON demandas(dataConclusao);
+CREATE INDEX IF NOT EXISTS idx_local ON demandas(local);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_anotacoes_idLocal ON anotacoes(criadoPor, idLocal);
+CREATE INDEX IF NOT EXISTS idx_anotacoes_demandas_demanda ON anotacoes_demandas(demandaId);
+CREATE INDEX IF NOT EXISTS idx_notificacoes_usuario ON notificacoes(usuarioId, lida);
+CREATE INDEX IF NOT EXISTS idx_emails_saida_status ON emails_saida(status, proximaTentativa);
+`;
+
+function adicionarColunasFaltantes(db, tabelas, callback) {
+    const [tabela, ...restantes] = tabelas;
+    if (!tabela) return callback();
+
+    db.all(`PRAGMA table_info(${tabela})`, [], (err, colunas) => {
+        if (err) return callback(err);
+
+        const faltantes = Object.entries(COLUNAS_POSTERIORES[tabela])
+            .filter(([nome]) => !colunas.some(col => col.name === nome))
+            .map(([nome, tipo]) => `ALTER TABLE ${tabela} ADD COLUMN ${nome} ${tipo};`);
+
+        if (faltantes.length === 0) return adicionarColunasFaltantes(db, restantes, callback);
+
+        db.exec(faltantes.join('\n'), (err) => {
+            if (err) return callback(err);
+            adicionarColunasFaltantes(db, restantes, callback);
+        });
+    });
+}
+
+exports.up = (db, callback) => {
+    db.exec(TABELAS, (err) => {
+        if (err) return callback(err);
+
+        adicionarColunasFaltantes(db, Object.keys(COLUNAS_POSTERIORES), (err) => {
+            if (err) return callback(err);
+            db.exec(INDICES, callback);
+        });
+    });
+};
+
+// Sem down: desfazer o esquema inicial apagaria todos os dados
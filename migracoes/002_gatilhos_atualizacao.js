@@ -0,0 +1,25 @@
+// Manter dataAtualizacao (ISO, em UTC) em toda escrita na tabela demandas: a sincronização incremental
+// (?updatedSince=) e o ETag da listagem dependem dela, inclusive nas escritas que não a informam
+
+exports.up = (db, callback) => {
+    db.exec(`
+    CREATE TRIGGER IF NOT EXISTS demandas_atualizacao_insert AFTER INSERT ON demandas BEGIN
+    UPDATE demandas SET dataAtualizacao = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS demandas_atualizacao_update AFTER UPDATE ON demandas
+    WHEN NEW.dataAtualizacao IS OLD.dataAtualizacao BEGIN
+    UPDATE demandas SET dataAtualizacao = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+    END;
+
+    UPDATE demandas SET dataAtualizacao = strftime('%Y-%m-%dT%H:%M:%fZ', COALESCE(dataAtualizacao, dataCriacao, 'now'))
+    WHERE dataAtualizacao IS NULL OR dataAtualizacao NOT LIKE '____-__-__T__:__:__.___Z';
+    `, callback);
+};
+
+exports.down = (db, callback) => {
+    db.exec(`
+    DROP TRIGGER IF EXISTS demandas_atualizacao_insert;
+    DROP TRIGGER IF EXISTS demandas_atualizacao_update;
+    `, callback);
+};
@@ -0,0 +1,46 @@
+// Índice de texto completo (FTS5) das demandas, mantido pelos triggers em toda escrita na tabela demandas
+
+// Texto pesquisável dos comentários dos usuários (JSON [{ texto, ... }]); JSON inválido é indexado como está
+const TEXTO_COMENTARIOS_USUARIOS = (coluna) => `
+CASE WHEN json_valid(${coluna})
+THEN (SELECT group_concat(json_extract(value, '$.texto'), ' ') FROM json_each(${coluna}) WHERE type = 'object')
+ELSE ${coluna} END`;
+
+const COLUNAS_BUSCA = 'nomeDemanda, descricao, tag, comentarios, comentariosUsuarios, comentarioGestor';
+const valoresBusca = (origem) =>
+    `${origem}.nomeDemanda, ${origem}.descricao, ${origem}.tag, ${origem}.comentarios, ${TEXTO_COMENTARIOS_USUARIOS(`${origem}.comentariosUsuarios`)}, ${origem}.comentarioGestor`;
+
+exports.up = (db, callback) => {
+    db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS demandas_busca USING fts5(
+    ${COLUNAS_BUSCA},
+    tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS demandas_busca_insert AFTER INSERT ON demandas BEGIN
+    INSERT INTO demandas_busca (rowid, ${COLUNAS_BUSCA}) VALUES (NEW.id, ${valoresBusca('NEW')});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS demandas_busca_delete AFTER DELETE ON demandas BEGIN
+    DELETE FROM demandas_busca WHERE rowid = OLD.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS demandas_busca_update AFTER UPDATE OF ${COLUNAS_BUSCA} ON demandas BEGIN
+    DELETE FROM demandas_busca WHERE rowid = OLD.id;
+    INSERT INTO demandas_busca (rowid, ${COLUNAS_BUSCA}) VALUES (NEW.id, ${valoresBusca('NEW')});
+    END;
+
+    -- Bancos que já tinham demandas (ou um índice incompleto) são indexados por completo
+    DELETE FROM demandas_busca;
+    INSERT INTO demandas_busca (rowid, ${COLUNAS_BUSCA}) SELECT d.id, ${valoresBusca('d')} FROM demandas d;
+    `, callback);
+};
+
+exports.down = (db, callback) => {
+    db.exec(`
+    DROP TRIGGER IF EXISTS demandas_busca_insert;
+    DROP TRIGGER IF EXISTS demandas_busca_delete;
+    DROP TRIGGER IF EXISTS demandas_busca_update;
+    DROP TABLE IF EXISTS demandas_busca;
+    `, callback);
+};
@@ -0,0 +1,180 @@
+// Atribuídos, anexos e comentários saem das colunas JSON da tabela demandas para tabelas próprias.
+// Os dados existentes são convertidos; itens que apontam para usuários inexistentes perdem o vínculo
+// (anexos e comentários) ou são descartados (atribuídos, que não fazem sentido sem o usuário).
+
+const COLUNAS_JSON = ['atribuidos', 'anexosCriacao', 'anexosResolucao', 'comentariosUsuarios'];
+
+// Lista JSON de uma coluna antiga; valores inválidos viram lista vazia
+const lista = (coluna) => `json_each(CASE WHEN json_valid(d.${coluna}) AND json_type(d.${coluna}) = 'array' THEN d.${coluna} ELSE '[]' END)`;
+
+const TABELAS = `
+CREATE TABLE demanda_atribuidos (
+demandaId INTEGER NOT NULL REFERENCES demandas(id) ON DELETE CASCADE,
+usuarioId INTEGER NOT NULL REFERENCES usuarios(id),
+ordem INTEGER NOT NULL DEFAULT 0,
+PRIMARY KEY (demandaId, usuarioId)
+);
+CREATE INDEX idx_demanda_atribuidos_usuario ON demanda_atribuidos(usuarioId);
+
+CREATE TABLE demanda_anexos (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+demandaId INTEGER NOT NULL REFERENCES demandas(id) ON DELETE CASCADE,
+etapa TEXT NOT NULL CHECK (etapa IN ('criacao', 'resolucao')),
+arquivo TEXT,
+nome TEXT NOT NULL,
+tamanho INTEGER,
+tipo TEXT,
+enviadoPor INTEGER REFERENCES usuarios(id),
+dataEnvio TEXT
+);
+CREATE INDEX idx_demanda_anexos_demanda ON demanda_anexos(demandaId, etapa);
+
+CREATE TABLE demanda_comentarios (
+id INTEGER PRIMARY KEY AUTOINCREMENT,
+demandaId INTEGER NOT NULL REFERENCES demandas(id) ON DELETE CASCADE,
+usuarioId INTEGER REFERENCES usuarios(id),
+autor TEXT,
+texto TEXT NOT NULL,
+dataCriacao TEXT NOT NULL
+);
+CREATE INDEX idx_demanda_comentarios_demanda ON demanda_comentarios(demandaId);
+`;
+
+const usuarioExistente = (expressao) => `(SELECT id FROM usuarios WHERE id = ${expressao})`;
+
+const CONVERSAO = `
+INSERT OR IGNORE INTO demanda_atribuidos (demandaId, usuarioId, ordem)
+SELECT d.id, u.id, j.key
+FROM demandas d, ${lista('atribuidos')} j
+JOIN usuarios u ON u.id = CASE WHEN j.type = 'object' THEN json_extract(j.value, '$.id') ELSE j.value END;
+
+INSERT INTO demanda_anexos (demandaId, etapa, arquivo, nome, tamanho, tipo, enviadoPor, dataEnvio)
+SELECT d.id, etapas.etapa, json_extract(j.value, '$.arquivo'),
+COALESCE(json_extract(j.value, '$.nome'), json_extract(j.value, '$.name'), json_extract(j.value, '$.arquivo'), 'arquivo'),
+json_extract(j.value, '$.tamanho'), json_extract(j.value, '$.tipo'),
+${usuarioExistente("json_extract(j.value, '$.enviadoPor')")}, json_extract(j.value, '$.dataEnvio')
+FROM demandas d
+JOIN (SELECT 'criacao' AS etapa UNION ALL SELECT 'resolucao') etapas,
+json_each(CASE
+    WHEN etapas.etapa = 'criacao' AND json_valid(d.anexosCriacao) AND json_type(d.anexosCriacao) = 'array' THEN d.anexosCriacao
+    WHEN etapas.etapa = 'resolucao' AND json_valid(d.anexosResolucao) AND json_type(d.anexosResolucao) = 'array' THEN d.anexosResolucao
+    ELSE '[]' END) j
+WHERE j.type = 'object'
+ORDER BY d.id, etapas.etapa, j.key;
+
+INSERT INTO demanda_anexos (demandaId, etapa, nome)
+SELECT d.id, 'criacao', j.value FROM demandas d, ${lista('anexosCriacao')} j WHERE j.type = 'text';
+INSERT INTO demanda_anexos (demandaId, etapa, nome)
+SELECT d.id, 'resolucao', j.value FROM demandas d, ${lista('anexosResolucao')} j WHERE j.type = 'text';
+
+INSERT INTO demanda_comentarios (demandaId, usuarioId, autor, texto, dataCriacao)
+SELECT d.id, ${usuarioExistente("json_extract(j.value, '$.autorId')")}, json_extract(j.value, '$.autor'),
+json_extract(j.value, '$.texto'), COALESCE(json_extract(j.value, '$.data'), d.dataAtualizacao, d.dataCriacao)
+FROM demandas d, ${lista('comentariosUsuarios')} j
+WHERE j.type = 'object' AND json_extract(j.value, '$.texto') IS NOT NULL
+ORDER BY d.id, j.key;
+`;
+
+// O texto dos comentários no índice de busca passa a vir de demanda_comentarios
+const COLUNAS_BUSCA = 'nomeDemanda, descricao, tag, comentarios, comentariosUsuarios, comentarioGestor';
+const valoresBusca = (origem) => `${origem}.nomeDemanda, ${origem}.descricao, ${origem}.tag, ${origem}.comentarios,
+(SELECT group_concat(c.texto, ' ') FROM demanda_comentarios c WHERE c.demandaId = ${origem}.id), ${origem}.comentarioGestor`;
+
+const reindexar = (demandaId) => `
+DELETE FROM demandas_busca WHERE rowid = ${demandaId};
+INSERT INTO demandas_busca (rowid, ${COLUNAS_BUSCA}) SELECT d.id, ${valoresBusca('d')} FROM demandas d WHERE d.id = ${demandaId};`;
+
+// Alterar atribuídos, anexos ou comentários conta como alteração da demanda (sincronização incremental e ETag)
+const tocarDemanda = (demandaId) =>
+    `UPDATE demandas SET dataAtualizacao = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = ${demandaId};`;
+
+const GATILHOS = `
+CREATE TRIGGER demandas_busca_insert AFTER INSERT ON demandas BEGIN
+INSERT INTO demandas_busca (rowid, ${COLUNAS_BUSCA}) VALUES (NEW.id, ${valoresBusca('NEW')});
+END;
+
+CREATE TRIGGER demandas_busca_delete AFTER DELETE ON demandas BEGIN
+DELETE FROM demandas_busca WHERE rowid = OLD.id;
+END;
+
+CREATE TRIGGER demandas_busca_update AFTER UPDATE OF nomeDemanda, descricao, tag, comentarios, comentarioGestor ON demandas BEGIN
+DELETE FROM demandas_busca WHERE rowid = OLD.id;
+INSERT INTO demandas_busca (rowid, ${COLUNAS_BUSCA}) VALUES (NEW.id, ${valoresBusca('NEW')});
+END;
+
+CREATE TRIGGER demanda_comentarios_insert AFTER INSERT ON demanda_comentarios BEGIN
+${reindexar('NEW.demandaId')}
+${tocarDemanda('NEW.demandaId')}
+END;
+
+CREATE TRIGGER demanda_comentarios_update AFTER UPDATE ON demanda_comentarios BEGIN
+${reindexar('NEW.demandaId')}
+${tocarDemanda('NEW.demandaId')}
+END;
+
+CREATE TRIGGER demanda_comentarios_delete AFTER DELETE ON demanda_comentarios BEGIN
+${reindexar('OLD.demandaId')}
+${tocarDemanda('OLD.demandaId')}
+END;
+
+${['demanda_atribuidos', 'demanda_anexos'].map(tabela => `
+CREATE TRIGGER ${tabela}_insert AFTER INSERT ON ${tabela} BEGIN ${tocarDemanda('NEW.demandaId')} END;
+CREATE TRIGGER ${tabela}_update AFTER UPDATE ON ${tabela} BEGIN ${tocarDemanda('NEW.demandaId')} END;
+CREATE TRIGGER ${tabela}_delete AFTER DELETE ON ${tabela} BEGIN ${tocarDemanda('OLD.demandaId')} END;
+`).join('')}
+`;
+
+const GATILHOS_CRIADOS = [
+    'demanda_comentarios_insert', 'demanda_comentarios_update', 'demanda_comentarios_delete',
+    'demanda_atribuidos_insert', 'demanda_atribuidos_update', 'demanda_atribuidos_delete',
+    'demanda_anexos_insert', 'demanda_anexos_update', 'demanda_anexos_delete'
+];
+
+const GATILHOS_BUSCA = ['demandas_busca_insert', 'demandas_busca_delete', 'demandas_busca_update'];
+
+exports.up = (db, callback) => {
+    db.exec(`
+    ${TABELAS}
+    ${CONVERSAO}
+    ${GATILHOS_BUSCA.map(nome => `DROP TRIGGER IF EXISTS ${nome};`).join('\n')}
+    ${COLUNAS_JSON.map(coluna => `ALTER TABLE demandas DROP COLUMN ${coluna};`).join('\n')}
+    ${GATILHOS}
+    DELETE FROM demandas_busca;
+    INSERT INTO demandas_busca (rowid, ${COLUNAS_BUSCA}) SELECT d.id, ${valoresBusca('d')} FROM demandas d;
+    `, callback);
+};
+
+// Volta às colunas JSON, no formato que a API devolvia, e recria o índice de busca da migração 003
+exports.down = (db, callback) => {
+    db.exec(`
+    ${[...GATILHOS_CRIADOS, ...GATILHOS_BUSCA].map(nome => `DROP TRIGGER IF EXISTS ${nome};`).join('\n')}
+
+    ALTER TABLE demandas ADD COLUMN atribuidos TEXT DEFAULT '[]';
+    ALTER TABLE demandas ADD COLUMN anexosCriacao TEXT DEFAULT '[]';
+    ALTER TABLE demandas ADD COLUMN anexosResolucao TEXT DEFAULT '[]';
+    ALTER TABLE demandas ADD COLUMN comentariosUsuarios TEXT DEFAULT '[]';
+
+    UPDATE demandas SET
+    atribuidos = (SELECT json_group_array(json(item)) FROM (
+        SELECT json_object('id', u.id, 'nome', u.nome, 'email', u.email) AS item
+        FROM demanda_atribuidos a JOIN usuarios u ON u.id = a.usuarioId
+        WHERE a.demandaId = demandas.id ORDER BY a.ordem)),
+    anexosCriacao = (SELECT json_group_array(json(item)) FROM (
+        SELECT json_object('arquivo', arquivo, 'nome', nome, 'tamanho', tamanho, 'tipo', tipo, 'dataEnvio', dataEnvio, 'enviadoPor', enviadoPor) AS item
+        FROM demanda_anexos WHERE demandaId = demandas.id AND etapa = 'criacao' ORDER BY id)),
+    anexosResolucao = (SELECT json_group_array(json(item)) FROM (
+        SELECT json_object('arquivo', arquivo, 'nome', nome, 'tamanho', tamanho, 'tipo', tipo, 'dataEnvio', dataEnvio, 'enviadoPor', enviadoPor) AS item
+        FROM demanda_anexos WHERE demandaId = demandas.id AND etapa = 'resolucao' ORDER BY id)),
+    comentariosUsuarios = (SELECT json_group_array(json(item)) FROM (
+        SELECT json_object('id', c.id, 'texto', c.texto, 'autor', COALESCE(u.nome, c.autor), 'autorId', c.usuarioId, 'data', c.dataCriacao) AS item
+        FROM demanda_comentarios c LEFT JOIN usuarios u ON u.id = c.usuarioId
+        WHERE c.demandaId = demandas.id ORDER BY c.id));
+
+    DROP TABLE demanda_atribuidos;
+    DROP TABLE demanda_anexos;
+    DROP TABLE demanda_comentarios;
+    `, (err) => {
+        if (err) return callback(err);
+        require('./003_indice_busca').up(db, callback);
+    });
+};
@@ -0,0 +1,33 @@
+// Exclusão lógica: demandas e anotações excluídas vão para a lixeira (quem excluiu, quando e por quê)
+// e só são apagadas de vez pela limpeza periódica, depois do prazo de retenção
+
+const TABELAS = ['demandas', 'anotacoes'];
+
+exports.up = (db, callback) => {
+    db.exec(`
+    ${TABELAS.map(tabela => `
+    ALTER TABLE ${tabela} ADD COLUMN excluidoEm TEXT;
+    ALTER TABLE ${tabela} ADD COLUMN excluidoPor INTEGER;
+    ALTER TABLE ${tabela} ADD COLUMN motivoExclusao TEXT;
+    CREATE INDEX idx_${tabela}_excluidoEm ON ${tabela}(excluidoEm);
+    `).join('')}
+    `, callback);
+};
+
+// Itens que estavam na lixeira são apagados: sem as colunas, voltariam a aparecer como ativos
+exports.down = (db, callback) => {
+    db.exec(`
+    DELETE FROM anotacoes_demandas
+    WHERE anotacaoId IN (SELECT id FROM anotacoes WHERE excluidoEm IS NOT NULL)
+    OR demandaId IN (SELECT id FROM demandas WHERE excluidoEm IS NOT NULL);
+    DELETE FROM anotacoes WHERE excluidoEm IS NOT NULL;
+    DELETE FROM demandas WHERE excluidoEm IS NOT NULL;
+
+    ${TABELAS.map(tabela => `
+    DROP INDEX IF EXISTS idx_${tabela}_excluidoEm;
+    ALTER TABLE ${tabela} DROP COLUMN excluidoEm;
+    ALTER TABLE ${tabela} DROP COLUMN excluidoPor;
+    ALTER TABLE ${tabela} DROP COLUMN motivoExclusao;
+    `).join('')}
+    `, callback);
+};
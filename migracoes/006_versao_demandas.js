@@ -0,0 +1,54 @@
+// Controle de concorrência otimista: cada demanda tem uma versão, incrementada a cada escrita nos seus
+// campos ou nos seus atribuídos. Comentários e anexos só tocam dataAtualizacao: são acréscimos com
+// endpoints próprios e não devem invalidar uma edição em andamento.
+
+// Colunas cuja escrita gera uma nova versão (dataAtualizacao fica de fora: ela é tocada pelos comentários e anexos).
+// Colunas novas da tabela demandas que devam gerar versão precisam entrar nesta lista em uma nova migração.
+const COLUNAS_VERSIONADAS = [
+    'funcionarioId', 'nomeFuncionario', 'emailFuncionario', 'categoria', 'prioridade', 'complexidade',
+    'descricao', 'local', 'dataCriacao', 'dataLimite', 'status', 'isRotina', 'diasSemana', 'tag',
+    'comentarios', 'comentarioGestor', 'dataConclusao', 'comentarioReprovacaoAtribuicao', 'nomeDemanda',
+    'criadoPor', 'atualizadoPor', 'rotinaPaiId', 'rotinaStatus', 'rotinaFim',
+    'excluidoEm', 'excluidoPor', 'motivoExclusao'
+];
+
+const agora = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Os gatilhos de demanda_atribuidos da migração 004, agora também gerando versão
+const gatilhosAtribuidos = (atualizacao) => `
+CREATE TRIGGER demanda_atribuidos_insert AFTER INSERT ON demanda_atribuidos BEGIN
+UPDATE demandas SET ${atualizacao} WHERE id = NEW.demandaId;
+END;
+CREATE TRIGGER demanda_atribuidos_update AFTER UPDATE ON demanda_atribuidos BEGIN
+UPDATE demandas SET ${atualizacao} WHERE id = NEW.demandaId;
+END;
+CREATE TRIGGER demanda_atribuidos_delete AFTER DELETE ON demanda_atribuidos BEGIN
+UPDATE demandas SET ${atualizacao} WHERE id = OLD.demandaId;
+END;
+`;
+
+const GATILHOS_ATRIBUIDOS = ['demanda_atribuidos_insert', 'demanda_atribuidos_update', 'demanda_atribuidos_delete'];
+
+exports.up = (db, callback) => {
+    db.exec(`
+    ALTER TABLE demandas ADD COLUMN versao INTEGER NOT NULL DEFAULT 1;
+
+    CREATE TRIGGER demandas_versao_update AFTER UPDATE OF ${COLUNAS_VERSIONADAS.join(', ')} ON demandas
+    WHEN NEW.versao IS OLD.versao BEGIN
+    UPDATE demandas SET versao = OLD.versao + 1 WHERE id = NEW.id;
+    END;
+
+    ${GATILHOS_ATRIBUIDOS.map(nome => `DROP TRIGGER IF EXISTS ${nome};`).join('\n')}
+    ${gatilhosAtribuidos(`dataAtualizacao = ${agora}, versao = versao + 1`)}
+    `, callback);
+};
+
+exports.down = (db, callback) => {
+    db.exec(`
+    DROP TRIGGER IF EXISTS demandas_versao_update;
+    ${GATILHOS_ATRIBUIDOS.map(nome => `DROP TRIGGER IF EXISTS ${nome};`).join('\n')}
+    ${gatilhosAtribuidos(`dataAtualizacao = ${agora}`)}
+
+    ALTER TABLE demandas DROP COLUMN versao;
+    `, callback);
+};
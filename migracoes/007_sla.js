@@ -0,0 +1,78 @@
+// SLA: políticas de prazo por prioridade/complexidade/categoria e calendários de trabalho por local
+// (os feriados continuam na tabela feriados). A demanda guarda a política que definiu o seu prazo e
+// desde quando o relógio do SLA está parado (aguardando aprovação ou aprovada).
+
+// Lista de colunas que geram versão (migração 006), agora com as colunas do SLA
+const COLUNAS_VERSIONADAS_006 = [
+    'funcionarioId', 'nomeFuncionario', 'emailFuncionario', 'categoria', 'prioridade', 'complexidade',
+    'descricao', 'local', 'dataCriacao', 'dataLimite', 'status', 'isRotina', 'diasSemana', 'tag',
+    'comentarios', 'comentarioGestor', 'dataConclusao', 'comentarioReprovacaoAtribuicao', 'nomeDemanda',
+    'criadoPor', 'atualizadoPor', 'rotinaPaiId', 'rotinaStatus', 'rotinaFim',
+    'excluidoEm', 'excluidoPor', 'motivoExclusao'
+];
+const COLUNAS_VERSIONADAS = [...COLUNAS_VERSIONADAS_006, 'slaPoliticaId', 'slaPausadoEm'];
+
+const gatilhoVersao = (colunas) => `
+CREATE TRIGGER demandas_versao_update AFTER UPDATE OF ${colunas.join(', ')} ON demandas
+WHEN NEW.versao IS OLD.versao BEGIN
+UPDATE demandas SET versao = OLD.versao + 1 WHERE id = NEW.id;
+END;
+`;
+
+const agora = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+exports.up = (db, callback) => {
+    db.exec(`
+    CREATE TABLE politicas_sla (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nome TEXT NOT NULL,
+    prioridade TEXT,
+    complexidade TEXT,
+    categoria TEXT,
+    prazo REAL NOT NULL CHECK (prazo > 0),
+    unidade TEXT NOT NULL DEFAULT 'dias' CHECK (unidade IN ('dias', 'horas')),
+    ativa INTEGER NOT NULL DEFAULT 1,
+    criadoPor INTEGER,
+    dataCriacao TEXT NOT NULL,
+    dataAtualizacao TEXT
+    );
+
+    -- local vazio é o calendário padrão, usado pelos locais sem calendário próprio
+    CREATE TABLE calendarios_trabalho (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    local TEXT NOT NULL UNIQUE,
+    diasSemana TEXT NOT NULL DEFAULT '[1,2,3,4,5]',
+    inicioExpediente TEXT NOT NULL DEFAULT '08:00',
+    fimExpediente TEXT NOT NULL DEFAULT '17:00',
+    dataAtualizacao TEXT
+    );
+
+    INSERT INTO calendarios_trabalho (local, dataAtualizacao) VALUES ('', ${agora});
+
+    -- Políticas iniciais; critérios vazios valem para qualquer valor e a política mais específica vence
+    INSERT INTO politicas_sla (nome, prioridade, complexidade, prazo, unidade, dataCriacao) VALUES
+    ('Importante', 'Importante', NULL, 2, 'dias', ${agora}),
+    ('Importante e difícil', 'Importante', 'Difícil', 3, 'dias', ${agora}),
+    ('Média', 'Média', NULL, 5, 'dias', ${agora}),
+    ('Relevante', 'Relevante', NULL, 10, 'dias', ${agora});
+
+    ALTER TABLE demandas ADD COLUMN slaPoliticaId INTEGER;
+    ALTER TABLE demandas ADD COLUMN slaPausadoEm TEXT;
+
+    DROP TRIGGER IF EXISTS demandas_versao_update;
+    ${gatilhoVersao(COLUNAS_VERSIONADAS)}
+    `, callback);
+};
+
+exports.down = (db, callback) => {
+    db.exec(`
+    DROP TRIGGER IF EXISTS demandas_versao_update;
+    ${gatilhoVersao(COLUNAS_VERSIONADAS_006)}
+
+    ALTER TABLE demandas DROP COLUMN slaPoliticaId;
+    ALTER TABLE demandas DROP COLUMN slaPausadoEm;
+
+    DROP TABLE calendarios_trabalho;
+    DROP TABLE politicas_sla;
+    `, callback);
+};
@@ -0,0 +1,34 @@
+// Os atribuídos deixam de gerar versão: inseridos junto com a demanda, eles a faziam nascer na versão 2.
+// Quem troca os atribuídos de uma demanda existente grava também as colunas dela (a edição, as ações do
+// fluxo) ou incrementa a versão por conta própria (a importação que só altera listas).
+
+const agora = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Os gatilhos de demanda_atribuidos das migrações 004 e 006
+const gatilhosAtribuidos = (atualizacao) => `
+CREATE TRIGGER demanda_atribuidos_insert AFTER INSERT ON demanda_atribuidos BEGIN
+UPDATE demandas SET ${atualizacao} WHERE id = NEW.demandaId;
+END;
+CREATE TRIGGER demanda_atribuidos_update AFTER UPDATE ON demanda_atribuidos BEGIN
+UPDATE demandas SET ${atualizacao} WHERE id = NEW.demandaId;
+END;
+CREATE TRIGGER demanda_atribuidos_delete AFTER DELETE ON demanda_atribuidos BEGIN
+UPDATE demandas SET ${atualizacao} WHERE id = OLD.demandaId;
+END;
+`;
+
+const GATILHOS_ATRIBUIDOS = ['demanda_atribuidos_insert', 'demanda_atribuidos_update', 'demanda_atribuidos_delete'];
+
+exports.up = (db, callback) => {
+    db.exec(`
+    ${GATILHOS_ATRIBUIDOS.map(nome => `DROP TRIGGER IF EXISTS ${nome};`).join('\n')}
+    ${gatilhosAtribuidos(`dataAtualizacao = ${agora}`)}
+    `, callback);
+};
+
+exports.down = (db, callback) => {
+    db.exec(`
+    ${GATILHOS_ATRIBUIDOS.map(nome => `DROP TRIGGER IF EXISTS ${nome};`).join('\n')}
+    ${gatilhosAtribuidos(`dataAtualizacao = ${agora}, versao = versao + 1`)}
+    `, callback);
+};
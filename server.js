@@ -1,23 +1,70 @@
 // server.js - Versão Completa com Suporte às Novas Funcionalidades e Correções
 const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
 const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const nodemailer = require('nodemailer');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { DB_FILE, situacaoMigracoes, aplicarMigracoes } = require('./migracoes');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
+const CORS_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://0.0.0.0:3000'];
+
+// Configuração de autenticação
+const BCRYPT_ROUNDS = 10;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(48).toString('hex');
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET não definido. Usando segredo temporário: as sessões serão invalidadas ao reiniciar o servidor.');
+}
+
+// Redefinição de senha
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+const SENHAS_PADRAO = ['123456', 'admin123'];
+
+// Configuração de email (SMTP). Sem SMTP_HOST as mensagens são apenas registradas no console.
+const SMTP_CONFIG = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    // Permite apontar para um servidor SMTP local de testes sem TLS
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true'
+};
+const EMAIL_REMETENTE = process.env.SMTP_FROM || 'Portal do Gestor <nao-responda@zaminebrasil.com>';
+// Caixa de saída: tentativas antes de desistir e espera (em minutos) entre elas
+const EMAIL_MAX_TENTATIVAS = parseInt(process.env.EMAIL_MAX_TENTATIVAS) || 5;
+const EMAIL_ESPERA_TENTATIVAS = [1, 5, 15, 60];
 
 // Configuração CORS para Render e desenvolvimento
 app.use(cors({
-    origin: ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://0.0.0.0:3000'],
+    origin: CORS_ORIGINS,
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Socket-Id', 'If-None-Match', 'If-Match'],
+    exposedHeaders: ['ETag', 'X-Total-Count', 'X-Next-Cursor', 'X-Sincronizado-Em'],
     credentials: true
 }));
 
+// Socket.io para atualizações em tempo real
+const io = new Server(server, {
+    cors: { origin: CORS_ORIGINS, credentials: true }
+});
+
 app.use(express.json({ limit: '50mb' })); // Aumentado para 50mb para importações grandes
-app.use(express.static('.'));
+// Não servir o diretório inteiro como estático: ele contém o banco de dados e os backups
 
 // Middleware de rate limiting simples
 const requestCounts = {};
@@ -56,17 +103,35 @@ app.use((req, res, next) => {
 });
 
 // Criar diretório para backups se não existir
-const backupDir = path.join(__dirname, 'backups');
+const backupDir = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
 if (!fs.existsSync(backupDir)) {
     fs.mkdirSync(backupDir, { recursive: true });
 }
 
-// Criar/abrir banco de dados SQLite
-const DB_FILE = path.join(__dirname, 'demandas.db');
+// Relatórios mensais gerados pelo agendador
+const relatoriosDir = process.env.RELATORIOS_DIR || path.join(__dirname, 'relatorios');
+if (!fs.existsSync(relatoriosDir)) {
+    fs.mkdirSync(relatoriosDir, { recursive: true });
+}
+
+// Anexos das demandas: uma pasta por demanda dentro de anexosDir
+const anexosDir = process.env.ANEXOS_DIR || path.join(__dirname, 'anexos');
+if (!fs.existsSync(anexosDir)) {
+    fs.mkdirSync(anexosDir, { recursive: true });
+}
+const ANEXO_TAMANHO_MAXIMO_MB = parseInt(process.env.ANEXO_TAMANHO_MAXIMO_MB) || 10;
+const ANEXO_MAX_ARQUIVOS = 10;
+const ANEXO_EXTENSOES_PERMITIDAS = [
+    '.pdf', '.png', '.jpg', '.jpeg', '.gif', '.webp',
+    '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
+    '.txt', '.csv', '.zip'
+];
+
+// Abrir o banco de dados SQLite; o esquema é criado e atualizado pelas migrações (migracoes.js)
 const db = new sqlite3.Database(DB_FILE, (err) => {
     if (err) return console.error('❌ Erro ao abrir o banco de dados:', err);
     console.log('✅ Banco de dados SQLite pronto!');
-    inicializarBancoDados();
+    verificarMigracoes();
 });
 
 // Habilitar chaves estrangeiras
@@ -74,187 +139,117 @@ db.run('PRAGMA foreign_keys = ON');
 // Configurar timeout maior para operações longas
 db.run('PRAGMA busy_timeout = 30000'); // 30 segundos
 
-// Função para inicializar o banco de dados
-function inicializarBancoDados() {
-    // Tabela de demandas com índices
-    db.run(`
-    CREATE TABLE IF NOT EXISTS demandas (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    funcionarioId INTEGER NOT NULL,
-    nomeFuncionario TEXT NOT NULL,
-    emailFuncionario TEXT NOT NULL,
-    categoria TEXT NOT NULL,
-    prioridade TEXT NOT NULL,
-    complexidade TEXT NOT NULL,
-    descricao TEXT NOT NULL,
-    local TEXT NOT NULL,
-    dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    dataLimite TEXT NOT NULL,
-    status TEXT NOT NULL DEFAULT 'pendente',
-    isRotina INTEGER DEFAULT 0,
-    diasSemana TEXT,
-    tag TEXT UNIQUE,
-    comentarios TEXT DEFAULT '',
-    comentarioGestor TEXT DEFAULT '',
-    dataConclusao TEXT,
-    atribuidos TEXT DEFAULT '[]',
-    anexosCriacao TEXT DEFAULT '[]',
-    anexosResolucao TEXT DEFAULT '[]',
-    comentarioReprovacaoAtribuicao TEXT DEFAULT '',
-    nomeDemanda TEXT,
-    dataAtualizacao TEXT DEFAULT CURRENT_TIMESTAMP,
-    criadoPor INTEGER,
-    atualizadoPor INTEGER,
-    comentariosUsuarios TEXT DEFAULT '[]'
-    )
-    `, (err) => {
-        if (err) console.error('Erro ao criar tabela demandas:', err);
-        else {
-            console.log('✅ Tabela demandas criada/verificada');
-            criarIndices();
-            adicionarColunaComentariosUsuarios();
-        }
-    });
-}
+// Conexão própria para as gravações que precisam ser tudo ou nada (transições de status, importações,
+// migração de anotações).
+// Uma transação aberta na conexão compartilhada `db` levaria junto as escritas de todas as outras
+// requisições feitas enquanto ela estivesse aberta; aqui elas esperam o COMMIT pelo busy_timeout.
+const dbTransacoes = new sqlite3.Database(DB_FILE, (err) => {
+    if (err) console.error('❌ Erro ao abrir a conexão de transações:', err);
+});
+dbTransacoes.run('PRAGMA foreign_keys = ON');
+dbTransacoes.run('PRAGMA busy_timeout = 30000');
 
-// Função para adicionar a coluna comentariosUsuarios se não existir
-function adicionarColunaComentariosUsuarios() {
-    db.all("PRAGMA table_info(demandas)", [], (err, columns) => {
-        if (err) {
-            console.error('Erro ao verificar colunas da tabela:', err);
-            return;
-        }
-        
-        const hasComentariosUsuarios = columns.some(col => col.name === 'comentariosUsuarios');
-        
-        if (!hasComentariosUsuarios) {
-            db.run("ALTER TABLE demandas ADD COLUMN comentariosUsuarios TEXT DEFAULT '[]'", (err) => {
-                if (err) {
-                    console.error('Erro ao adicionar coluna comentariosUsuarios:', err);
-                } else {
-                    console.log('✅ Coluna comentariosUsuarios adicionada com sucesso');
-                }
-            });
-        }
-    });
+// Transações na conexão própria, uma de cada vez. `trabalho(conexao, concluir)` grava pela conexão
+// recebida e chama concluir(err, resultado): com erro a transação é desfeita, sem erro é confirmada.
+const filaTransacoes = [];
+let transacaoEmAndamento = false;
+
+function emTransacao(trabalho, callback) {
+    filaTransacoes.push({ trabalho, callback });
+    executarProximaTransacao();
 }
 
-// Criar índices para performance
-function criarIndices() {
-    const indices = [
-        'CREATE INDEX IF NOT EXISTS idx_status ON demandas(status)',
-        'CREATE INDEX IF NOT EXISTS idx_funcionarioId ON demandas(funcionarioId)',
-        'CREATE INDEX IF NOT EXISTS idx_dataLimite ON demandas(dataLimite)',
-        'CREATE INDEX IF NOT EXISTS idx_tag ON demandas(tag)',
-        'CREATE INDEX IF NOT EXISTS idx_categoria ON demandas(categoria)',
-        'CREATE INDEX IF NOT EXISTS idx_prioridade ON demandas(prioridade)',
-        'CREATE INDEX IF NOT EXISTS idx_dataCriacao ON demandas(dataCriacao)'
-    ];
+function executarProximaTransacao() {
+    if (transacaoEmAndamento || filaTransacoes.length === 0) return;
+    transacaoEmAndamento = true;
+
+    const { trabalho, callback } = filaTransacoes.shift();
+    const finalizar = (err, resultado) => {
+        transacaoEmAndamento = false;
+        setImmediate(executarProximaTransacao);
+        callback(err, resultado);
+    };
+
+    const desfazer = (erro) => {
+        dbTransacoes.run('ROLLBACK', (errRollback) => {
+            if (errRollback) console.error('Erro ao desfazer transação:', errRollback);
+            finalizar(erro);
+        });
+    };
 
-    let completed = 0;
-    indices.forEach(sql => {
-        db.run(sql, (err) => {
-            if (err) console.error('Erro ao criar índice:', err);
-            else {
-                completed++;
-                if (completed === indices.length) {
-                    console.log('✅ Índices criados/verificados');
-                    criarTabelaUsuarios();
-                }
-            }
+    dbTransacoes.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+        if (err) return finalizar(err);
+
+        trabalho(dbTransacoes, (err, resultado) => {
+            if (err) return desfazer(err);
+
+            dbTransacoes.run('COMMIT', (err) => {
+                if (err) return desfazer(err);
+                finalizar(null, resultado);
+            });
         });
     });
 }
 
-// Tabela de usuários
-function criarTabelaUsuarios() {
-    db.run(`
-    CREATE TABLE IF NOT EXISTS usuarios (
-    id INTEGER PRIMARY KEY,
-    nome TEXT UNIQUE,
-    email TEXT UNIQUE,
-    senha TEXT,
-    nivel TEXT,
-    pontos INTEGER DEFAULT 0,
-    conquistas TEXT DEFAULT '[]',
-    role TEXT DEFAULT 'funcionario'
-    )
-    `, (err) => {
-        if (err) console.error('Erro ao criar tabela usuarios:', err);
-        else {
-            console.log('✅ Tabela usuarios criada/verificada');
-            criarTabelaAuditoria();
+// O servidor só atende com o banco na versão que este código espera; as migrações são aplicadas
+// por `npm run migrar` (o `npm start` já as aplica antes de subir)
+function verificarMigracoes() {
+    situacaoMigracoes(db, (err, situacao) => {
+        if (err) {
+            console.error('❌ Erro ao verificar as migrações do banco:', err);
+            process.exit(1);
         }
-    });
-}
 
-// Tabela de auditoria
-function criarTabelaAuditoria() {
-    db.run(`
-    CREATE TABLE IF NOT EXISTS auditoria (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    acao TEXT NOT NULL,
-    tabela TEXT NOT NULL,
-    registroId INTEGER NOT NULL,
-    dadosAntigos TEXT,
-    dadosNovos TEXT,
-    usuarioId INTEGER,
-    dataHora TEXT DEFAULT CURRENT_TIMESTAMP,
-    ip TEXT
-    )
-    `, (err) => {
-        if (err) console.error('Erro ao criar tabela auditoria:', err);
-        else {
-            console.log('✅ Tabela auditoria criada/verificada');
-            criarTabelaFeedbacks();
+        if (situacao.desconhecidas.length > 0) {
+            console.error(`❌ O banco foi migrado por uma versão mais nova do sistema: ${situacao.desconhecidas.map(m => m.nome).join(', ')}`);
+            process.exit(1);
+        }
+
+        if (situacao.pendentes.length > 0) {
+            console.error(`❌ Há ${situacao.pendentes.length} migração(ões) pendente(s): ${situacao.pendentes.map(m => m.nome).join(', ')}`);
+            console.error('   Execute "npm run migrar" antes de iniciar o servidor.');
+            process.exit(1);
         }
+
+        const atual = situacao.aplicadas[situacao.aplicadas.length - 1];
+        console.log(`✅ Banco de dados na migração ${atual.nome}`);
+
+        carregarDadosSla((err) => {
+            if (err) {
+                console.error('❌ Erro ao carregar calendários e políticas de SLA:', err);
+                process.exit(1);
+            }
+
+            iniciarServidor();
+            inserirModelosEmailPadrao();
+        });
     });
 }
 
-// Tabela de feedbacks
-function criarTabelaFeedbacks() {
-    db.run(`
-    CREATE TABLE IF NOT EXISTS feedbacks (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    funcionarioId INTEGER,
-    gestorId INTEGER,
-    tipo TEXT,
-    mensagem TEXT,
-    dataCriacao TEXT
-    )
-    `, (err) => {
-        if (err) console.error('Erro ao criar tabela feedbacks:', err);
-        else {
-            console.log('✅ Tabela feedbacks criada/verificada');
-            criarTabelaAnotacoes();
-        }
+// Modelos de email novos são inseridos; os já editados pelos gestores são mantidos.
+// Cada etapa da inicialização registra o próprio erro e segue: as rotinas periódicas precisam subir mesmo assim.
+function inserirModelosEmailPadrao() {
+    const stmt = db.prepare('INSERT OR IGNORE INTO modelos_email (tipo, descricao, assunto, corpo) VALUES (?, ?, ?, ?)');
+    Object.entries(MODELOS_EMAIL_PADRAO).forEach(([tipo, modelo]) => stmt.run([tipo, modelo.descricao, modelo.assunto, modelo.corpo]));
+    stmt.finalize((err) => {
+        if (err) console.error('Erro ao inserir modelos de email padrão:', err);
+        else console.log('✅ Modelos de email verificados');
+        inserirRegrasConquistasPadrao();
     });
 }
 
-// Tabela de anotações
-function criarTabelaAnotacoes() {
-    db.run(`
-    CREATE TABLE IF NOT EXISTS anotacoes (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    titulo TEXT NOT NULL,
-    conteudo TEXT NOT NULL,
-    cor TEXT DEFAULT '#3498db',
-    dataCriacao TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    criadoPor INTEGER NOT NULL,
-    atribuidoA INTEGER,
-    audioData TEXT,
-    atualizadoEm TEXT DEFAULT CURRENT_TIMESTAMP
-    )
-    `, (err) => {
-        if (err) console.error('Erro ao criar tabela anotacoes:', err);
-        else {
-            console.log('✅ Tabela anotacoes criada/verificada');
-            inserirUsuariosPadrao();
-        }
+// As regras de conquistas padrão são inseridas uma vez e depois editadas pelos gestores
+function inserirRegrasConquistasPadrao() {
+    const stmt = db.prepare('INSERT OR IGNORE INTO regras_conquistas (codigo, nome, descricao, icone, tipo, meta) VALUES (?, ?, ?, ?, ?, ?)');
+    REGRAS_CONQUISTA_PADRAO.forEach(r => stmt.run([r.codigo, r.nome, r.descricao, r.icone, r.tipo, r.meta]));
+    stmt.finalize((err) => {
+        if (err) console.error('Erro ao inserir regras de conquistas padrão:', err);
+        else console.log('✅ Regras de conquistas verificadas');
+        inserirUsuariosPadrao();
     });
 }
 
-// Inserir usuários padrão
+// Inserir usuários padrão (apenas em bancos novos; depois disso os usuários são administrados pela API)
 function inserirUsuariosPadrao() {
     const usuariosPadrao = [
         { id: 1, nome: 'Ranielly Miranda De Souza', email: 'ranielly-s@zaminebrasil.com', nivel: 'Senior', pontos: 450, conquistas: '["star", "fire", "gold"]', senha: '123456', role: 'funcionario' },
@@ -277,35 +272,144 @@ function inserirUsuariosPadrao() {
         { id: 16, nome: 'Cicero de Sousa Costa', email: 'cicero-c@zaminebrasil.com', nivel: 'Senior', pontos: 420, conquistas: '["star", "fire", "gold"]', senha: '123456', role: 'funcionario' },
     ];
 
-    let inseridos = 0;
-    usuariosPadrao.forEach((usuario) => {
-        db.run(`
-        INSERT OR IGNORE INTO usuarios
-        (id, nome, email, senha, nivel, pontos, conquistas, role)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            usuario.id,
-            usuario.nome,
-            usuario.email,
-            usuario.senha,
-            usuario.nivel,
-            usuario.pontos,
-            usuario.conquistas,
-            usuario.role
-        ], function(err) {
-            if (err) console.error(`Erro ao inserir usuário ${usuario.nome}:`, err);
-            else {
-                inseridos++;
-                if (inseridos === usuariosPadrao.length) {
-                    console.log('✅ Todos os usuários padrão foram inseridos');
-                    // Iniciar backups automáticos
-                    agendarBackups();
+    db.get('SELECT COUNT(*) as total FROM usuarios', [], (err, row) => {
+        if (err) {
+            console.error('Erro ao contar usuários:', err);
+            migrarSenhasParaHash();
+            return;
+        }
+
+        if (row.total > 0) {
+            migrarSenhasParaHash();
+            return;
+        }
+
+        let inseridos = 0;
+        let processados = 0;
+        usuariosPadrao.forEach((usuario) => {
+            db.run(`
+            INSERT OR IGNORE INTO usuarios
+            (id, nome, email, senha, nivel, pontos, conquistas, role)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                usuario.id,
+                usuario.nome,
+                usuario.email,
+                usuario.senha,
+                usuario.nivel,
+                usuario.pontos,
+                usuario.conquistas,
+                usuario.role
+            ], function(err) {
+                if (err) console.error(`Erro ao inserir usuário ${usuario.nome}:`, err);
+                else inseridos++;
+
+                processados++;
+                if (processados === usuariosPadrao.length) {
+                    console.log(`✅ ${inseridos} de ${usuariosPadrao.length} usuário(s) padrão inserido(s)`);
+                    migrarSenhasParaHash();
                 }
-            }
+            });
+        });
+    });
+}
+
+// Migrar senhas em texto puro (usuários padrão e bancos antigos) para hash bcrypt.
+// Uma senha que não puder ser migrada fica para a próxima inicialização; as demais seguem.
+function migrarSenhasParaHash() {
+    db.all("SELECT id, senha FROM usuarios WHERE senha IS NOT NULL AND senha NOT LIKE '$2_$%'", [], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar senhas para migração:', err);
+            iniciarRotinasPeriodicas();
+            return;
+        }
+
+        if (rows.length === 0) {
+            console.log('✅ Senhas já armazenadas com hash');
+            iniciarRotinasPeriodicas();
+            return;
+        }
+
+        let migradas = 0;
+        let processadas = 0;
+        const concluir = () => {
+            processadas++;
+            if (processadas < rows.length) return;
+
+            if (migradas === rows.length) console.log(`✅ ${migradas} senha(s) migrada(s) para hash bcrypt`);
+            else console.error(`⚠️ ${migradas} de ${rows.length} senha(s) migrada(s) para hash bcrypt; as demais serão tentadas na próxima inicialização`);
+            iniciarRotinasPeriodicas();
+        };
+
+        rows.forEach((usuario) => {
+            bcrypt.hash(String(usuario.senha), BCRYPT_ROUNDS, (err, hash) => {
+                if (err) {
+                    console.error(`Erro ao gerar hash da senha do usuário ${usuario.id}:`, err);
+                    return concluir();
+                }
+
+                // Contas com senha padrão precisam trocá-la no primeiro login
+                const deveTrocarSenha = SENHAS_PADRAO.includes(usuario.senha) ? 1 : 0;
+
+                db.run('UPDATE usuarios SET senha = ?, deveTrocarSenha = ? WHERE id = ?', [hash, deveTrocarSenha, usuario.id], (err) => {
+                    if (err) console.error(`Erro ao migrar senha do usuário ${usuario.id}:`, err);
+                    else migradas++;
+                    concluir();
+                });
+            });
         });
     });
 }
 
+// Transporte SMTP criado sob demanda
+let transporteEmail = null;
+
+// Enviar email pelo SMTP configurado (ou registrar no console quando não houver SMTP)
+function enviarEmail({ para, cc, assunto, texto }, callback = () => {}) {
+    if (!SMTP_CONFIG.host) {
+        console.log(`📧 [SMTP não configurado] Para: ${para}${cc ? ` | Cc: ${cc}` : ''} | Assunto: ${assunto}\n${texto}`);
+        return callback(null);
+    }
+
+    if (!transporteEmail) {
+        transporteEmail = nodemailer.createTransport(SMTP_CONFIG);
+    }
+
+    transporteEmail.sendMail({ from: EMAIL_REMETENTE, to: para, cc: cc || undefined, subject: assunto, text: texto }, (err, info) => {
+        if (err) console.error(`Erro ao enviar email para ${para}:`, err);
+        else console.log(`📧 Email enviado para ${para}: ${info.messageId}`);
+        callback(err, info);
+    });
+}
+
+// Gerar hash SHA-256 de um token (somente o hash é persistido)
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Gerar token de acesso assinado para o usuário
+function gerarTokenAcesso(usuario) {
+    return jwt.sign(
+        { id: usuario.id, nome: usuario.nome, email: usuario.email, role: usuario.role },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+
+// Remover campos sensíveis antes de enviar o usuário ao cliente
+function usuarioPublico(usuario) {
+    if (!usuario) return usuario;
+    const { senha, ...dados } = usuario;
+    if (typeof dados.conquistas === 'string') {
+        try {
+            dados.conquistas = JSON.parse(dados.conquistas);
+        } catch (e) {
+            dados.conquistas = [];
+        }
+    }
+    return dados;
+}
+
 // Função para normalizar dados da demanda
 function normalizarDadosDemanda(demanda) {
     if (!demanda) return demanda;
@@ -368,9 +472,108 @@ function normalizarDadosDemanda(demanda) {
         demanda.comentariosUsuarios = [];
     }
 
+    // Campos de SLA calculados pelo servidor (só quando a demanda veio com prazo e status)
+    if (demanda.dataLimite !== undefined && demanda.status !== undefined) {
+        demanda.sla = calcularSla(demanda);
+    }
+
     return demanda;
 }
 
+// Atribuídos, anexos e comentários ficam em tabelas próprias (demanda_atribuidos, demanda_anexos e
+// demanda_comentarios); nas leituras voltam como listas JSON, no formato que a API sempre devolveu
+const subconsultaLista = (objeto, origem) =>
+    `(SELECT json_group_array(json(item)) FROM (SELECT json_object(${objeto}) AS item ${origem}))`;
+
+const subconsultaAnexos = (alias, etapa) => subconsultaLista(
+    "'id', an.id, 'arquivo', an.arquivo, 'nome', an.nome, 'tamanho', an.tamanho, 'tipo', an.tipo, 'dataEnvio', an.dataEnvio, 'enviadoPor', an.enviadoPor",
+    `FROM demanda_anexos an WHERE an.demandaId = ${alias}.id AND an.etapa = '${etapa}' ORDER BY an.id`
+);
+
+const RELACIONAMENTOS_DEMANDA = {
+    atribuidos: (alias) => subconsultaLista(
+        "'id', u.id, 'nome', u.nome, 'email', u.email",
+        `FROM demanda_atribuidos a JOIN usuarios u ON u.id = a.usuarioId WHERE a.demandaId = ${alias}.id ORDER BY a.ordem`
+    ),
+    anexosCriacao: (alias) => subconsultaAnexos(alias, 'criacao'),
+    anexosResolucao: (alias) => subconsultaAnexos(alias, 'resolucao'),
+    comentariosUsuarios: (alias) => subconsultaLista(
+        "'id', c.id, 'texto', c.texto, 'autor', COALESCE(u.nome, c.autor), 'autorId', c.usuarioId, 'data', c.dataCriacao",
+        `FROM demanda_comentarios c LEFT JOIN usuarios u ON u.id = c.usuarioId WHERE c.demandaId = ${alias}.id ORDER BY c.id`
+    )
+};
+
+// Colunas de uma consulta de demandas: as da tabela mais as listas relacionadas pedidas
+function colunasDemanda(alias = 'd', relacionamentos = Object.keys(RELACIONAMENTOS_DEMANDA)) {
+    return [`${alias}.*`, ...relacionamentos.map(campo => `${RELACIONAMENTOS_DEMANDA[campo](alias)} AS ${campo}`)].join(', ');
+}
+
+// Demandas na lixeira não são encontradas: para a API elas deixaram de existir
+function buscarDemanda(id, callback) {
+    db.get(`SELECT ${colunasDemanda()} FROM demandas d WHERE d.id = ? AND d.excluidoEm IS NULL`, [id], callback);
+}
+
+function executarComandos(conexao, comandos, callback) {
+    const [comando, ...restantes] = comandos;
+    if (!comando) return callback(null);
+
+    conexao.run(comando.sql, comando.params, (err) => {
+        if (err) return callback(err);
+        executarComandos(conexao, restantes, callback);
+    });
+}
+
+// Gravar as listas relacionadas presentes em `listas` (as ausentes ficam como estão). Cada lista
+// informada substitui a anterior; atribuídos que continuam não são regravados, para que a demanda
+// só conte como alterada quando algo mudou de fato. `conexao` é `db` ou a de uma transação em andamento.
+function gravarListasDemanda(conexao, demandaId, listas, callback) {
+    const comandos = [];
+
+    if (listas.atribuidos !== undefined) {
+        const { atribuidos } = normalizarDadosDemanda({ atribuidos: listas.atribuidos });
+        const ids = JSON.stringify(atribuidos.map(a => (a && typeof a === 'object' ? a.id : a)));
+
+        comandos.push({
+            sql: 'DELETE FROM demanda_atribuidos WHERE demandaId = ? AND usuarioId NOT IN (SELECT value FROM json_each(?))',
+            params: [demandaId, ids]
+        }, {
+            sql: `INSERT INTO demanda_atribuidos (demandaId, usuarioId, ordem)
+            SELECT ?, u.id, MIN(j.key) FROM json_each(?) j JOIN usuarios u ON u.id = j.value GROUP BY u.id
+            ON CONFLICT(demandaId, usuarioId) DO UPDATE SET ordem = excluded.ordem WHERE ordem IS NOT excluded.ordem`,
+            params: [demandaId, ids]
+        });
+    }
+
+    Object.entries(COLUNAS_ANEXOS).forEach(([etapa, campo]) => {
+        if (listas[campo] === undefined) return;
+
+        comandos.push({ sql: 'DELETE FROM demanda_anexos WHERE demandaId = ? AND etapa = ?', params: [demandaId, etapa] });
+        normalizarDadosDemanda({ [campo]: listas[campo] })[campo]
+            .map(anexo => (typeof anexo === 'string' ? { nome: anexo } : anexo))
+            .filter(anexo => anexo && typeof anexo === 'object')
+            .forEach(anexo => comandos.push({
+                sql: `INSERT INTO demanda_anexos (demandaId, etapa, arquivo, nome, tamanho, tipo, enviadoPor, dataEnvio)
+                VALUES (?, ?, ?, ?, ?, ?, (SELECT id FROM usuarios WHERE id = ?), ?)`,
+                params: [demandaId, etapa, anexo.arquivo || null, anexo.nome || anexo.arquivo || 'arquivo',
+                    anexo.tamanho || null, anexo.tipo || null, anexo.enviadoPor || null, anexo.dataEnvio || null]
+            }));
+    });
+
+    if (listas.comentariosUsuarios !== undefined) {
+        comandos.push({ sql: 'DELETE FROM demanda_comentarios WHERE demandaId = ?', params: [demandaId] });
+        normalizarDadosDemanda({ comentariosUsuarios: listas.comentariosUsuarios }).comentariosUsuarios
+            .filter(comentario => comentario && typeof comentario.texto === 'string' && comentario.texto.trim())
+            .forEach(comentario => comandos.push({
+                sql: `INSERT INTO demanda_comentarios (demandaId, usuarioId, autor, texto, dataCriacao)
+                VALUES (?, (SELECT id FROM usuarios WHERE id = ?), ?, ?, ?)`,
+                params: [demandaId, comentario.autorId || null, comentario.autor || null, comentario.texto,
+                    comentario.data || new Date().toISOString()]
+            }));
+    }
+
+    executarComandos(conexao, comandos, callback);
+}
+
 // Função para registrar auditoria
 const registrarAuditoria = (acao, tabela, registroId, dadosAntigos, dadosNovos, usuarioId, ip) => {
     const sql = `
@@ -403,878 +606,5791 @@ const validarDemanda = (req, res, next) => {
         return res.status(400).json({ success: false, error: 'Categoria é obrigatória' });
     }
 
-    if (!dataLimite) {
-        return res.status(400).json({ success: false, error: 'Data limite é obrigatória' });
+    // Sem data limite, o prazo vem da política de SLA aplicável
+    if (!dataLimite && !politicaSlaDaDemanda(req.body)) {
+        return res.status(400).json({ success: false, error: 'Data limite é obrigatória: nenhuma política de SLA se aplica a esta demanda' });
     }
 
     next();
 };
 
-// Rota principal
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+// Rotas de /api acessíveis sem token de acesso
+const ROTAS_PUBLICAS = ['/auth/login', '/auth/register', '/auth/reset-password', '/auth/reset-password/confirm'];
 
-// Health check melhorado
-app.get('/health', (req, res) => {
-    db.get('SELECT COUNT(*) as count FROM demandas', [], (err, row) => {
+// Rotas liberadas enquanto o usuário ainda precisa trocar a senha padrão
+const ROTAS_TROCA_SENHA = ['/auth/me', '/auth/change-password'];
+
+// Middleware de autenticação por token (JWT)
+const autenticarToken = (req, res, next) => {
+    if (ROTAS_PUBLICAS.includes(req.path)) return next();
+
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (!token) {
+        return res.status(401).json({ success: false, error: 'Token de acesso não fornecido' });
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, payload) => {
         if (err) {
-            console.error('Erro no health check:', err);
-            return res.status(500).json({
-                status: 'ERROR',
-                error: err.message,
-                timestamp: new Date().toISOString()
-            });
+            return res.status(401).json({ success: false, error: 'Sessão inválida ou expirada. Faça login novamente.' });
         }
 
-        res.json({
-            status: 'OK',
-            demandas: row.count,
-            uptime: process.uptime(),
-            timestamp: new Date().toISOString(),
-            memory: process.memoryUsage()
+        // O perfil vem sempre do banco, para que mudanças de role valham imediatamente
+        db.get('SELECT id, nome, email, role, deveTrocarSenha FROM usuarios WHERE id = ? AND ativo = 1', [payload.id], (err, usuario) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+            if (!usuario) {
+                return res.status(401).json({ success: false, error: 'Usuário não encontrado ou desativado. Faça login novamente.' });
+            }
+
+            if (usuario.deveTrocarSenha && !ROTAS_TROCA_SENHA.includes(req.path)) {
+                return res.status(403).json({
+                    success: false,
+                    codigo: 'TROCA_SENHA_OBRIGATORIA',
+                    error: 'Você precisa definir uma nova senha antes de continuar.'
+                });
+            }
+
+            req.usuario = usuario;
+            next();
         });
     });
-});
-
-// GET /api/demandas - Listar demandas
-app.get('/api/demandas', (req, res) => {
-    const { status, funcionarioId, categoria, prioridade, month, year } = req.query;
+};
 
-    let sql = 'SELECT * FROM demandas WHERE 1=1';
-    const params = [];
+// Ações exclusivas de gestores e a descrição usada nas mensagens de acesso negado
+const ACOES_GESTOR = {
+    estender_prazo: 'estender prazos',
+    reatribuir: 'reatribuir demandas',
+    excluir: 'excluir demandas',
+    importar: 'importar demandas em lote',
+    restaurar: 'restaurar backups',
+    backup: 'gerar, baixar ou excluir backups',
+    feedback: 'registrar feedbacks',
+    usuarios: 'administrar usuários',
+    feriados: 'administrar o calendário de feriados',
+    sla: 'configurar políticas de SLA e calendários de trabalho',
+    emails: 'enviar cobranças e administrar os emails do sistema',
+    conquistas: 'configurar as regras de conquistas',
+    relatorios: 'gerar relatórios',
+    auditoria: 'consultar a auditoria',
+    lixeira: 'consultar e restaurar a lixeira'
+};
 
-    if (status) {
-        sql += ' AND status = ?';
-        params.push(status);
-    }
+// Verificar se o usuário é o dono ou um dos atribuídos da demanda
+function usuarioEnvolvidoNaDemanda(usuario, demanda) {
+    if (!usuario || !demanda) return false;
+    if (demanda.funcionarioId == usuario.id) return true;
 
-    if (funcionarioId) {
-        sql += ' AND funcionarioId = ?';
-        params.push(funcionarioId);
-    }
+    const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
+    return atribuidos.some(a => a && a.id == usuario.id);
+}
 
-    if (categoria) {
-        sql += ' AND categoria = ?';
-        params.push(categoria);
-    }
+// Responder 403 e registrar a tentativa na auditoria
+function negarAcesso(req, res, motivo, tabela = 'demandas', registroId = 0) {
+    registrarAuditoria(
+        'FORBIDDEN',
+        tabela,
+        registroId || 0,
+        null,
+        { metodo: req.method, rota: req.originalUrl, role: req.usuario.role, motivo },
+        req.usuario.id,
+        req.ip
+    );
+
+    return res.status(403).json({ success: false, error: motivo });
+}
 
-    if (prioridade) {
-        sql += ' AND prioridade = ?';
-        params.push(prioridade);
-    }
+// Middleware que restringe a rota aos gestores
+const exigirGestor = (acao, tabela = 'demandas') => (req, res, next) => {
+    if (req.usuario.role === 'gestor') return next();
+    negarAcesso(req, res, `Apenas gestores podem ${ACOES_GESTOR[acao]}.`, tabela, req.params.id);
+};
 
-    // Filtros de mês e ano
-    if (month || year) {
-        if (month && year) {
-            sql += ' AND strftime("%m", dataCriacao) = ? AND strftime("%Y", dataCriacao) = ?';
-            params.push(month.padStart(2, '0'), year);
-        } else if (month) {
-            sql += ' AND strftime("%m", dataCriacao) = ?';
-            params.push(month.padStart(2, '0'));
-        } else if (year) {
-            sql += ' AND strftime("%Y", dataCriacao) = ?';
-            params.push(year);
-        }
-    }
+// Autenticar conexões de tempo real com o mesmo token da API
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) return next(new Error('Token de acesso não fornecido'));
 
-    sql += ' ORDER BY dataCriacao DESC';
+    jwt.verify(token, JWT_SECRET, (err, payload) => {
+        if (err) return next(new Error('Sessão inválida ou expirada'));
 
-    db.all(sql, params, (err, rows) => {
-        if (err) {
-            console.error('Erro ao buscar demandas:', err);
-            return res.status(500).json({ success: false, error: err.message });
-        }
+        db.get('SELECT id, nome, role, local, deveTrocarSenha FROM usuarios WHERE id = ? AND ativo = 1', [payload.id], (err, usuario) => {
+            if (err) return next(new Error('Erro ao validar usuário'));
+            if (!usuario || usuario.deveTrocarSenha) return next(new Error('Usuário sem acesso ao tempo real'));
 
-        // Normalizar cada demanda antes de enviar
-        const demandasNormalizadas = rows.map(demanda => normalizarDadosDemanda(demanda));
-        res.json(demandasNormalizadas);
+            socket.usuario = usuario;
+            next();
+        });
     });
 });
 
-// GET /api/usuarios
-app.get('/api/usuarios', (req, res) => {
-    db.all('SELECT * FROM usuarios', [], (err, rows) => {
-        if (err) return res.status(500).json({ success: false, error: err.message });
-        res.json(rows);
-    });
-});
+// Salas: uma por usuário, uma por local e uma para todos os gestores
+io.on('connection', (socket) => {
+    const { usuario } = socket;
 
-// POST /api/demandas - Criar nova demanda
-app.post('/api/demandas', validarDemanda, (req, res) => {
-    const d = req.body;
+    socket.join(`usuario:${usuario.id}`);
+    if (usuario.local) socket.join(`local:${usuario.local}`);
+    if (usuario.role === 'gestor') socket.join('gestores');
 
-    // Normalizar dados antes de salvar
-    const dadosNormalizados = normalizarDadosDemanda(d);
+    console.log(`🔌 Tempo real conectado: ${usuario.nome} (${socket.id})`);
+    socket.on('disconnect', () => {
+        console.log(`🔌 Tempo real desconectado: ${usuario.nome} (${socket.id})`);
+    });
+});
 
-    // Gerar TAG única se não fornecida
-    if (!dadosNormalizados.tag) {
-        dadosNormalizados.tag = `DEM-${Date.now()}`;
-    }
+// Tipos de evento emitidos para as alterações de demandas
+const EVENTOS_DEMANDA = {
+    CRIADA: 'demanda:criada',
+    ATUALIZADA: 'demanda:atualizada',
+    STATUS_ALTERADO: 'demanda:status_alterado',
+    REATRIBUIDA: 'demanda:reatribuida',
+    PRAZO_ESTENDIDO: 'demanda:prazo_estendido',
+    COMENTARIO_ADICIONADO: 'demanda:comentario_adicionado',
+    EXCLUIDA: 'demanda:excluida',
+    RESTAURADA: 'demanda:restaurada'
+};
 
-    const sql = `
-    INSERT INTO demandas
-    (funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade, descricao, local, dataCriacao, dataLimite, status, isRotina, diasSemana, tag, comentarios, comentarioGestor, atribuidos, anexosCriacao, nomeDemanda, criadoPor, comentariosUsuarios)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
+// Salas interessadas em uma demanda: dono, atribuídos, local e gestores
+function salasDaDemanda(...demandas) {
+    const salas = new Set(['gestores']);
 
-    const params = [
-        dadosNormalizados.funcionarioId,
-        dadosNormalizados.nomeFuncionario,
-        dadosNormalizados.emailFuncionario,
-        dadosNormalizados.categoria,
-        dadosNormalizados.prioridade,
-        dadosNormalizados.complexidade,
-        dadosNormalizados.descricao,
-        dadosNormalizados.local,
-        dadosNormalizados.dataCriacao || new Date().toISOString(),
-        dadosNormalizados.dataLimite,
-        dadosNormalizados.status || 'pendente',
-        dadosNormalizados.isRotina ? 1 : 0,
-        JSON.stringify(dadosNormalizados.diasSemana),
-        dadosNormalizados.tag,
-        dadosNormalizados.comentarios || '',
-        dadosNormalizados.comentarioGestor || '',
-        JSON.stringify(dadosNormalizados.atribuidos),
-        JSON.stringify(dadosNormalizados.anexosCriacao),
-        dadosNormalizados.nomeDemanda,
-        dadosNormalizados.funcionarioId,
-        JSON.stringify(dadosNormalizados.comentariosUsuarios || [])
-    ];
+    demandas.filter(Boolean).forEach(demanda => {
+        const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
 
-    db.run(sql, params, function(err) {
-        if (err) {
-            console.error('Erro ao criar demanda:', err);
-            return res.status(500).json({ success: false, error: err.message });
-        }
+        if (demanda.funcionarioId) salas.add(`usuario:${demanda.funcionarioId}`);
+        atribuidos.forEach(a => a && a.id && salas.add(`usuario:${a.id}`));
+        if (demanda.local) salas.add(`local:${demanda.local}`);
+    });
 
-        // Registrar auditoria
-        registrarAuditoria(
-            'CREATE',
-            'demandas',
-            this.lastID,
-            null,
-            dadosNormalizados,
-            dadosNormalizados.funcionarioId,
-            req.ip
-        );
+    return [...salas];
+}
 
-        res.json({
-            success: true,
-            demanda: { id: this.lastID, ...dadosNormalizados, dataCriacao: params[8] }
-        });
+// Emitir um evento de demanda para as salas interessadas (sem devolver ao socket que originou a ação)
+function emitirEventoDemanda(req, tipo, demanda, { demandaAnterior = null, detalhes = {} } = {}) {
+    const origem = req.get('X-Socket-Id');
+    let destino = io.to(salasDaDemanda(demanda, demandaAnterior));
+    if (origem) destino = destino.except(origem);
+
+    destino.emit(tipo, {
+        tipo,
+        demanda: normalizarDadosDemanda({ ...demanda }),
+        autor: { id: req.usuario.id, nome: req.usuario.nome },
+        detalhes,
+        dataHora: new Date().toISOString()
     });
-});
+}
 
-// PUT /api/demandas/:id - Atualizar demanda
-app.put('/api/demandas/:id', (req, res) => {
-    const id = req.params.id;
-    const d = req.body;
+// ========== FLUXO DE STATUS ==========
 
-    // Buscar demanda existente
-    db.get('SELECT * FROM demandas WHERE id = ?', [id], (err, demandaExistente) => {
-        if (err) {
-            console.error('Erro ao buscar demanda:', err);
-            return res.status(500).json({ success: false, error: err.message });
-        }
+// Status possíveis de uma demanda
+const STATUS_DEMANDA = {
+    PENDENTE: 'pendente',
+    ATRIBUIDA_PENDENTE_ACEITACAO: 'atribuida_pendente_aceitacao',
+    FINALIZADO_PENDENTE_APROVACAO: 'finalizado_pendente_aprovacao',
+    APROVADA: 'aprovada',
+    REPROVADA: 'reprovada',
+    REPROVADA_PELO_ATRIBUIDO: 'reprovada_pelo_atribuido'
+};
 
-        if (!demandaExistente) {
-            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
-        }
+// Como cada papel aparece nas mensagens de acesso negado
+const NOMES_PAPEIS = { gestor: 'gestores', dono: 'o dono', atribuido: 'os atribuídos' };
 
-        // Normalizar dados antes de atualizar
-        const dadosNormalizados = normalizarDadosDemanda(d);
+// Papéis que o usuário exerce na demanda
+function papeisNaDemanda(usuario, demanda) {
+    const papeis = [];
+    if (usuario.role === 'gestor') papeis.push('gestor');
+    if (demanda.funcionarioId == usuario.id) papeis.push('dono');
+
+    const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
+    if (atribuidos.some(a => a && a.id == usuario.id)) papeis.push('atribuido');
+
+    return papeis;
+}
+
+// Máquina de estados das demandas: de quais status cada ação parte, para qual leva, quais papéis
+// podem executá-la e quais campos exige. 'aplicar' devolve as demais colunas alteradas pela ação.
+const TRANSICOES_DEMANDA = {
+    resolver: {
+        rotulo: 'Resolver',
+        de: [STATUS_DEMANDA.PENDENTE, STATUS_DEMANDA.REPROVADA, STATUS_DEMANDA.REPROVADA_PELO_ATRIBUIDO],
+        para: STATUS_DEMANDA.FINALIZADO_PENDENTE_APROVACAO,
+        papeis: ['dono', 'atribuido'],
+        exige: [],
+        auditoria: 'RESOLVE',
+        // O SLA fica pausado enquanto a demanda aguarda aprovação
+        aplicar: (demanda, dados, callback) => callback(null, {
+            comentarios: dados.comentarios !== undefined ? String(dados.comentarios) : demanda.comentarios,
+            dataConclusao: new Date().toISOString(),
+            slaPausadoEm: new Date().toISOString()
+        })
+    },
+    aprovar: {
+        rotulo: 'Aprovar',
+        de: [STATUS_DEMANDA.FINALIZADO_PENDENTE_APROVACAO],
+        para: STATUS_DEMANDA.APROVADA,
+        papeis: ['gestor'],
+        exige: [],
+        auditoria: 'APPROVE',
+        aplicar: (demanda, dados, callback) => callback(null, { dataConclusao: new Date().toISOString() })
+    },
+    reprovar: {
+        rotulo: 'Reprovar',
+        de: [STATUS_DEMANDA.FINALIZADO_PENDENTE_APROVACAO],
+        para: STATUS_DEMANDA.REPROVADA,
+        papeis: ['gestor'],
+        exige: ['motivo'],
+        auditoria: 'REJECT',
+        aplicar: (demanda, dados, callback) => {
+            const campos = { comentarioGestor: dados.motivo, dataConclusao: new Date().toISOString(), slaPausadoEm: null };
+
+            // A reprovação pode devolver a demanda com um novo prazo; sem ele, o prazo é estendido
+            // pelo tempo útil em que o SLA ficou pausado
+            if (dados.novaDataLimite) {
+                if (isNaN(new Date(dados.novaDataLimite).getTime())) {
+                    return callback({ status: 400, error: 'Nova data limite inválida' });
+                }
+                campos.dataLimite = dados.novaDataLimite;
+            } else if (demanda.slaPausadoEm) {
+                campos.dataLimite = prazoAposPausaSla(demanda);
+            }
+
+            callback(null, campos, { motivo: dados.motivo });
+        }
+    },
+    aceitar: {
+        rotulo: 'Aceitar',
+        de: [STATUS_DEMANDA.ATRIBUIDA_PENDENTE_ACEITACAO],
+        para: STATUS_DEMANDA.PENDENTE,
+        papeis: ['atribuido'],
+        exige: [],
+        auditoria: 'ACCEPT',
+        aplicar: (demanda, dados, callback) => callback(null, {})
+    },
+    recusar: {
+        rotulo: 'Recusar',
+        de: [STATUS_DEMANDA.ATRIBUIDA_PENDENTE_ACEITACAO],
+        para: STATUS_DEMANDA.REPROVADA_PELO_ATRIBUIDO,
+        papeis: ['atribuido'],
+        exige: ['motivo'],
+        auditoria: 'DECLINE',
+        aplicar: (demanda, dados, callback) => callback(null, { comentarioReprovacaoAtribuicao: dados.motivo }, { motivo: dados.motivo })
+    },
+    reatribuir: {
+        rotulo: 'Reatribuir',
+        de: [STATUS_DEMANDA.PENDENTE, STATUS_DEMANDA.ATRIBUIDA_PENDENTE_ACEITACAO, STATUS_DEMANDA.REPROVADA, STATUS_DEMANDA.REPROVADA_PELO_ATRIBUIDO],
+        para: STATUS_DEMANDA.ATRIBUIDA_PENDENTE_ACEITACAO,
+        papeis: ['gestor'],
+        exige: ['novoAtribuidoId', 'motivo'],
+        auditoria: 'REASSIGN',
+        evento: EVENTOS_DEMANDA.REATRIBUIDA,
+        aplicar: (demanda, dados, callback) => {
+            db.get('SELECT id, nome, email FROM usuarios WHERE id = ? AND ativo = 1', [dados.novoAtribuidoId], (err, novoUsuario) => {
+                if (err) return callback({ status: 500, error: err.message });
+                if (!novoUsuario) return callback({ status: 404, error: 'Usuário não encontrado' });
+
+                const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
+                if (!atribuidos.some(a => a.id == novoUsuario.id)) {
+                    atribuidos.push({ id: novoUsuario.id, nome: novoUsuario.nome, email: novoUsuario.email });
+                }
+
+                const comentarioAtual = demanda.comentarioGestor || '';
+                callback(null, {
+                    atribuidos,
+                    comentarioGestor: `${comentarioAtual}\n[Reatribuído em ${new Date().toLocaleDateString('pt-BR')} para ${novoUsuario.nome}: ${dados.motivo}]`
+                }, { novoAtribuido: { id: novoUsuario.id, nome: novoUsuario.nome }, motivo: dados.motivo });
+            });
+        }
+    }
+};
+
+// Ações do fluxo que o usuário pode executar na demanda no status atual
+function listarAcoesDisponiveis(usuario, demanda) {
+    const papeis = papeisNaDemanda(usuario, demanda);
+
+    return Object.entries(TRANSICOES_DEMANDA)
+        .filter(([, transicao]) => transicao.de.includes(demanda.status) && transicao.papeis.some(p => papeis.includes(p)))
+        .map(([acao, transicao]) => ({ acao, rotulo: transicao.rotulo, para: transicao.para, exige: transicao.exige }));
+}
+
+// Validar e aplicar uma ação do fluxo de status, respondendo à requisição
+function executarTransicao(req, res, acao) {
+    const transicao = TRANSICOES_DEMANDA[acao];
+    if (!transicao) {
+        return res.status(404).json({
+            success: false,
+            error: `Ação desconhecida: ${acao}. Use: ${Object.keys(TRANSICOES_DEMANDA).join(', ')}`
+        });
+    }
+
+    const id = req.params.id;
+    const dados = req.body || {};
+
+    buscarDemanda(id, (err, demanda) => {
+        if (err) {
+            console.error('Erro ao buscar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!demanda) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+        }
+
+        const papeis = papeisNaDemanda(req.usuario, demanda);
+        if (!transicao.papeis.some(p => papeis.includes(p))) {
+            const permitidos = transicao.papeis.map(p => NOMES_PAPEIS[p]).join(' ou ');
+            return negarAcesso(req, res, `Apenas ${permitidos} podem ${acao} esta demanda.`, 'demandas', id);
+        }
+
+        if (!transicao.de.includes(demanda.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Não é possível ${acao} uma demanda com status "${demanda.status.replace(/_/g, ' ')}".`,
+                status: demanda.status,
+                acoesDisponiveis: listarAcoesDisponiveis(req.usuario, demanda).map(a => a.acao)
+            });
+        }
+
+        const faltantes = transicao.exige.filter(campo => dados[campo] === undefined || dados[campo] === null || String(dados[campo]).trim() === '');
+        if (faltantes.length > 0) {
+            return res.status(400).json({ success: false, error: `Campos obrigatórios para ${acao}: ${faltantes.join(', ')}` });
+        }
+
+        transicao.aplicar(demanda, dados, (erro, campos = {}, detalhes = {}) => {
+            if (erro) return res.status(erro.status).json({ success: false, error: erro.error });
+
+            // Os atribuídos ficam em demanda_atribuidos e são gravados depois da troca de status
+            const { atribuidos, ...colunasAlteradas } = campos;
+            const alteracoes = { status: transicao.para, ...colunasAlteradas, dataAtualizacao: new Date().toISOString(), atualizadoPor: req.usuario.id };
+            const colunas = Object.keys(alteracoes);
+
+            const listas = atribuidos !== undefined ? { atribuidos } : {};
+
+            // Status e atribuídos são gravados juntos: uma falha no meio não deixa a ação pela metade
+            emTransacao((conexao, concluir) => {
+                // O status lido precisa ser o mesmo na gravação, para que duas ações simultâneas não se sobreponham
+                conexao.run(`UPDATE demandas SET ${colunas.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND status = ?`,
+                    [...colunas.map(c => alteracoes[c]), id, demanda.status], function(err) {
+                    if (err) return concluir(err);
+
+                    if (this.changes === 0) {
+                        return concluir({ status: 409, error: 'O status da demanda mudou enquanto a ação era processada. Atualize e tente novamente.' });
+                    }
+
+                    gravarListasDemanda(conexao, id, listas, concluir);
+                });
+            }, (err) => {
+                if (err && err.status) return res.status(err.status).json({ success: false, error: err.error });
+                if (err) {
+                    console.error(`Erro ao ${acao} demanda:`, err);
+                    return res.status(500).json({ success: false, error: err.message });
+                }
+
+                const novos = { ...alteracoes, ...listas };
+                const anteriores = {};
+                Object.keys(novos).forEach(c => { anteriores[c] = demanda[c]; });
+                registrarAuditoria(transicao.auditoria, 'demandas', id, anteriores, { acao, ...novos }, req.usuario.id, req.ip);
+
+                if ([STATUS_DEMANDA.APROVADA, STATUS_DEMANDA.REPROVADA].includes(transicao.para)) {
+                    criarBackup('status_change');
+                }
+                if (transicao.para === STATUS_DEMANDA.APROVADA) {
+                    atualizarPontuacaoUsuarios();
+                }
+
+                buscarDemanda(id, (err, demandaAtualizada) => {
+                    if (err) {
+                        console.error('Erro ao buscar demanda atualizada:', err);
+                        return res.status(500).json({ success: false, error: err.message });
+                    }
+
+                    emitirEventoDemanda(req, transicao.evento || EVENTOS_DEMANDA.STATUS_ALTERADO, demandaAtualizada, {
+                        demandaAnterior: demanda,
+                        detalhes: { acao, statusAnterior: demanda.status, statusNovo: transicao.para, ...detalhes }
+                    });
+                    gerarNotificacoesDemanda(req, demandaAtualizada, demanda);
+
+                    res.json({
+                        success: true,
+                        demanda: normalizarDadosDemanda(demandaAtualizada),
+                        acoesDisponiveis: listarAcoesDisponiveis(req.usuario, demandaAtualizada)
+                    });
+                });
+            });
+        });
+    });
+}
+
+// ========== SLA ==========
+
+// Unidades de prazo das políticas: dias úteis (jornadas do calendário do local) ou horas úteis
+const UNIDADES_SLA = ['dias', 'horas'];
+
+// Critérios das políticas; critério vazio vale para qualquer valor
+const CRITERIOS_SLA = ['prioridade', 'complexidade', 'categoria'];
+
+// Usado quando o banco ainda não tem calendário padrão
+const CALENDARIO_PADRAO = { local: '', diasSemana: [1, 2, 3, 4, 5], inicio: 8 * 60, fim: 17 * 60 };
+
+// Quantos dias os cálculos percorrem no máximo (um calendário sem dias úteis não prende o servidor)
+const LIMITE_DIAS_SLA = 3660;
+
+const FORMATO_HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Calendários, feriados e políticas ativas ficam em memória: o SLA é calculado em toda demanda
+// devolvida pela API. Recarregados a cada alteração (e depois de restaurar um backup).
+let dadosSla = { calendarios: new Map(), feriados: [], politicas: [] };
+
+const minutosDoHorario = (horario) => {
+    const [horas, minutos] = horario.split(':').map(Number);
+    return horas * 60 + minutos;
+};
+
+function lerCalendario(row) {
+    let diasSemana;
+    try {
+        diasSemana = JSON.parse(row.diasSemana);
+    } catch (e) {
+        diasSemana = CALENDARIO_PADRAO.diasSemana;
+    }
+    return { id: row.id, local: row.local, diasSemana, inicio: minutosDoHorario(row.inicioExpediente), fim: minutosDoHorario(row.fimExpediente) };
+}
+
+function carregarDadosSla(callback = () => {}) {
+    db.all('SELECT * FROM calendarios_trabalho', [], (err, calendarios) => {
+        if (err) return callback(err);
+
+        db.all('SELECT data, local, anual FROM feriados', [], (err, feriados) => {
+            if (err) return callback(err);
+
+            db.all('SELECT * FROM politicas_sla WHERE ativa = 1', [], (err, politicas) => {
+                if (err) return callback(err);
+
+                dadosSla = { calendarios: new Map(calendarios.map(c => [c.local, lerCalendario(c)])), feriados, politicas };
+                callback(null);
+            });
+        });
+    });
+}
+
+function recarregarDadosSla() {
+    carregarDadosSla((err) => {
+        if (err) console.error('Erro ao recarregar calendários e políticas de SLA:', err);
+    });
+}
+
+function calendarioDoLocal(local) {
+    return dadosSla.calendarios.get(local || '') || dadosSla.calendarios.get('') || CALENDARIO_PADRAO;
+}
+
+// Mesma regra de buscarFeriado: feriados sem local valem para todos; os anuais comparam mês e dia
+function ehFeriado(data, local) {
+    return dadosSla.feriados.some(f => (!f.local || f.local === local) && (f.data === data || (f.anual && f.data.slice(5) === data.slice(5))));
+}
+
+// Expediente do dia (data local à meia-noite) no local, ou null se o dia não for útil
+function expedienteDoDia(dia, local) {
+    const calendario = calendarioDoLocal(local);
+    if (!calendario.diasSemana.includes(dia.getDay()) || ehFeriado(dataLocalISO(dia), local)) return null;
+
+    const inicio = new Date(dia);
+    inicio.setMinutes(calendario.inicio);
+    const fim = new Date(dia);
+    fim.setMinutes(calendario.fim);
+    return { inicio, fim };
+}
+
+// Percorrer os expedientes a partir do dia de 'data' até a função devolver algo diferente de undefined
+function percorrerExpedientes(data, local, visitar) {
+    const dia = new Date(data.getFullYear(), data.getMonth(), data.getDate());
+
+    for (let i = 0; i < LIMITE_DIAS_SLA; i++) {
+        const expediente = expedienteDoDia(dia, local);
+        if (expediente) {
+            const resultado = visitar(expediente);
+            if (resultado !== undefined) return resultado;
+        }
+        dia.setDate(dia.getDate() + 1);
+    }
+    return null;
+}
+
+// Minutos úteis entre dois instantes
+function minutosUteisEntre(inicio, fim, local) {
+    if (fim <= inicio) return 0;
+
+    let total = 0;
+    percorrerExpedientes(inicio, local, (expediente) => {
+        if (expediente.inicio >= fim) return true;
+        const de = Math.max(inicio, expediente.inicio);
+        const ate = Math.min(fim, expediente.fim);
+        if (ate > de) total += (ate - de) / 60000;
+        return undefined;
+    });
+    return total;
+}
+
+// Instante em que se completam 'minutos' úteis a partir de 'inicio' (null se o calendário não tiver dias úteis)
+function somarMinutosUteis(inicio, minutos, local) {
+    let restantes = minutos;
+    return percorrerExpedientes(inicio, local, (expediente) => {
+        const de = new Date(Math.max(inicio, expediente.inicio));
+        const disponiveis = (expediente.fim - de) / 60000;
+        if (disponiveis <= 0) return undefined;
+        if (restantes <= disponiveis) return new Date(de.getTime() + restantes * 60000);
+        restantes -= disponiveis;
+        return undefined;
+    });
+}
+
+// Se o relógio do SLA corre agora no local e até quando fica assim
+function estadoRelogioSla(agora, local) {
+    return percorrerExpedientes(agora, local, (expediente) => {
+        if (expediente.fim <= agora) return undefined;
+        return expediente.inicio <= agora
+            ? { ativo: true, ate: expediente.fim }
+            : { ativo: false, ate: expediente.inicio };
+    }) || { ativo: false, ate: null };
+}
+
+// Política aplicável à demanda: a de mais critérios preenchidos que casam com ela (empate: a mais antiga)
+function politicaSlaDaDemanda(demanda) {
+    const especificidade = (politica) => CRITERIOS_SLA.filter(c => politica[c]).length;
+
+    return dadosSla.politicas
+        .filter(politica => CRITERIOS_SLA.every(c => !politica[c] || politica[c] === demanda[c]))
+        .sort((a, b) => especificidade(b) - especificidade(a) || a.id - b.id)[0] || null;
+}
+
+// Prazo de uma política em minutos úteis no calendário do local
+function minutosDaPoliticaSla(politica, local) {
+    const calendario = calendarioDoLocal(local);
+    return politica.unidade === 'horas' ? politica.prazo * 60 : politica.prazo * (calendario.fim - calendario.inicio);
+}
+
+// Prazo definido pela política para uma demanda aberta em 'inicio' ({ politica, dataLimite } ou null)
+function prazoPelaPoliticaSla(demanda, inicio = new Date()) {
+    const politica = politicaSlaDaDemanda(demanda);
+    if (!politica) return null;
+
+    const limite = somarMinutosUteis(inicio, minutosDaPoliticaSla(politica, demanda.local), demanda.local);
+    return limite ? { politica, dataLimite: limite.toISOString() } : null;
+}
+
+// Política e prazo de uma demanda editada ({ slaPoliticaId, dataLimite } ou { erro }). A política escolhida
+// pelo gestor, ou a que passa a valer quando mudam os critérios ou o local, recalcula o prazo desde a criação,
+// mantendo o tempo útil que o prazo anterior já tinha ganho com pausas e prorrogações.
+function prazoSlaNaEdicao(existente, dados) {
+    const mudou = (campo) => dados[campo] !== undefined && String(dados[campo] ?? '') !== String(existente[campo] ?? '');
+
+    // Uma data limite informada à mão deixa de seguir a política
+    if (mudou('dataLimite') && !mudou('slaPoliticaId')) return { slaPoliticaId: null, dataLimite: dados.dataLimite };
+
+    let politica;
+    if (mudou('slaPoliticaId')) {
+        if (dados.slaPoliticaId === null || dados.slaPoliticaId === '') {
+            return { slaPoliticaId: null, dataLimite: dados.dataLimite ?? existente.dataLimite };
+        }
+        politica = dadosSla.politicas.find(p => p.id === Number(dados.slaPoliticaId));
+        if (!politica) return { erro: 'Política de SLA não encontrada ou inativa' };
+    } else if (existente.slaPoliticaId && [...CRITERIOS_SLA, 'local'].some(mudou)) {
+        politica = politicaSlaDaDemanda({ ...existente, ...dados });
+        if (!politica) return { slaPoliticaId: null, dataLimite: existente.dataLimite };
+    } else {
+        return { slaPoliticaId: existente.slaPoliticaId ?? null, dataLimite: existente.dataLimite };
+    }
+
+    const local = dados.local ?? existente.local;
+    const criacao = new Date(existente.dataCriacao);
+    const inicio = isNaN(criacao.getTime()) ? new Date() : criacao;
+
+    const anterior = dadosSla.politicas.find(p => p.id === existente.slaPoliticaId);
+    const prazoAnterior = anterior && somarMinutosUteis(inicio, minutosDaPoliticaSla(anterior, existente.local), existente.local);
+    const limiteAtual = limiteSla(existente);
+    const ganho = prazoAnterior && limiteAtual ? minutosUteisEntre(prazoAnterior, limiteAtual, existente.local) : 0;
+
+    const limite = somarMinutosUteis(inicio, minutosDaPoliticaSla(politica, local) + ganho, local);
+    if (!limite) return { erro: 'Não foi possível calcular o prazo: o calendário do local não tem dias úteis' };
+    return { slaPoliticaId: politica.id, dataLimite: limite.toISOString() };
+}
+
+// Instante do prazo. Datas sem hora (AAAA-MM-DD) vencem no fim do expediente do dia.
+function limiteSla(demanda) {
+    if (!demanda.dataLimite) return null;
+
+    if (FORMATO_DATA.test(demanda.dataLimite)) {
+        const [ano, mes, dia] = demanda.dataLimite.split('-').map(Number);
+        return new Date(ano, mes - 1, dia, 0, calendarioDoLocal(demanda.local).fim);
+    }
+
+    const limite = new Date(demanda.dataLimite);
+    return isNaN(limite.getTime()) ? null : limite;
+}
+
+// Campos de SLA da demanda. O relógio para quando a demanda é resolvida (aguardando aprovação) e não
+// volta a correr depois de aprovada; demandas anteriores ao SLA usam a data de conclusão como parada.
+function calcularSla(demanda, agora = new Date()) {
+    const prazo = limiteSla(demanda);
+    if (!prazo) return null;
+
+    const pausado = demanda.status === STATUS_DEMANDA.FINALIZADO_PENDENTE_APROVACAO;
+    const encerrado = demanda.status === STATUS_DEMANDA.APROVADA;
+    const parada = (pausado || encerrado) ? new Date(demanda.slaPausadoEm || demanda.dataConclusao || agora) : null;
+    const referencia = parada && !isNaN(parada.getTime()) ? parada : agora;
+
+    const estourado = referencia > prazo;
+    const relogio = pausado || encerrado ? { ativo: false, ate: null } : estadoRelogioSla(agora, demanda.local);
+    const politica = demanda.slaPoliticaId ? dadosSla.politicas.find(p => p.id === demanda.slaPoliticaId) : null;
+    const calendario = calendarioDoLocal(demanda.local);
+
+    return {
+        politicaId: demanda.slaPoliticaId || null,
+        politica: politica ? politica.nome : null,
+        prazo: prazo.toISOString(),
+        situacao: encerrado ? 'encerrado' : pausado ? 'pausado' : 'em_andamento',
+        pausadoEm: pausado || encerrado ? referencia.toISOString() : null,
+        minutosUteisRestantes: estourado ? 0 : Math.round(minutosUteisEntre(referencia, prazo, demanda.local)),
+        estourado,
+        minutosUteisEstourados: estourado ? Math.round(minutosUteisEntre(prazo, referencia, demanda.local)) : 0,
+        minutosJornada: calendario.fim - calendario.inicio,
+        relogioAtivo: relogio.ativo,
+        proximaMudanca: relogio.ate ? relogio.ate.toISOString() : null,
+        calculadoEm: agora.toISOString()
+    };
+}
+
+// Atraso da demanda segundo o SLA (expediente do local, pausa aguardando aprovação, prazos com hora):
+// { atrasada, diasUteisAtraso }, com os dias contados em jornadas do expediente
+function atrasoPeloSla(demanda, agora = new Date()) {
+    const sla = calcularSla(demanda, agora);
+    if (!sla || !sla.estourado) return { atrasada: false, diasUteisAtraso: 0 };
+
+    return { atrasada: true, diasUteisAtraso: Math.round(sla.minutosUteisEstourados / sla.minutosJornada * 10) / 10 };
+}
+
+// Prazo ao retomar o trabalho depois da pausa: estendido pelo tempo útil em que ficou aguardando aprovação
+function prazoAposPausaSla(demanda, agora = new Date()) {
+    const prazo = limiteSla(demanda);
+    const pausadoEm = new Date(demanda.slaPausadoEm);
+    if (!prazo || isNaN(pausadoEm.getTime())) return demanda.dataLimite;
+
+    const pausa = minutosUteisEntre(pausadoEm, agora, demanda.local);
+    if (pausa === 0) return demanda.dataLimite;
+
+    const novoPrazo = somarMinutosUteis(prazo, pausa, demanda.local);
+    return novoPrazo ? novoPrazo.toISOString() : demanda.dataLimite;
+}
+
+// ========== NOTIFICAÇÕES ==========
+
+// Antecedência (em horas) do aviso de prazo próximo do vencimento
+const HORAS_AVISO_PRAZO = parseInt(process.env.HORAS_AVISO_PRAZO) || 24;
+
+// Status em que a demanda ainda depende de trabalho do responsável
+const STATUS_EM_ABERTO = [
+    STATUS_DEMANDA.PENDENTE,
+    STATUS_DEMANDA.ATRIBUIDA_PENDENTE_ACEITACAO,
+    STATUS_DEMANDA.REPROVADA,
+    STATUS_DEMANDA.REPROVADA_PELO_ATRIBUIDO
+];
+
+// Gravar uma notificação para cada destinatário e avisá-lo em tempo real
+function notificarUsuarios(destinatarios, { tipo = 'info', titulo, mensagem, demanda = null, chave = null }, autorId = null) {
+    const ids = [...new Set(destinatarios.map(Number))].filter(id => id && id !== autorId);
+
+    ids.forEach(usuarioId => {
+        db.run(`
+        INSERT OR IGNORE INTO notificacoes (usuarioId, tipo, titulo, mensagem, demandaId, tag, chave, dataCriacao)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [usuarioId, tipo, titulo, mensagem, demanda ? demanda.id : null, demanda ? demanda.tag : null, chave, new Date().toISOString()], function(err) {
+            if (err) return console.error('Erro ao criar notificação:', err);
+            // Notificação com a mesma chave já existia
+            if (this.changes === 0) return;
+
+            db.get('SELECT * FROM notificacoes WHERE id = ?', [this.lastID], (err, notificacao) => {
+                if (err || !notificacao) return;
+                io.to(`usuario:${usuarioId}`).emit('notificacao:nova', formatarNotificacao(notificacao));
+            });
+        });
+    });
+}
+
+function formatarNotificacao(notificacao) {
+    return { ...notificacao, prioridade: Boolean(notificacao.prioridade), lida: Boolean(notificacao.lida) };
+}
+
+// Buscar os gestores ativos responsáveis pelo local (gestores sem local atendem todos)
+function buscarGestoresDoLocal(local, callback) {
+    db.all(`
+    SELECT id, nome, email FROM usuarios
+    WHERE role = 'gestor' AND ativo = 1 AND (local IS NULL OR local = '' OR local = ?)
+    `, [local || ''], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar gestores do local:', err);
+            return callback([]);
+        }
+        callback(rows);
+    });
+}
+
+// Gerar as notificações de uma alteração de demanda comparando o estado anterior com o novo
+function gerarNotificacoesDemanda(req, demanda, demandaAnterior = null) {
+    const autorId = req.usuario.id;
+    const autor = req.usuario.nome;
+    const nome = demanda.nomeDemanda || demanda.tag;
+    const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
+    const atribuidosAntes = demandaAnterior
+        ? normalizarDadosDemanda({ atribuidos: demandaAnterior.atribuidos }).atribuidos
+        : [];
+    const envolvidos = [demanda.funcionarioId, ...atribuidos.map(a => a.id)];
+
+    if (!demandaAnterior) {
+        buscarGestoresDoLocal(demanda.local, (gestores) => {
+            notificarUsuarios(gestores.map(g => g.id), {
+                titulo: 'Nova Demanda',
+                mensagem: `${autor} criou a demanda "${nome}".`,
+                demanda
+            }, autorId);
+        });
+    }
+
+    const novosAtribuidos = atribuidos.filter(a => a && !atribuidosAntes.some(antes => antes.id == a.id));
+    if (novosAtribuidos.length > 0) {
+        notificarUsuarios(novosAtribuidos.map(a => a.id), {
+            titulo: 'Nova Tarefa Atribuída',
+            mensagem: `${autor} atribuiu uma tarefa a você: "${nome}".`,
+            demanda
+        }, autorId);
+    }
+
+    if (!demandaAnterior) return;
+
+    const prazoAlterado = demanda.dataLimite !== demandaAnterior.dataLimite;
+    const novoPrazo = new Date(demanda.dataLimite).toLocaleDateString('pt-BR');
+
+    if (prazoAlterado && demanda.status !== STATUS_DEMANDA.REPROVADA) {
+        notificarUsuarios(envolvidos, {
+            titulo: 'Prazo Alterado',
+            mensagem: `O prazo da demanda "${nome}" foi alterado para ${novoPrazo}.`,
+            demanda
+        }, autorId);
+    }
+
+    if (demanda.status === demandaAnterior.status) return;
+
+    if (demanda.status === STATUS_DEMANDA.FINALIZADO_PENDENTE_APROVACAO) {
+        buscarGestoresDoLocal(demanda.local, (gestores) => {
+            notificarUsuarios(gestores.map(g => g.id), {
+                titulo: 'Demanda para Aprovar',
+                mensagem: `A demanda "${nome}" foi resolvida e espera sua aprovação.`,
+                demanda
+            }, autorId);
+        });
+    } else if (demanda.status === STATUS_DEMANDA.APROVADA) {
+        notificarUsuarios(envolvidos, {
+            tipo: 'success',
+            titulo: 'Demanda Aprovada',
+            mensagem: `A demanda "${nome}" foi aprovada!`,
+            demanda
+        }, autorId);
+    } else if (demanda.status === STATUS_DEMANDA.REPROVADA) {
+        notificarUsuarios(envolvidos, {
+            tipo: 'warning',
+            titulo: 'Demanda Reprovada',
+            mensagem: prazoAlterado
+                ? `A demanda "${nome}" foi reprovada com prazo estendido até ${novoPrazo}.`
+                : `A demanda "${nome}" foi reprovada.`,
+            demanda
+        }, autorId);
+    } else if (demanda.status === STATUS_DEMANDA.REPROVADA_PELO_ATRIBUIDO) {
+        buscarGestoresDoLocal(demanda.local, (gestores) => {
+            notificarUsuarios([demanda.funcionarioId, ...gestores.map(g => g.id)], {
+                tipo: 'warning',
+                titulo: 'Tarefa Recusada',
+                mensagem: `${autor} recusou a tarefa "${nome}": ${demanda.comentarioReprovacaoAtribuicao}`,
+                demanda
+            }, autorId);
+        });
+    }
+}
+
+// Avisar os responsáveis pelas demandas em aberto cujo prazo vence nas próximas horas
+function verificarPrazosProximos() {
+    const placeholders = STATUS_EM_ABERTO.map(() => '?').join(', ');
+
+    db.all(`SELECT ${colunasDemanda('d', ['atribuidos'])} FROM demandas d WHERE d.status IN (${placeholders}) AND d.excluidoEm IS NULL`, STATUS_EM_ABERTO, (err, demandas) => {
+        if (err) return console.error('Erro ao verificar prazos próximos:', err);
+
+        const agora = Date.now();
+        const limiteAviso = agora + HORAS_AVISO_PRAZO * 60 * 60 * 1000;
+
+        demandas.forEach(demanda => {
+            // Mesmo instante de vencimento do SLA (datas sem hora vencem no fim do expediente)
+            const limite = limiteSla(demanda);
+            const prazo = limite ? limite.getTime() : NaN;
+            if (isNaN(prazo) || prazo < agora || prazo > limiteAviso) return;
+
+            const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
+            notificarUsuarios([demanda.funcionarioId, ...atribuidos.map(a => a.id)], {
+                tipo: 'warning',
+                titulo: 'Prazo Próximo do Vencimento',
+                mensagem: `A demanda "${demanda.nomeDemanda}" vence em ${new Date(prazo).toLocaleString('pt-BR')}.`,
+                demanda,
+                // Um aviso por prazo: se o prazo for estendido, um novo aviso poderá ser gerado
+                chave: `prazo:${demanda.id}:${demanda.dataLimite}`
+            });
+        });
+    });
+}
+
+// Agendar a verificação de prazos próximos (a cada hora)
+function agendarAvisosDePrazo() {
+    verificarPrazosProximos();
+    setInterval(verificarPrazosProximos, 60 * 60 * 1000);
+}
+
+// ========== DEMANDAS DE ROTINA ==========
+
+// Situações de uma série de rotina (nulo equivale a 'ativa' nas rotinas criadas antes do agendador)
+const STATUS_ROTINA = ['ativa', 'pausada', 'encerrada'];
+
+// Autor dos eventos e notificações gerados pelo agendador de rotinas
+const AUTOR_SISTEMA = { usuario: { id: null, nome: 'Rotina automática' }, get: () => undefined };
+
+// Data local no formato AAAA-MM-DD
+function dataLocalISO(data = new Date()) {
+    const mes = String(data.getMonth() + 1).padStart(2, '0');
+    const dia = String(data.getDate()).padStart(2, '0');
+    return `${data.getFullYear()}-${mes}-${dia}`;
+}
+
+// Buscar o feriado da data no local, se houver (feriados anuais comparam apenas mês e dia)
+function buscarFeriado(data, local, callback) {
+    db.get(`
+    SELECT * FROM feriados
+    WHERE (local IS NULL OR local = '' OR local = ?)
+    AND (data = ? OR (anual = 1 AND substr(data, 6) = ?))
+    LIMIT 1
+    `, [local || '', data, data.slice(5)], (err, feriado) => {
+        if (err) console.error('Erro ao consultar feriados:', err);
+        callback(feriado || null);
+    });
+}
+
+// Criar a ocorrência de uma rotina para a data (a TAG é única, então cada dia gera no máximo uma ocorrência)
+function criarOcorrenciaRotina(rotina, data) {
+    const [ano, mes, dia] = data.split('-');
+    const ocorrencia = {
+        funcionarioId: rotina.funcionarioId,
+        nomeFuncionario: rotina.nomeFuncionario,
+        emailFuncionario: rotina.emailFuncionario,
+        categoria: rotina.categoria,
+        prioridade: rotina.prioridade,
+        complexidade: rotina.complexidade,
+        descricao: rotina.descricao,
+        local: rotina.local,
+        dataCriacao: new Date().toISOString(),
+        dataLimite: data,
+        status: 'pendente',
+        isRotina: false,
+        diasSemana: [],
+        tag: `${rotina.tag || `ROT-${rotina.id}`}-${ano}${mes}${dia}`,
+        comentarios: '',
+        comentarioGestor: '',
+        atribuidos: rotina.atribuidos,
+        nomeDemanda: `${rotina.nomeDemanda} (${dia}/${mes}/${ano})`,
+        criadoPor: rotina.criadoPor,
+        rotinaPaiId: rotina.id
+    };
+
+    db.run(`
+    INSERT OR IGNORE INTO demandas
+    (funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade, descricao, local, dataCriacao, dataLimite, status, isRotina, diasSemana, tag, comentarios, comentarioGestor, nomeDemanda, criadoPor, rotinaPaiId)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, '[]', ?, '', '', ?, ?, ?)
+    `, [
+        ocorrencia.funcionarioId,
+        ocorrencia.nomeFuncionario,
+        ocorrencia.emailFuncionario,
+        ocorrencia.categoria,
+        ocorrencia.prioridade,
+        ocorrencia.complexidade,
+        ocorrencia.descricao,
+        ocorrencia.local,
+        ocorrencia.dataCriacao,
+        ocorrencia.dataLimite,
+        ocorrencia.status,
+        ocorrencia.tag,
+        ocorrencia.nomeDemanda,
+        ocorrencia.criadoPor,
+        ocorrencia.rotinaPaiId
+    ], function(err) {
+        if (err) return console.error(`Erro ao gerar ocorrência da rotina ${rotina.id}:`, err);
+        // Ocorrência do dia já gerada
+        if (this.changes === 0) return;
+
+        const ocorrenciaId = this.lastID;
+
+        // A ocorrência herda os atribuídos da rotina
+        db.run(`
+        INSERT INTO demanda_atribuidos (demandaId, usuarioId, ordem)
+        SELECT ?, usuarioId, ordem FROM demanda_atribuidos WHERE demandaId = ?
+        `, [ocorrenciaId, rotina.id], (err) => {
+            if (err) console.error(`Erro ao copiar os atribuídos da rotina ${rotina.id}:`, err);
+
+            registrarAuditoria('CREATE', 'demandas', ocorrenciaId, null, ocorrencia, null, null);
+
+            const demandaCriada = { id: ocorrenciaId, ...ocorrencia, anexosCriacao: [], anexosResolucao: [], comentariosUsuarios: [] };
+            emitirEventoDemanda(AUTOR_SISTEMA, EVENTOS_DEMANDA.CRIADA, demandaCriada);
+            gerarNotificacoesDemanda(AUTOR_SISTEMA, demandaCriada);
+
+            console.log(`🔁 Ocorrência ${ocorrencia.tag} gerada para a rotina ${rotina.id}`);
+        });
+    });
+}
+
+// Gerar as ocorrências de hoje das rotinas ativas configuradas para o dia da semana
+function gerarOcorrenciasRotina() {
+    const agora = new Date();
+    const hoje = dataLocalISO(agora);
+
+    db.all(`
+    SELECT ${colunasDemanda('d', ['atribuidos'])} FROM demandas d
+    WHERE d.isRotina = 1 AND (d.rotinaStatus IS NULL OR d.rotinaStatus = 'ativa') AND d.excluidoEm IS NULL
+    AND (d.rotinaFim IS NULL OR d.rotinaFim = '' OR d.rotinaFim >= ?)
+    `, [hoje], (err, rotinas) => {
+        if (err) return console.error('Erro ao buscar demandas de rotina:', err);
+
+        rotinas.forEach(rotina => {
+            const modelo = normalizarDadosDemanda(rotina);
+            if (!modelo.diasSemana.map(Number).includes(agora.getDay())) return;
+
+            // O dia em que a rotina foi cadastrada é coberto pela própria demanda modelo
+            if (dataLocalISO(new Date(modelo.dataCriacao)) >= hoje) return;
+
+            buscarFeriado(hoje, modelo.local, (feriado) => {
+                if (!feriado) criarOcorrenciaRotina(modelo, hoje);
+            });
+        });
+    });
+}
+
+// Agendar a geração das ocorrências de rotina (a cada hora, para acompanhar a virada do dia)
+function agendarRotinas() {
+    gerarOcorrenciasRotina();
+    setInterval(gerarOcorrenciasRotina, 60 * 60 * 1000);
+}
+
+// ========== RANKING E CONQUISTAS ==========
+
+// Pontos por entrega aprovada conforme a complexidade (entregas fora do prazo valem a metade)
+const PONTOS_COMPLEXIDADE = { 'Fácil': 10, 'Médio': 20, 'Difícil': 30 };
+
+// Regras padrão de conquistas; 'tipo' define qual estatística (de todo o histórico) é comparada com a meta
+const TIPOS_REGRA_CONQUISTA = {
+    concluidas: 'Demandas concluídas',
+    sequencia_no_prazo: 'Maior sequência de entregas no prazo',
+    pontos: 'Pontos acumulados',
+    dificeis: 'Demandas difíceis concluídas'
+};
+
+const REGRAS_CONQUISTA_PADRAO = [
+    { codigo: 'star', nome: 'Primeira Entrega', descricao: 'Concluiu a primeira demanda', icone: '⭐', tipo: 'concluidas', meta: 1 },
+    { codigo: 'silver', nome: 'Entregas de Prata', descricao: 'Concluiu 10 demandas', icone: '🥈', tipo: 'concluidas', meta: 10 },
+    { codigo: 'gold', nome: 'Entregas de Ouro', descricao: 'Concluiu 25 demandas', icone: '🥇', tipo: 'concluidas', meta: 25 },
+    { codigo: 'fire', nome: 'Em Chamas', descricao: '5 entregas seguidas dentro do prazo', icone: '🔥', tipo: 'sequencia_no_prazo', meta: 5 },
+    { codigo: 'crown', nome: 'Realeza', descricao: 'Acumulou 500 pontos', icone: '👑', tipo: 'pontos', meta: 500 },
+    { codigo: 'diamond', nome: 'Desafiante', descricao: 'Concluiu 5 demandas difíceis', icone: '💎', tipo: 'dificeis', meta: 5 }
+];
+
+// Pessoas que participam da demanda: o dono e os atribuídos
+function participantesDaDemanda(demanda) {
+    const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
+    return [...new Set([demanda.funcionarioId, ...atribuidos.map(a => a.id)].map(Number))].filter(Boolean);
+}
+
+function novaEstatistica(usuarioId) {
+    return {
+        usuarioId,
+        concluidas: 0,
+        noPrazo: 0,
+        comAtraso: 0,
+        andamento: 0,
+        atrasadas: 0,
+        facil: 0,
+        medio: 0,
+        dificil: 0,
+        pontos: 0,
+        totalDiasEntrega: 0,
+        entregasComData: 0,
+        sequenciaAtual: 0,
+        maiorSequenciaNoPrazo: 0
+    };
+}
+
+// Calcular as estatísticas por colaborador. A demanda entra no período pela data de conclusão
+// (aprovadas) ou pela data limite (demais); from/to são datas AAAA-MM-DD inclusivas e opcionais.
+// Os usuarioIds informados aparecem no resultado mesmo sem demandas no período.
+function calcularEstatisticasRanking(demandas, { from, to, usuarioIds = [] } = {}) {
+    const agora = new Date();
+    const estatisticas = {};
+    usuarioIds.forEach(id => { estatisticas[id] = novaEstatistica(id); });
+
+    const dentroDoPeriodo = (data) => Boolean(data) && (!from || data >= from) && (!to || data <= to);
+
+    // Ordem de conclusão para medir as sequências de entregas no prazo
+    const ordenadas = [...demandas].sort((a, b) => (a.dataConclusao || '').localeCompare(b.dataConclusao || ''));
+
+    ordenadas.forEach(demanda => {
+        const aprovada = demanda.status === STATUS_DEMANDA.APROVADA;
+        const limite = (demanda.dataLimite || '').slice(0, 10);
+        const conclusao = aprovada && demanda.dataConclusao ? dataLocalISO(new Date(demanda.dataConclusao)) : null;
+
+        if (!dentroDoPeriodo(aprovada ? conclusao : limite)) return;
+
+        // Atraso pelo SLA: na aprovada, medido até a entrega (quando o relógio parou)
+        const { atrasada } = atrasoPeloSla(demanda, agora);
+
+        participantesDaDemanda(demanda).forEach(usuarioId => {
+            const e = estatisticas[usuarioId] = estatisticas[usuarioId] || novaEstatistica(usuarioId);
+
+            if (aprovada) {
+                e.concluidas++;
+                if (demanda.complexidade === 'Fácil') e.facil++;
+                else if (demanda.complexidade === 'Médio') e.medio++;
+                else if (demanda.complexidade === 'Difícil') e.dificil++;
+
+                const noPrazo = !atrasada;
+                const pontos = PONTOS_COMPLEXIDADE[demanda.complexidade] || PONTOS_COMPLEXIDADE['Fácil'];
+                e.pontos += noPrazo ? pontos : Math.round(pontos / 2);
+
+                if (noPrazo) {
+                    e.noPrazo++;
+                    e.sequenciaAtual++;
+                    e.maiorSequenciaNoPrazo = Math.max(e.maiorSequenciaNoPrazo, e.sequenciaAtual);
+                } else {
+                    e.comAtraso++;
+                    e.sequenciaAtual = 0;
+                }
+
+                if (demanda.dataCriacao && demanda.dataConclusao) {
+                    e.totalDiasEntrega += (new Date(demanda.dataConclusao) - new Date(demanda.dataCriacao)) / (1000 * 60 * 60 * 24);
+                    e.entregasComData++;
+                }
+            } else {
+                if (STATUS_EM_ABERTO.includes(demanda.status) || demanda.status === STATUS_DEMANDA.FINALIZADO_PENDENTE_APROVACAO) {
+                    e.andamento++;
+                }
+                if (atrasada) e.atrasadas++;
+            }
+        });
+    });
+
+    Object.values(estatisticas).forEach(e => {
+        e.tempoMedioEntrega = e.entregasComData > 0 ? Math.round(e.totalDiasEntrega / e.entregasComData * 10) / 10 : null;
+        e.pontualidade = e.concluidas > 0 ? Math.round(e.noPrazo / e.concluidas * 100) : null;
+        delete e.totalDiasEntrega;
+        delete e.entregasComData;
+        delete e.sequenciaAtual;
+    });
+
+    return estatisticas;
+}
+
+// Demandas consideradas no ranking (modelos de rotina não são trabalho entregue; só as ocorrências contam)
+function buscarDemandasRanking(local, callback) {
+    let sql = `
+    SELECT d.id, d.status, d.funcionarioId, ${RELACIONAMENTOS_DEMANDA.atribuidos('d')} AS atribuidos,
+    d.complexidade, d.dataCriacao, d.dataConclusao, d.dataLimite, d.local, d.slaPoliticaId, d.slaPausadoEm
+    FROM demandas d WHERE (d.isRotina = 0 OR d.isRotina IS NULL) AND d.excluidoEm IS NULL
+    `;
+    const params = [];
+
+    if (local) {
+        sql += ' AND d.local = ?';
+        params.push(local);
+    }
+
+    db.all(sql, params, callback);
+}
+
+function valorDaRegra(regra, estatistica) {
+    switch (regra.tipo) {
+        case 'concluidas': return estatistica.concluidas;
+        case 'sequencia_no_prazo': return estatistica.maiorSequenciaNoPrazo;
+        case 'pontos': return estatistica.pontos;
+        case 'dificeis': return estatistica.dificil;
+        default: return 0;
+    }
+}
+
+// Recalcular pontos e conquistas de todos os usuários a partir do histórico de demandas
+function atualizarPontuacaoUsuarios() {
+    db.all('SELECT * FROM regras_conquistas WHERE ativa = 1', [], (err, regras) => {
+        if (err) return console.error('Erro ao buscar regras de conquistas:', err);
+
+        buscarDemandasRanking(null, (err, demandas) => {
+            if (err) return console.error('Erro ao buscar demandas para o ranking:', err);
+
+            db.all('SELECT id, pontos, conquistas FROM usuarios', [], (err, usuariosCadastrados) => {
+                if (err) return console.error('Erro ao buscar usuários para o ranking:', err);
+
+                const estatisticas = calcularEstatisticasRanking(demandas, { usuarioIds: usuariosCadastrados.map(u => u.id) });
+
+                usuariosCadastrados.forEach(usuario => {
+                    const estatistica = estatisticas[usuario.id];
+                    const conquistas = regras.filter(r => valorDaRegra(r, estatistica) >= r.meta).map(r => r.codigo);
+                    const anteriores = usuarioPublico({ conquistas: usuario.conquistas }).conquistas;
+
+                    if (usuario.pontos === estatistica.pontos && JSON.stringify(anteriores) === JSON.stringify(conquistas)) return;
+
+                    db.run('UPDATE usuarios SET pontos = ?, conquistas = ? WHERE id = ?',
+                        [estatistica.pontos, JSON.stringify(conquistas), usuario.id], (err) => {
+                        if (err) return console.error('Erro ao atualizar pontuação do usuário:', err);
+
+                        regras.filter(r => conquistas.includes(r.codigo) && !anteriores.includes(r.codigo)).forEach(regra => {
+                            notificarUsuarios([usuario.id], {
+                                tipo: 'success',
+                                titulo: 'Nova Conquista',
+                                mensagem: `${regra.icone} Você conquistou "${regra.nome}": ${regra.descricao}.`,
+                                chave: `conquista:${regra.codigo}`
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+function agendarPontuacao() {
+    atualizarPontuacaoUsuarios();
+    // Também recalcula após exclusões, importações e restaurações
+    setInterval(atualizarPontuacaoUsuarios, 6 * 60 * 60 * 1000);
+}
+
+// ========== EMAILS ==========
+
+// Modelos padrão (pt-BR). Variáveis entre {{chaves}} são preenchidas no envio.
+const MODELOS_EMAIL_PADRAO = {
+    demanda_criada: {
+        descricao: 'Nova demanda registrada (para os gestores do local)',
+        assunto: 'Nova Demanda Registrada: {{nomeDemanda}}',
+        corpo: 'Prezado Gestor,\n\nUma nova demanda foi registrada por {{nomeFuncionario}}:\n\n--- Detalhes da Demanda ---\nNome: {{nomeDemanda}}\nDescrição: {{descricao}}\nCategoria: {{categoria}}\nPrioridade: {{prioridade}}\nLocal: {{local}}\nData Limite: {{dataLimite}}\nTAG: {{tag}}\nAtribuídos: {{atribuidos}}\n\nPor favor, acesse o sistema para análise.\n\nAtenciosamente,\nSistema de Gestão de Demandas'
+    },
+    tarefa_atribuida: {
+        descricao: 'Tarefa atribuída a um funcionário',
+        assunto: 'Nova Tarefa: {{nomeDemanda}}',
+        corpo: 'Prezado(a) {{nome}},\n\nUma tarefa foi atribuída a você por {{autor}}:\n\n--- Detalhes da Tarefa ---\nNome: {{nomeDemanda}}\nDescrição: {{descricao}}\nCategoria: {{categoria}}\nPrioridade: {{prioridade}}\nLocal: {{local}}\nData Limite: {{dataLimite}}\nTAG: {{tag}}\n\nPor favor, acesse o sistema para começar a trabalhar.\n\nAtenciosamente,\nGestão'
+    },
+    tarefa_reatribuida: {
+        descricao: 'Tarefa reatribuída a um funcionário',
+        assunto: 'Nova Tarefa Atribuída: {{nomeDemanda}}',
+        corpo: 'Prezado(a) {{nome}},\n\nUma tarefa foi reatribuída a você:\n\n--- Detalhes da Tarefa ---\nNome: {{nomeDemanda}}\nDescrição: {{descricao}}\nCategoria: {{categoria}}\nPrioridade: {{prioridade}}\nData Limite: {{dataLimite}}\nTAG: {{tag}}\n\nMotivo da reatribuição: {{motivo}}\n\nPor favor, acesse o sistema para aceitar ou recusar esta tarefa.\n\nAtenciosamente,\nGestão'
+    },
+    demanda_resolvida: {
+        descricao: 'Demanda resolvida aguardando aprovação (para os gestores do local)',
+        assunto: 'Demanda Resolvida para Aprovação: {{nomeDemanda}}',
+        corpo: 'Prezado Gestor,\n\nA demanda "{{nomeDemanda}}" foi resolvida por {{autor}} e está aguardando sua aprovação.\n\n--- Detalhes da Demanda ---\nNome: {{nomeDemanda}}\nTAG: {{tag}}\nLocal: {{local}}\n\n--- Comentários do Funcionário ---\n{{comentarios}}\n\nPor favor, acesse o sistema para aprovar ou reprovar esta demanda.\n\nAtenciosamente,\nSistema de Gestão de Demandas'
+    },
+    demanda_aprovada: {
+        descricao: 'Demanda aprovada (para o solicitante, com os gestores em cópia)',
+        assunto: 'Sua Demanda Foi Aprovada: {{nomeDemanda}}',
+        corpo: 'Prezado(a) {{nome}},\n\nSua demanda foi analisada e aprovada.\n\n--- Detalhes ---\nNome: {{nomeDemanda}}\nTAG: {{tag}}\nLocal: {{local}}\n\nParabéns pelo excelente trabalho!\n\nAtenciosamente,\nGestão'
+    },
+    demanda_reprovada: {
+        descricao: 'Demanda reprovada (para o solicitante, com os gestores em cópia)',
+        assunto: 'Sua Demanda Foi Reprovada: {{nomeDemanda}}',
+        corpo: 'Prezado(a) {{nome}},\n\nSua demanda foi analisada e reprovada.\n\n--- Motivo ---\n{{motivo}}\n\nPor favor, crie uma nova demanda com os ajustes necessários.\n\nAtenciosamente,\nGestão'
+    },
+    demanda_reprovada_prazo: {
+        descricao: 'Demanda reprovada com prazo estendido (para o solicitante, com os gestores em cópia)',
+        assunto: 'Sua Demanda Foi Reprovada com Prazo Estendido: {{nomeDemanda}}',
+        corpo: 'Prezado(a) {{nome}},\n\nSua demanda foi analisada e reprovada com prazo estendido.\n\n--- Motivo ---\n{{motivo}}\n\n--- Novo Prazo ---\n{{dataLimite}}\n\nPor favor, revise e ajuste sua demanda conforme necessário.\n\nAtenciosamente,\nGestão'
+    },
+    prazo_estendido: {
+        descricao: 'Prazo estendido (para o solicitante)',
+        assunto: 'Prazo Estendido: {{nomeDemanda}}',
+        corpo: 'Prezado(a) {{nome}},\n\nO prazo da sua demanda foi estendido.\n\n--- Detalhes da Demanda ---\nNome: {{nomeDemanda}}\nTAG: {{tag}}\n\n--- Novo Prazo ---\n{{dataLimite}}\n\n--- Motivo da Extensão ---\n{{motivo}}\n\nPor favor, acesse o sistema para mais detalhes.\n\nAtenciosamente,\nGestão'
+    },
+    cobranca: {
+        descricao: 'Cobrança de demandas em atraso',
+        assunto: 'Cobrança de Demandas em Atraso - {{quantidade}} pendente(s)',
+        corpo: 'Prezado(a) {{nome}},\n\nIdentificamos que você possui {{quantidade}} demanda(s) em atraso. Por favor, verifique e regularize a situação o mais breve possível.\n\n--- Demandas em Atraso ---\n\n{{listaDemandas}}\nPor favor, acesse o sistema para atualizar o status das demandas ou entrar em contato caso necessite de suporte.\n\nAtenciosamente,\nGestão'
+    }
+};
+
+// Emails que podem ser disparados a partir de uma demanda
+const EMAILS_DEMANDA = ['criada', 'atribuida', 'reatribuida', 'resolvida', 'aprovada', 'reprovada', 'prazo_estendido'];
+
+// Preencher as variáveis {{nome}} de um texto (variáveis desconhecidas ficam vazias)
+function preencherModelo(texto, variaveis) {
+    return texto.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, chave) => {
+        const valor = variaveis[chave];
+        return valor === undefined || valor === null ? '' : String(valor);
+    });
+}
+
+function formatarDataEmail(data) {
+    if (!data) return '';
+    const valor = new Date(data);
+    return isNaN(valor) ? String(data) : valor.toLocaleDateString('pt-BR');
+}
+
+// Variáveis de uma demanda disponíveis para os modelos
+function variaveisDaDemanda(demanda) {
+    const { atribuidos } = normalizarDadosDemanda({ atribuidos: demanda.atribuidos });
+    return {
+        nomeDemanda: demanda.nomeDemanda || demanda.descricao,
+        descricao: demanda.descricao,
+        categoria: demanda.categoria,
+        prioridade: demanda.prioridade,
+        local: demanda.local,
+        dataLimite: formatarDataEmail(demanda.dataLimite),
+        tag: demanda.tag,
+        nomeFuncionario: demanda.nomeFuncionario,
+        comentarios: demanda.comentarios,
+        atribuidos: atribuidos.map(a => a.nome).join(', ') || 'ninguém'
+    };
+}
+
+// Renderizar o modelo do tipo informado e colocar o email na caixa de saída
+function enfileirarEmail({ tipo, para, cc = [], variaveis = {}, demandaId = null }, usuarioId, callback = () => {}) {
+    const destinatarios = [...new Set(para.filter(Boolean))];
+    const copias = [...new Set(cc.filter(email => email && !destinatarios.includes(email)))];
+
+    if (destinatarios.length === 0) return callback(null, null);
+
+    db.get('SELECT * FROM modelos_email WHERE tipo = ?', [tipo], (err, modelo) => {
+        if (err) return callback(err);
+        if (!modelo) return callback(new Error(`Modelo de email "${tipo}" não encontrado`));
+
+        db.run(`
+        INSERT INTO emails_saida (tipo, para, cc, assunto, corpo, demandaId, criadoPor, proximaTentativa, dataCriacao)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            tipo,
+            destinatarios.join(', '),
+            copias.join(', ') || null,
+            preencherModelo(modelo.assunto, variaveis),
+            preencherModelo(modelo.corpo, variaveis),
+            demandaId,
+            usuarioId,
+            new Date().toISOString(),
+            new Date().toISOString()
+        ], function(err) {
+            if (err) return callback(err);
+            callback(null, this.lastID);
+            processarFilaEmails();
+        });
+    });
+}
+
+// Enviar os emails pendentes da caixa de saída, reagendando os que falharem
+let filaEmailsEmAndamento = false;
+let filaEmailsVerificarNovamente = false;
+function processarFilaEmails() {
+    if (filaEmailsEmAndamento) {
+        // Emails enfileirados durante o envio atual são lidos logo em seguida
+        filaEmailsVerificarNovamente = true;
+        return;
+    }
+    filaEmailsEmAndamento = true;
+    filaEmailsVerificarNovamente = false;
+
+    db.all(`
+    SELECT * FROM emails_saida
+    WHERE status = 'pendente' AND proximaTentativa <= ?
+    ORDER BY id LIMIT 20
+    `, [new Date().toISOString()], (err, emails) => {
+        if (err || emails.length === 0) {
+            if (err) console.error('Erro ao ler a caixa de saída de emails:', err);
+            filaEmailsEmAndamento = false;
+            if (filaEmailsVerificarNovamente) processarFilaEmails();
+            return;
+        }
+
+        let restantes = emails.length;
+        const concluir = () => {
+            restantes--;
+            if (restantes === 0) {
+                filaEmailsEmAndamento = false;
+                // Pode haver mais emails além do lote atual
+                if (emails.length === 20 || filaEmailsVerificarNovamente) processarFilaEmails();
+            }
+        };
+
+        emails.forEach(email => {
+            enviarEmail({ para: email.para, cc: email.cc, assunto: email.assunto, texto: email.corpo }, (err) => {
+                const tentativas = email.tentativas + 1;
+
+                if (!err) {
+                    db.run("UPDATE emails_saida SET status = 'enviado', tentativas = ?, ultimoErro = NULL, dataEnvio = ? WHERE id = ?",
+                        [tentativas, new Date().toISOString(), email.id], concluir);
+                    return;
+                }
+
+                const esgotado = tentativas >= EMAIL_MAX_TENTATIVAS;
+                const espera = EMAIL_ESPERA_TENTATIVAS[Math.min(tentativas - 1, EMAIL_ESPERA_TENTATIVAS.length - 1)];
+                db.run('UPDATE emails_saida SET status = ?, tentativas = ?, ultimoErro = ?, proximaTentativa = ? WHERE id = ?', [
+                    esgotado ? 'falhou' : 'pendente',
+                    tentativas,
+                    err.message,
+                    new Date(Date.now() + espera * 60 * 1000).toISOString(),
+                    email.id
+                ], concluir);
+            });
+        });
+    });
+}
+
+// Verificar a caixa de saída a cada minuto (inclui os emails que ficaram pendentes ao reiniciar)
+function agendarFilaEmails() {
+    processarFilaEmails();
+    setInterval(processarFilaEmails, 60 * 1000);
+}
+
+// Montar os emails de um evento da demanda: [{ tipo, para, cc, variaveis }]
+function montarEmailsDemanda(evento, demanda, { autor, motivo, atribuidoIds = [] }, callback) {
+    const base = { ...variaveisDaDemanda(demanda), autor: autor.nome, motivo };
+    const idsAtribuidos = normalizarDadosDemanda({ atribuidos: demanda.atribuidos }).atribuidos.map(a => a.id);
+    const ids = [demanda.funcionarioId, ...idsAtribuidos];
+
+    // Os emails vêm do cadastro de usuários (a lista de atribuídos da demanda pode estar desatualizada)
+    db.all(`SELECT id, nome, email FROM usuarios WHERE id IN (${ids.map(() => '?').join(', ')})`, ids, (err, pessoas) => {
+        if (err) return callback(err);
+        const dono = pessoas.find(p => p.id == demanda.funcionarioId);
+        const solicitante = dono || { nome: demanda.nomeFuncionario, email: demanda.emailFuncionario };
+        const atribuidos = pessoas.filter(p => idsAtribuidos.some(id => id == p.id));
+
+        buscarGestoresDoLocal(demanda.local, (gestores) => {
+            const emailsGestores = gestores.map(g => g.email);
+
+            switch (evento) {
+            case 'criada':
+                return callback(null, [{
+                    tipo: 'demanda_criada', para: emailsGestores, cc: atribuidos.map(a => a.email), variaveis: base
+                }]);
+            case 'atribuida':
+            case 'reatribuida': {
+                const selecionados = atribuidos.filter(a => atribuidoIds.length === 0 || atribuidoIds.some(id => id == a.id));
+                return callback(null, selecionados.map(a => ({
+                    tipo: evento === 'atribuida' ? 'tarefa_atribuida' : 'tarefa_reatribuida',
+                    para: [a.email],
+                    variaveis: { ...base, nome: a.nome }
+                })));
+            }
+            case 'resolvida':
+                return callback(null, [{ tipo: 'demanda_resolvida', para: emailsGestores, variaveis: base }]);
+            case 'aprovada':
+                return callback(null, [{
+                    tipo: 'demanda_aprovada', para: [solicitante.email], cc: emailsGestores, variaveis: { ...base, nome: solicitante.nome }
+                }]);
+            case 'reprovada':
+                return callback(null, [{
+                    tipo: demanda.status === 'reprovada' ? 'demanda_reprovada' : 'demanda_reprovada_prazo',
+                    para: [solicitante.email],
+                    cc: emailsGestores,
+                    variaveis: { ...base, nome: solicitante.nome }
+                }]);
+            case 'prazo_estendido':
+                return callback(null, [{
+                    tipo: 'prazo_estendido', para: [solicitante.email], variaveis: { ...base, nome: solicitante.nome }
+                }]);
+            }
+        });
+    });
+}
+
+// Campos que só gestores alteram pela edição da demanda (e como aparecem na mensagem de recusa)
+const CAMPOS_EDICAO_GESTOR = { comentarioGestor: 'o comentário do gestor', tag: 'a TAG', slaPoliticaId: 'a política de SLA' };
+
+// Ids dos atribuídos, sem considerar a ordem
+const idsAtribuidos = (lista) => normalizarDadosDemanda({ atribuidos: lista }).atribuidos
+    .map(a => String(a && typeof a === 'object' ? a.id : a))
+    .sort()
+    .join(',');
+
+// Decidir se o usuário pode aplicar uma atualização à demanda (retorna o motivo da recusa ou null)
+function verificarPermissaoAtualizacao(usuario, demandaExistente, dadosNovos) {
+    if (usuario.role === 'gestor') return null;
+
+    if (!usuarioEnvolvidoNaDemanda(usuario, demandaExistente)) {
+        return 'Você só pode editar demandas criadas por você ou atribuídas a você.';
+    }
+
+    if (dadosNovos.dataLimite && dadosNovos.dataLimite !== demandaExistente.dataLimite) {
+        return `Apenas gestores podem ${ACOES_GESTOR.estender_prazo}.`;
+    }
+
+    if (dadosNovos.funcionarioId !== undefined && dadosNovos.funcionarioId != demandaExistente.funcionarioId) {
+        return 'Apenas gestores podem transferir a autoria de uma demanda.';
+    }
+
+    // Trocar os atribuídos é uma reatribuição, que no fluxo de status também é só dos gestores
+    if (dadosNovos.atribuidos !== undefined && idsAtribuidos(dadosNovos.atribuidos) !== idsAtribuidos(demandaExistente.atribuidos)) {
+        return `Apenas gestores podem ${ACOES_GESTOR.reatribuir}.`;
+    }
+
+    const campoGestor = Object.keys(CAMPOS_EDICAO_GESTOR).find(campo =>
+        dadosNovos[campo] !== undefined && String(dadosNovos[campo] ?? '') !== String(demandaExistente[campo] ?? ''));
+    if (campoGestor) {
+        return `Apenas gestores podem alterar ${CAMPOS_EDICAO_GESTOR[campoGestor]}.`;
+    }
+
+    return null;
+}
+
+// Limitar tentativas de login por IP
+const limiteLogin = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutos
+    limit: 20,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { success: false, error: 'Muitas tentativas de login. Tente novamente em alguns minutos.' }
+});
+
+app.use('/api', autenticarToken);
+
+// Rota principal
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Health check melhorado
+app.get('/health', (req, res) => {
+    db.get('SELECT COUNT(*) as count FROM demandas WHERE excluidoEm IS NULL', [], (err, row) => {
+        if (err) {
+            console.error('Erro no health check:', err);
+            return res.status(500).json({
+                status: 'ERROR',
+                error: err.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            status: 'OK',
+            demandas: row.count,
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString(),
+            memory: process.memoryUsage()
+        });
+    });
+});
+
+// Colunas indexadas aceitas em ?sort= na listagem de demandas
+const ORDENACOES_DEMANDAS = ['id', 'status', 'funcionarioId', 'dataLimite', 'tag', 'categoria', 'prioridade',
+    'dataCriacao', 'dataAtualizacao', 'dataConclusao', 'local', 'rotinaPaiId'];
+const LIMITE_LISTAGEM_DEMANDAS = 500;
+
+// Colunas da tabela demandas (para validar ?fields=), lidas uma vez
+let colunasDemandas = null;
+
+function obterColunasDemandas(callback) {
+    if (colunasDemandas) return callback(null, colunasDemandas);
+
+    db.all('PRAGMA table_info(demandas)', [], (err, colunas) => {
+        if (err) return callback(err);
+        colunasDemandas = colunas.map(col => col.name);
+        callback(null, colunasDemandas);
+    });
+}
+
+// Condição de keyset para a próxima página. Segue a ordenação do SQLite:
+// NULLs vêm primeiro em ASC e por último em DESC, com empate desfeito pelo id.
+function condicaoCursorDemandas(coluna, ordem, cursor) {
+    const valor = cursor.valor === undefined ? null : cursor.valor;
+    const id = Number(cursor.id);
+
+    if (ordem === 'desc') {
+        if (valor === null) return { sql: `(${coluna} IS NULL AND d.id < ?)`, params: [id] };
+        return { sql: `(${coluna} < ? OR (${coluna} = ? AND d.id < ?) OR ${coluna} IS NULL)`, params: [valor, valor, id] };
+    }
+
+    if (valor === null) return { sql: `((${coluna} IS NULL AND d.id > ?) OR ${coluna} IS NOT NULL)`, params: [id] };
+    return { sql: `(${coluna} > ? OR (${coluna} = ? AND d.id > ?))`, params: [valor, valor, id] };
+}
+
+// GET /api/demandas - Listar demandas
+// Filtros: status (lista), excluirStatus, funcionarioId, atribuido, categoria, prioridade, local, month, year,
+// from/to/campoData e updatedSince (sincronização incremental por dataAtualizacao).
+// Paginação opcional: ?limit=&cursor= com ?sort=&order=; a próxima página vem no header X-Next-Cursor.
+// ?fields= limita as colunas devolvidas. Responde 304 quando o If-None-Match confere com o ETag.
+app.get('/api/demandas', (req, res) => {
+    const { funcionarioId, prioridade, month, year, excluirStatus, updatedSince, fields } = req.query;
+    const sort = req.query.sort || 'dataCriacao';
+    const ordem = (req.query.order || 'desc').toLowerCase();
+    const limite = req.query.limit !== undefined ? parseInt(req.query.limit) : null;
+
+    if (!ORDENACOES_DEMANDAS.includes(sort)) {
+        return res.status(400).json({ success: false, error: `Ordenação inválida. Use: ${ORDENACOES_DEMANDAS.join(', ')}` });
+    }
+
+    if (!['asc', 'desc'].includes(ordem)) {
+        return res.status(400).json({ success: false, error: 'Ordem inválida. Use asc ou desc' });
+    }
+
+    if (limite !== null && !(limite >= 1 && limite <= LIMITE_LISTAGEM_DEMANDAS)) {
+        return res.status(400).json({ success: false, error: `O limite deve estar entre 1 e ${LIMITE_LISTAGEM_DEMANDAS}` });
+    }
+
+    const cursor = req.query.cursor ? decodificarCursor(req.query.cursor) : null;
+    if (req.query.cursor && (!cursor || !Number.isInteger(cursor.id) || limite === null)) {
+        return res.status(400).json({ success: false, error: 'Cursor inválido' });
+    }
+
+    if (updatedSince && isNaN(Date.parse(updatedSince))) {
+        return res.status(400).json({ success: false, error: 'updatedSince inválido. Use uma data ISO 8601' });
+    }
+
+    const filtros = montarFiltrosDemandas(req.query);
+    if (filtros.erro) return res.status(400).json({ success: false, error: filtros.erro });
+
+    // Demandas na lixeira ficam fora da listagem (e do ETag); a sincronização as trata como excluídas
+    const condicoes = ['d.excluidoEm IS NULL', ...filtros.condicoes];
+    const params = filtros.params;
+
+    if (excluirStatus) {
+        const lista = excluirStatus.split(',').filter(Boolean);
+        condicoes.push(`d.status NOT IN (${lista.map(() => '?').join(', ')})`);
+        params.push(...lista);
+    }
+
+    if (funcionarioId) {
+        condicoes.push('d.funcionarioId = ?');
+        params.push(funcionarioId);
+    }
+
+    if (prioridade) {
+        condicoes.push('d.prioridade = ?');
+        params.push(prioridade);
+    }
+
+    // Filtros de mês e ano
+    if (month) {
+        condicoes.push("strftime('%m', d.dataCriacao) = ?");
+        params.push(month.padStart(2, '0'));
+    }
+
+    if (year) {
+        condicoes.push("strftime('%Y', d.dataCriacao) = ?");
+        params.push(year);
+    }
+
+    // dataAtualizacao é gravada em ISO (UTC), então a comparação de texto respeita a ordem cronológica
+    if (updatedSince) {
+        condicoes.push('d.dataAtualizacao >= ?');
+        params.push(new Date(updatedSince).toISOString());
+    }
+
+    obterColunasDemandas((err, colunas) => {
+        if (err) {
+            console.error('Erro ao ler colunas de demandas:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        const camposPedidos = fields ? fields.split(',').map(campo => campo.trim()).filter(Boolean) : null;
+        const relacionamentos = Object.keys(RELACIONAMENTOS_DEMANDA);
+        if (camposPedidos) {
+            const invalidos = camposPedidos.filter(campo => !colunas.includes(campo) && !relacionamentos.includes(campo));
+            if (invalidos.length > 0) {
+                return res.status(400).json({ success: false, error: `Campos inválidos: ${invalidos.join(', ')}` });
+            }
+        }
+
+        // id e a coluna de ordenação sempre vão junto: o cursor depende deles
+        const campos = camposPedidos ? [...new Set(['id', sort, ...camposPedidos])] : null;
+        const where = condicoes.length > 0 ? ` WHERE ${condicoes.join(' AND ')}` : '';
+
+        // O ETag resume o conjunto filtrado; assim o 304 sai sem ler as linhas
+        db.get(`SELECT COUNT(*) AS total, MAX(d.dataAtualizacao) AS sincronizadoEm, MAX(d.id) AS ultimoId
+        FROM demandas d${where}`, params, (err, resumo) => {
+            if (err) {
+                console.error('Erro ao buscar demandas:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            const etag = 'W/"' + crypto.createHash('sha1')
+                .update([req.originalUrl, resumo.total, resumo.sincronizadoEm, resumo.ultimoId].join('|'))
+                .digest('base64url') + '"';
+
+            res.set({
+                'ETag': etag,
+                'Cache-Control': 'no-cache',
+                'X-Total-Count': String(resumo.total)
+            });
+            if (resumo.sincronizadoEm) res.set('X-Sincronizado-Em', resumo.sincronizadoEm);
+
+            if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+            const condicoesPagina = [...condicoes];
+            const paramsPagina = [...params];
+
+            if (cursor) {
+                const condicao = condicaoCursorDemandas(`d.${sort}`, ordem, cursor);
+                condicoesPagina.push(condicao.sql);
+                paramsPagina.push(...condicao.params);
+            }
+
+            const colunasSql = campos
+                ? campos.map(campo => (relacionamentos.includes(campo) ? `${RELACIONAMENTOS_DEMANDA[campo]('d')} AS ${campo}` : `d.${campo}`)).join(', ')
+                : colunasDemanda('d');
+            let sql = `SELECT ${colunasSql} FROM demandas d`;
+            if (condicoesPagina.length > 0) sql += ` WHERE ${condicoesPagina.join(' AND ')}`;
+            sql += ` ORDER BY d.${sort} ${ordem.toUpperCase()}, d.id ${ordem.toUpperCase()}`;
+
+            if (limite !== null) {
+                sql += ' LIMIT ?';
+                paramsPagina.push(limite + 1);
+            }
+
+            db.all(sql, paramsPagina, (err, rows) => {
+                if (err) {
+                    console.error('Erro ao buscar demandas:', err);
+                    return res.status(500).json({ success: false, error: err.message });
+                }
+
+                if (limite !== null && rows.length > limite) {
+                    rows = rows.slice(0, limite);
+                    const ultima = rows[rows.length - 1];
+                    res.set('X-Next-Cursor', codificarCursor({ valor: ultima[sort], id: ultima.id }));
+                }
+
+                // Normalizar cada demanda antes de enviar (e manter só os campos pedidos)
+                const demandasNormalizadas = rows.map(demanda => {
+                    const normalizada = normalizarDadosDemanda(demanda);
+                    if (!campos) return normalizada;
+                    return Object.fromEntries(campos.map(campo => [campo, normalizada[campo]]));
+                });
+                res.json(demandasNormalizadas);
+            });
+        });
+    });
+});
+
+// Papéis aceitos para usuários
+const ROLES_VALIDOS = ['funcionario', 'gestor'];
+
+// Validar os dados de cadastro/edição de um usuário (retorna a mensagem de erro ou null)
+function validarDadosUsuario(dados, { exigirSenha = false } = {}) {
+    if (dados.nome !== undefined && (!dados.nome || dados.nome.trim().length < 3)) {
+        return 'Nome do usuário é obrigatório';
+    }
+
+    if (dados.email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(dados.email || '')) {
+        return 'Email inválido';
+    }
+
+    if (dados.role !== undefined && !ROLES_VALIDOS.includes(dados.role)) {
+        return `Tipo de usuário inválido. Use: ${ROLES_VALIDOS.join(', ')}`;
+    }
+
+    if ((exigirSenha || dados.senha !== undefined) && (!dados.senha || String(dados.senha).length < 6)) {
+        return 'A senha deve ter pelo menos 6 caracteres';
+    }
+
+    return null;
+}
+
+// GET /api/usuarios - Listar usuários (inativos apenas para gestores)
+app.get('/api/usuarios', (req, res) => {
+    const incluirInativos = req.query.incluirInativos === 'true' && req.usuario.role === 'gestor';
+    const sql = `SELECT * FROM usuarios ${incluirInativos ? '' : 'WHERE ativo = 1'} ORDER BY nome`;
+
+    db.all(sql, [], (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        res.json(rows.map(usuarioPublico));
+    });
+});
+
+// POST /api/usuarios - Criar usuário
+app.post('/api/usuarios', exigirGestor('usuarios', 'usuarios'), (req, res) => {
+    const { nome, email, senha, role = 'funcionario', nivel = 'Junior', local = null } = req.body;
+
+    const erro = validarDadosUsuario({ nome, email, senha, role }, { exigirSenha: true });
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    bcrypt.hash(String(senha), BCRYPT_ROUNDS, (err, hash) => {
+        if (err) return res.status(500).json({ success: false, error: 'Erro ao processar senha' });
+
+        const sql = `
+        INSERT INTO usuarios (nome, email, senha, nivel, role, local, ativo, dataCriacao, deveTrocarSenha)
+        VALUES (?, ?, ?, ?, ?, ?, 1, ?, 1)
+        `;
+
+        db.run(sql, [nome.trim(), email.trim().toLowerCase(), hash, nivel, role, local, new Date().toISOString()], function(err) {
+            if (err) {
+                if (err.code === 'SQLITE_CONSTRAINT') {
+                    return res.status(409).json({ success: false, error: 'Já existe um usuário com este nome ou email' });
+                }
+                console.error('Erro ao criar usuário:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            const usuarioId = this.lastID;
+            db.get('SELECT * FROM usuarios WHERE id = ?', [usuarioId], (err, usuario) => {
+                if (err) return res.status(500).json({ success: false, error: err.message });
+
+                registrarAuditoria('CREATE', 'usuarios', usuarioId, null, usuarioPublico(usuario), req.usuario.id, req.ip);
+                res.json({ success: true, usuario: usuarioPublico(usuario) });
+            });
+        });
+    });
+});
+
+// GET /api/usuarios/solicitacoes - Fila de solicitações de cadastro
+app.get('/api/usuarios/solicitacoes', exigirGestor('usuarios', 'solicitacoes_cadastro'), (req, res) => {
+    const { status = 'pendente' } = req.query;
+
+    db.all(
+        'SELECT id, nome, email, role, local, status, dataCriacao, analisadoPor, dataAnalise, usuarioId FROM solicitacoes_cadastro WHERE status = ? ORDER BY dataCriacao',
+        [status],
+        (err, rows) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+            res.json(rows);
+        }
+    );
+});
+
+// POST /api/usuarios/solicitacoes/:id/aprovar - Aprovar solicitação e criar o usuário
+app.post('/api/usuarios/solicitacoes/:id/aprovar', exigirGestor('usuarios', 'solicitacoes_cadastro'), (req, res) => {
+    const id = req.params.id;
+
+    db.get("SELECT * FROM solicitacoes_cadastro WHERE id = ? AND status = 'pendente'", [id], (err, solicitacao) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!solicitacao) return res.status(404).json({ success: false, error: 'Solicitação pendente não encontrada' });
+
+        // O gestor pode ajustar o perfil na aprovação
+        const role = req.body.role || solicitacao.role;
+        const nivel = req.body.nivel || 'Junior';
+        const local = req.body.local !== undefined ? req.body.local : solicitacao.local;
+
+        const erro = validarDadosUsuario({ role });
+        if (erro) return res.status(400).json({ success: false, error: erro });
+
+        const agora = new Date().toISOString();
+        const sql = `
+        INSERT INTO usuarios (nome, email, senha, nivel, role, local, ativo, dataCriacao)
+        VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+        `;
+
+        db.run(sql, [solicitacao.nome, solicitacao.email, solicitacao.senha, nivel, role, local, agora], function(err) {
+            if (err) {
+                if (err.code === 'SQLITE_CONSTRAINT') {
+                    return res.status(409).json({ success: false, error: 'Já existe um usuário com este nome ou email' });
+                }
+                console.error('Erro ao aprovar solicitação de cadastro:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            const usuarioId = this.lastID;
+            db.run(
+                "UPDATE solicitacoes_cadastro SET status = 'aprovada', analisadoPor = ?, dataAnalise = ?, usuarioId = ? WHERE id = ?",
+                [req.usuario.id, agora, usuarioId, id],
+                (err) => {
+                    if (err) console.error('Erro ao atualizar solicitação de cadastro:', err);
+
+                    registrarAuditoria('APPROVE_REGISTRATION', 'usuarios', usuarioId, null,
+                        { nome: solicitacao.nome, email: solicitacao.email, role, nivel, local, solicitacaoId: solicitacao.id },
+                        req.usuario.id, req.ip);
+
+                    db.get('SELECT * FROM usuarios WHERE id = ?', [usuarioId], (err, usuario) => {
+                        if (err) return res.status(500).json({ success: false, error: err.message });
+                        res.json({ success: true, usuario: usuarioPublico(usuario) });
+                    });
+                }
+            );
+        });
+    });
+});
+
+// POST /api/usuarios/solicitacoes/:id/rejeitar - Rejeitar solicitação de cadastro
+app.post('/api/usuarios/solicitacoes/:id/rejeitar', exigirGestor('usuarios', 'solicitacoes_cadastro'), (req, res) => {
+    const id = req.params.id;
+
+    db.run(
+        "UPDATE solicitacoes_cadastro SET status = 'rejeitada', analisadoPor = ?, dataAnalise = ? WHERE id = ? AND status = 'pendente'",
+        [req.usuario.id, new Date().toISOString(), id],
+        function(err) {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+            if (this.changes === 0) return res.status(404).json({ success: false, error: 'Solicitação pendente não encontrada' });
+
+            registrarAuditoria('REJECT_REGISTRATION', 'solicitacoes_cadastro', id, null, { motivo: req.body.motivo || '' }, req.usuario.id, req.ip);
+            res.json({ success: true });
+        }
+    );
+});
+
+// PUT /api/usuarios/:id - Atualizar nome, email, role, nível, local ou reativar usuário
+app.put('/api/usuarios/:id', exigirGestor('usuarios', 'usuarios'), (req, res) => {
+    const id = req.params.id;
+    const camposPermitidos = ['nome', 'email', 'role', 'nivel', 'local', 'ativo'];
+
+    const dados = {};
+    camposPermitidos.forEach(campo => {
+        if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    });
+
+    if (Object.keys(dados).length === 0) {
+        return res.status(400).json({ success: false, error: 'Nenhum campo para atualizar' });
+    }
+
+    const erro = validarDadosUsuario(dados);
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    if (dados.ativo !== undefined) dados.ativo = dados.ativo ? 1 : 0;
+    if (dados.email) dados.email = dados.email.trim().toLowerCase();
+    if (dados.nome) dados.nome = dados.nome.trim();
+
+    // Evitar que o gestor remova o próprio acesso
+    if (id == req.usuario.id && (dados.ativo === 0 || (dados.role && dados.role !== 'gestor'))) {
+        return res.status(400).json({ success: false, error: 'Você não pode remover o seu próprio acesso de gestor' });
+    }
+
+    db.get('SELECT * FROM usuarios WHERE id = ?', [id], (err, usuarioExistente) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!usuarioExistente) return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+
+        const campos = Object.keys(dados);
+        const sql = `UPDATE usuarios SET ${campos.map(c => `${c} = ?`).join(', ')} WHERE id = ?`;
+
+        db.run(sql, [...campos.map(c => dados[c]), id], function(err) {
+            if (err) {
+                if (err.code === 'SQLITE_CONSTRAINT') {
+                    return res.status(409).json({ success: false, error: 'Já existe um usuário com este nome ou email' });
+                }
+                console.error('Erro ao atualizar usuário:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            db.get('SELECT * FROM usuarios WHERE id = ?', [id], (err, usuarioAtualizado) => {
+                if (err) return res.status(500).json({ success: false, error: err.message });
+
+                registrarAuditoria('UPDATE', 'usuarios', id, usuarioPublico(usuarioExistente), usuarioPublico(usuarioAtualizado), req.usuario.id, req.ip);
+                res.json({ success: true, usuario: usuarioPublico(usuarioAtualizado) });
+            });
+        });
+    });
+});
+
+// DELETE /api/usuarios/:id - Desativar usuário (o histórico de demandas é preservado)
+app.delete('/api/usuarios/:id', exigirGestor('usuarios', 'usuarios'), (req, res) => {
+    const id = req.params.id;
+
+    if (id == req.usuario.id) {
+        return res.status(400).json({ success: false, error: 'Você não pode desativar o seu próprio usuário' });
+    }
+
+    db.run('UPDATE usuarios SET ativo = 0 WHERE id = ? AND ativo = 1', [id], function(err) {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (this.changes === 0) return res.status(404).json({ success: false, error: 'Usuário ativo não encontrado' });
+
+        registrarAuditoria('DEACTIVATE', 'usuarios', id, { ativo: 1 }, { ativo: 0 }, req.usuario.id, req.ip);
+        res.json({ success: true });
+    });
+});
+
+// POST /api/usuarios/:id/reset-password - Redefinir a senha de um usuário
+app.post('/api/usuarios/:id/reset-password', exigirGestor('usuarios', 'usuarios'), (req, res) => {
+    const id = req.params.id;
+    const { novaSenha } = req.body;
+
+    const erro = validarDadosUsuario({ senha: novaSenha }, { exigirSenha: true });
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    bcrypt.hash(String(novaSenha), BCRYPT_ROUNDS, (err, hash) => {
+        if (err) return res.status(500).json({ success: false, error: 'Erro ao processar senha' });
+
+        // A senha definida pelo gestor é provisória
+        db.run('UPDATE usuarios SET senha = ?, deveTrocarSenha = 1 WHERE id = ?', [hash, id], function(err) {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+            if (this.changes === 0) return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+
+            registrarAuditoria('RESET_PASSWORD', 'usuarios', id, null, null, req.usuario.id, req.ip);
+            res.json({ success: true, message: 'Senha redefinida com sucesso' });
+        });
+    });
+});
+
+// Campos que funcionários não podem definir ao criar uma demanda
+const CAMPOS_CRIACAO_GESTOR = ['comentarioGestor', 'dataConclusao', 'versao'];
+
+// POST /api/demandas - Criar nova demanda
+app.post('/api/demandas', validarDemanda, (req, res) => {
+    const d = req.body;
+
+    if (req.usuario.role !== 'gestor' && d.funcionarioId != req.usuario.id) {
+        return negarAcesso(req, res, 'Funcionários só podem criar demandas em seu próprio nome.');
+    }
+
+    // Campos do fluxo de aprovação que só gestores preenchem
+    if (req.usuario.role !== 'gestor') {
+        CAMPOS_CRIACAO_GESTOR.forEach(campo => delete d[campo]);
+    }
+
+    // Normalizar dados antes de salvar
+    const dadosNormalizados = normalizarDadosDemanda(d);
+
+    // O status inicial é sempre do servidor (o do corpo é ignorado): a demanda começa pendente ou,
+    // atribuída a outra pessoa, aguardando o aceite dela
+    const atribuidaAOutros = dadosNormalizados.atribuidos.some(a => a && a.id != dadosNormalizados.funcionarioId);
+    const statusInicial = atribuidaAOutros ? STATUS_DEMANDA.ATRIBUIDA_PENDENTE_ACEITACAO : STATUS_DEMANDA.PENDENTE;
+
+    // Gerar TAG única se não fornecida
+    if (!dadosNormalizados.tag) {
+        dadosNormalizados.tag = `DEM-${Date.now()}`;
+    }
+
+    // Prazo padrão pela política de SLA, contado em tempo útil a partir de agora
+    let slaPoliticaId = null;
+    if (!dadosNormalizados.dataLimite) {
+        const prazoSla = prazoPelaPoliticaSla(dadosNormalizados);
+        if (!prazoSla) {
+            return res.status(400).json({ success: false, error: 'Não foi possível calcular o prazo: o calendário do local não tem dias úteis' });
+        }
+        dadosNormalizados.dataLimite = prazoSla.dataLimite;
+        slaPoliticaId = prazoSla.politica.id;
+    }
+
+    // Os anexos são enviados depois da criação (POST /api/demandas/:id/anexos) e os comentários por
+    // POST /api/demandas/:id/comentarios; aqui só os atribuídos são gravados junto com a demanda
+    const sql = `
+    INSERT INTO demandas
+    (funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade, descricao, local, dataCriacao, dataLimite, status, isRotina, diasSemana, tag, comentarios, comentarioGestor, nomeDemanda, criadoPor, slaPoliticaId)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+        dadosNormalizados.funcionarioId,
+        dadosNormalizados.nomeFuncionario,
+        dadosNormalizados.emailFuncionario,
+        dadosNormalizados.categoria,
+        dadosNormalizados.prioridade,
+        dadosNormalizados.complexidade,
+        dadosNormalizados.descricao,
+        dadosNormalizados.local,
+        dadosNormalizados.dataCriacao || new Date().toISOString(),
+        dadosNormalizados.dataLimite,
+        statusInicial,
+        dadosNormalizados.isRotina ? 1 : 0,
+        JSON.stringify(dadosNormalizados.diasSemana),
+        dadosNormalizados.tag,
+        dadosNormalizados.comentarios || '',
+        dadosNormalizados.comentarioGestor || '',
+        dadosNormalizados.nomeDemanda,
+        dadosNormalizados.funcionarioId,
+        slaPoliticaId
+    ];
+
+    // A demanda e os atribuídos são gravados juntos: uma falha no meio não deixa a demanda sem eles
+    emTransacao((conexao, concluir) => {
+        conexao.run(sql, params, function(err) {
+            if (err) return concluir(err);
+
+            const id = this.lastID;
+            gravarListasDemanda(conexao, id, { atribuidos: dadosNormalizados.atribuidos }, (err) => concluir(err, id));
+        });
+    }, (err, id) => {
+        if (err) {
+            console.error('Erro ao criar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        buscarDemanda(id, (err, demanda) => {
+            if (err) {
+                console.error('Erro ao buscar demanda criada:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            const demandaCriada = normalizarDadosDemanda(demanda);
+
+            // Registrar auditoria
+            registrarAuditoria(
+                'CREATE',
+                'demandas',
+                id,
+                null,
+                demandaCriada,
+                req.usuario.id,
+                req.ip
+            );
+
+            emitirEventoDemanda(req, EVENTOS_DEMANDA.CRIADA, demandaCriada);
+            gerarNotificacoesDemanda(req, demandaCriada);
+
+            res.json({
+                success: true,
+                demanda: demandaCriada
+            });
+        });
+    });
+});
+
+// ETag de uma demanda: a versão, incrementada pelo banco a cada escrita
+function etagDemanda(demanda) {
+    return `"${demanda.versao}"`;
+}
+
+// Versão em que o cliente baseou a edição: If-Match (o ETag de GET /api/demandas/:id) ou o campo versao
+// do corpo. null quando não informada; NaN quando inválida.
+function versaoEsperada(req) {
+    const ifMatch = (req.get('If-Match') || '').trim();
+    if (ifMatch && ifMatch !== '*') {
+        const partes = /^(?:W\/)?"?(\d+)"?$/.exec(ifMatch);
+        return partes ? Number(partes[1]) : NaN;
+    }
+
+    if (req.body.versao === undefined || req.body.versao === null) return null;
+    return Number.isInteger(Number(req.body.versao)) ? Number(req.body.versao) : NaN;
+}
+
+// 409 com a cópia atual do servidor, para o cliente comparar com a sua e decidir
+function responderConflitoVersao(res, demandaAtual) {
+    res.set('ETag', etagDemanda(demandaAtual));
+    res.status(409).json({
+        success: false,
+        error: 'A demanda foi alterada por outra pessoa depois que você começou a editá-la.',
+        conflito: true,
+        versaoAtual: demandaAtual.versao,
+        demanda: normalizarDadosDemanda(demandaAtual)
+    });
+}
+
+// PUT /api/demandas/:id - Atualizar demanda. Com If-Match ou { versao } a gravação só acontece se a
+// demanda ainda estiver nessa versão; senão a resposta é 409 com a versão atual.
+app.put('/api/demandas/:id', (req, res) => {
+    const id = req.params.id;
+    const d = req.body;
+
+    const versao = versaoEsperada(req);
+    if (Number.isNaN(versao)) {
+        return res.status(400).json({ success: false, error: 'Versão inválida em If-Match ou no campo versao' });
+    }
+
+    // Buscar demanda existente
+    buscarDemanda(id, (err, demandaExistente) => {
+        if (err) {
+            console.error('Erro ao buscar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!demandaExistente) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+        }
+
+        const motivoRecusa = verificarPermissaoAtualizacao(req.usuario, demandaExistente, d);
+        if (motivoRecusa) {
+            return negarAcesso(req, res, motivoRecusa, 'demandas', id);
+        }
+
+        if (versao !== null && versao !== demandaExistente.versao) {
+            return responderConflitoVersao(res, demandaExistente);
+        }
+
+        if (d.status !== undefined && d.status !== demandaExistente.status) {
+            return res.status(409).json({
+                success: false,
+                error: 'O status só pode ser alterado pelas ações do fluxo (POST /api/demandas/:id/transitions/:acao).',
+                status: demandaExistente.status,
+                acoesDisponiveis: listarAcoesDisponiveis(req.usuario, demandaExistente).map(a => a.acao)
+            });
+        }
+
+        // Os atribuídos só são regravados quando vêm na requisição
+        const listas = d.atribuidos !== undefined ? { atribuidos: d.atribuidos } : {};
+
+        // Normalizar dados antes de atualizar
+        const dadosNormalizados = normalizarDadosDemanda(d);
 
         const dadosCompletos = { ...demandaExistente, ...dadosNormalizados };
 
-        // Atualizar data de modificação
-        dadosCompletos.dataAtualizacao = new Date().toISOString();
-        dadosCompletos.atualizadoPor = d.funcionarioId;
+        // Política de SLA e prazo padrão acompanham a política escolhida e os critérios dela
+        const prazoSla = prazoSlaNaEdicao(demandaExistente, dadosNormalizados);
+        if (prazoSla.erro) {
+            return res.status(400).json({ success: false, error: prazoSla.erro });
+        }
+        dadosCompletos.slaPoliticaId = prazoSla.slaPoliticaId;
+        dadosCompletos.dataLimite = prazoSla.dataLimite;
+
+        // Campos preenchidos pelas ações do fluxo de status
+        dadosCompletos.dataConclusao = demandaExistente.dataConclusao;
+        dadosCompletos.comentarioReprovacaoAtribuicao = demandaExistente.comentarioReprovacaoAtribuicao;
+
+        // Atualizar data de modificação
+        dadosCompletos.dataAtualizacao = new Date().toISOString();
+        dadosCompletos.atualizadoPor = req.usuario.id;
+
+        // Anexos e comentários têm endpoints próprios e não mudam por aqui
+        const sql = `
+        UPDATE demandas SET
+        funcionarioId = ?, nomeFuncionario = ?, emailFuncionario = ?, categoria = ?, prioridade = ?,
+        complexidade = ?, descricao = ?, local = ?, dataLimite = ?, status = ?,
+        isRotina = ?, diasSemana = ?, tag = ?, comentarios = ?, comentarioGestor = ?,
+        dataConclusao = ?, comentarioReprovacaoAtribuicao = ?, nomeDemanda = ?, dataAtualizacao = ?, atualizadoPor = ?,
+        slaPoliticaId = ?
+        WHERE id = ? AND versao = ?
+        `;
+
+        const params = [
+            dadosCompletos.funcionarioId,
+            dadosCompletos.nomeFuncionario,
+            dadosCompletos.emailFuncionario,
+            dadosCompletos.categoria,
+            dadosCompletos.prioridade,
+            dadosCompletos.complexidade,
+            dadosCompletos.descricao,
+            dadosCompletos.local,
+            dadosCompletos.dataLimite,
+            dadosCompletos.status,
+            dadosCompletos.isRotina ? 1 : 0,
+            JSON.stringify(dadosCompletos.diasSemana),
+            dadosCompletos.tag,
+            dadosCompletos.comentarios || '',
+            dadosCompletos.comentarioGestor || '',
+            dadosCompletos.dataConclusao || null,
+            dadosCompletos.comentarioReprovacaoAtribuicao || '',
+            dadosCompletos.nomeDemanda,
+            dadosCompletos.dataAtualizacao,
+            dadosCompletos.atualizadoPor,
+            dadosCompletos.slaPoliticaId,
+            id,
+            demandaExistente.versao
+        ];
+
+        // A demanda e os atribuídos são gravados juntos: uma falha no meio não deixa a edição pela metade
+        emTransacao((conexao, concluir) => {
+            conexao.run(sql, params, function(err) {
+                if (err) return concluir(err);
+
+                // Outra escrita entrou entre a leitura e a gravação
+                if (this.changes === 0) return concluir({ status: 409 });
+
+                gravarListasDemanda(conexao, id, listas, concluir);
+            });
+        }, (err) => {
+            if (err && err.status === 409) {
+                return buscarDemanda(id, (err, demandaAtual) => {
+                    if (err || !demandaAtual) {
+                        return res.status(err ? 500 : 404).json({ success: false, error: err ? err.message : 'Demanda não encontrada' });
+                    }
+                    responderConflitoVersao(res, demandaAtual);
+                });
+            }
+            if (err) {
+                console.error('Erro ao atualizar demanda:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            buscarDemanda(id, (err, demandaAtualizada) => {
+                if (err) {
+                    console.error('Erro ao buscar demanda atualizada:', err);
+                    return res.status(500).json({ success: false, error: err.message });
+                }
+
+                // Registrar auditoria
+                registrarAuditoria(
+                    'UPDATE',
+                    'demandas',
+                    id,
+                    demandaExistente,
+                    demandaAtualizada,
+                    req.usuario.id,
+                    req.ip
+                );
+
+                emitirEventoDemanda(req, EVENTOS_DEMANDA.ATUALIZADA, demandaAtualizada, { demandaAnterior: demandaExistente });
+                gerarNotificacoesDemanda(req, demandaAtualizada, demandaExistente);
+
+                res.set('ETag', etagDemanda(demandaAtualizada));
+                res.json({
+                    success: true,
+                    demanda: normalizarDadosDemanda(demandaAtualizada)
+                });
+            });
+        });
+    });
+});
+
+// DELETE /api/demandas/:id - Mover a demanda para a lixeira (corpo opcional: { motivo })
+app.delete('/api/demandas/:id', exigirGestor('excluir'), (req, res) => {
+    const id = req.params.id;
+    const motivo = (req.body && typeof req.body.motivo === 'string' && req.body.motivo.trim()) || null;
+
+    // Buscar demanda antes de excluir
+    buscarDemanda(id, (err, demanda) => {
+        if (err) {
+            console.error('Erro ao buscar demanda para exclusão:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!demanda) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+        }
+
+        const exclusao = { excluidoEm: new Date().toISOString(), excluidoPor: req.usuario.id, motivoExclusao: motivo };
+
+        // Os anexos ficam no disco até a limpeza da lixeira
+        db.run('UPDATE demandas SET excluidoEm = ?, excluidoPor = ?, motivoExclusao = ? WHERE id = ?',
+            [exclusao.excluidoEm, exclusao.excluidoPor, exclusao.motivoExclusao, id], function(err) {
+            if (err) {
+                console.error('Erro ao excluir demanda:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            // Registrar auditoria
+            registrarAuditoria(
+                'DELETE',
+                'demandas',
+                id,
+                demanda,
+                exclusao,
+                req.usuario.id,
+                req.ip
+            );
+
+            criarBackup('delete');
+            atualizarPontuacaoUsuarios();
+
+            emitirEventoDemanda(req, EVENTOS_DEMANDA.EXCLUIDA, demanda, { detalhes: { motivo } });
+
+            res.json({ success: true });
+        });
+    });
+});
+
+// POST /api/demandas/:id/extend-deadline - Estender prazo de demanda. Como no PUT, If-Match ou { versao }
+// fazem a gravação só acontecer se a demanda ainda estiver nessa versão (senão 409).
+app.post('/api/demandas/:id/extend-deadline', exigirGestor('estender_prazo'), (req, res) => {
+    const id = req.params.id;
+    const { novaDataLimite, motivo } = req.body;
+
+    if (!novaDataLimite || !motivo) {
+        return res.status(400).json({
+            success: false,
+            error: 'Nova data limite e motivo são obrigatórios'
+        });
+    }
+
+    const novoPrazo = new Date(novaDataLimite).getTime();
+    if (isNaN(novoPrazo)) {
+        return res.status(400).json({ success: false, error: 'Nova data limite inválida' });
+    }
+
+    if (novoPrazo <= Date.now()) {
+        return res.status(400).json({ success: false, error: 'A nova data limite precisa estar no futuro' });
+    }
+
+    const versao = versaoEsperada(req);
+    if (Number.isNaN(versao)) {
+        return res.status(400).json({ success: false, error: 'Versão inválida em If-Match ou no campo versao' });
+    }
+
+    // Buscar demanda existente
+    buscarDemanda(id, (err, demandaExistente) => {
+        if (err) {
+            console.error('Erro ao buscar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!demandaExistente) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+        }
+
+        if (versao !== null && versao !== demandaExistente.versao) {
+            return responderConflitoVersao(res, demandaExistente);
+        }
+
+        // Atualizar apenas os campos necessários, na versão lida
+        const sql = `
+        UPDATE demandas SET
+        dataLimite = ?,
+        comentarioGestor = ?,
+        dataAtualizacao = ?
+        WHERE id = ? AND versao = ?
+        `;
+
+        const comentarioAtual = demandaExistente.comentarioGestor || '';
+        const novoComentario = `${comentarioAtual}\n[Prazo estendido em ${new Date().toLocaleDateString('pt-BR')}: ${motivo}]`;
+
+        db.run(sql, [novaDataLimite, novoComentario, new Date().toISOString(), id, demandaExistente.versao], function(err) {
+            if (err) {
+                console.error('Erro ao estender prazo da demanda:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            // Outra escrita entrou entre a leitura e a gravação
+            if (this.changes === 0) {
+                return buscarDemanda(id, (err, demandaAtual) => {
+                    if (err || !demandaAtual) {
+                        return res.status(err ? 500 : 404).json({ success: false, error: err ? err.message : 'Demanda não encontrada' });
+                    }
+                    responderConflitoVersao(res, demandaAtual);
+                });
+            }
+
+            // Registrar auditoria
+            registrarAuditoria(
+                'EXTEND_DEADLINE',
+                'demandas',
+                id,
+                { dataLimite: demandaExistente.dataLimite, comentarioGestor: demandaExistente.comentarioGestor },
+                { dataLimite: novaDataLimite, comentarioGestor: novoComentario },
+                req.usuario.id,
+                req.ip
+            );
+
+            // Buscar demanda atualizada para retornar
+            buscarDemanda(id, (err, demandaAtualizada) => {
+                if (err) {
+                    console.error('Erro ao buscar demanda atualizada:', err);
+                    return res.status(500).json({ success: false, error: err.message });
+                }
+
+                emitirEventoDemanda(req, EVENTOS_DEMANDA.PRAZO_ESTENDIDO, demandaAtualizada, {
+                    detalhes: { dataLimiteAnterior: demandaExistente.dataLimite, novaDataLimite, motivo }
+                });
+
+                gerarNotificacoesDemanda(req, demandaAtualizada, demandaExistente);
+
+                res.set('ETag', etagDemanda(demandaAtualizada));
+                res.json({
+                    success: true,
+                    demanda: normalizarDadosDemanda(demandaAtualizada)
+                });
+            });
+        });
+    });
+});
+
+// GET /api/demandas/transitions - Definição do fluxo de status (status, ações, papéis e campos exigidos)
+app.get('/api/demandas/transitions', (req, res) => {
+    const transicoes = {};
+    Object.entries(TRANSICOES_DEMANDA).forEach(([acao, { rotulo, de, para, papeis, exige }]) => {
+        transicoes[acao] = { rotulo, de, para, papeis, exige };
+    });
+
+    res.json({ success: true, status: Object.values(STATUS_DEMANDA), transicoes });
+});
+
+// GET /api/demandas/:id/transitions - Ações do fluxo disponíveis para o usuário logado
+app.get('/api/demandas/:id/transitions', (req, res) => {
+    buscarDemanda(req.params.id, (err, demanda) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!demanda) return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+
+        res.json({ success: true, status: demanda.status, acoes: listarAcoesDisponiveis(req.usuario, demanda) });
+    });
+});
+
+// POST /api/demandas/:id/transitions/:acao - Executar uma ação do fluxo (409 se o status atual não permitir)
+app.post('/api/demandas/:id/transitions/:acao', (req, res) => {
+    executarTransicao(req, res, req.params.acao);
+});
+
+// POST /api/demandas/:id/reassign - Reatribuir demanda (atalho para a ação 'reatribuir' do fluxo)
+app.post('/api/demandas/:id/reassign', (req, res) => {
+    executarTransicao(req, res, 'reatribuir');
+});
+
+// ========== IMPORTAÇÃO EM LOTE ==========
+
+// Esquema dos registros importados. "obrigatorio" vale para as demandas novas; nas existentes (mesma TAG)
+// só as colunas presentes no registro são alteradas. "padrao" completa as novas.
+const ESQUEMA_IMPORTACAO = {
+    tag: { tipo: 'texto' },
+    nomeDemanda: { tipo: 'texto', obrigatorio: true, minimo: 3 },
+    funcionarioId: { tipo: 'inteiro', obrigatorio: true },
+    nomeFuncionario: { tipo: 'texto' },
+    emailFuncionario: { tipo: 'texto' },
+    categoria: { tipo: 'texto', obrigatorio: true },
+    prioridade: { tipo: 'texto', obrigatorio: true },
+    complexidade: { tipo: 'texto', obrigatorio: true },
+    descricao: { tipo: 'texto', padrao: '' },
+    local: { tipo: 'texto', obrigatorio: true },
+    dataCriacao: { tipo: 'data' },
+    dataLimite: { tipo: 'data', obrigatorio: true },
+    dataConclusao: { tipo: 'data' },
+    status: { tipo: 'texto', valores: Object.values(STATUS_DEMANDA), padrao: STATUS_DEMANDA.PENDENTE },
+    isRotina: { tipo: 'booleano', padrao: 0 },
+    diasSemana: { tipo: 'lista', padrao: '[]' },
+    atribuidos: { tipo: 'lista', padrao: '[]' },
+    anexosCriacao: { tipo: 'lista', padrao: '[]' },
+    anexosResolucao: { tipo: 'lista', padrao: '[]' },
+    comentariosUsuarios: { tipo: 'lista', padrao: '[]' },
+    comentarios: { tipo: 'texto', padrao: '' },
+    comentarioGestor: { tipo: 'texto', padrao: '' },
+    comentarioReprovacaoAtribuicao: { tipo: 'texto', padrao: '' },
+    rotinaPaiId: { tipo: 'inteiro' },
+    rotinaStatus: { tipo: 'texto' },
+    rotinaFim: { tipo: 'data' }
+};
+
+// Converter um valor para o formato gravado na coluna ({ valor } ou { erro })
+function converterValorImportacao(regra, valor) {
+    if (valor === null || valor === '') {
+        if (regra.obrigatorio) return { erro: 'é obrigatório' };
+        return { valor: regra.padrao !== undefined ? regra.padrao : null };
+    }
+
+    switch (regra.tipo) {
+        case 'texto': {
+            if (typeof valor !== 'string' && typeof valor !== 'number') return { erro: 'deve ser um texto' };
+            const texto = String(valor).trim();
+            if (regra.minimo && texto.length < regra.minimo) return { erro: `deve ter ao menos ${regra.minimo} caracteres` };
+            if (regra.valores && !regra.valores.includes(texto)) return { erro: `deve ser um destes: ${regra.valores.join(', ')}` };
+            return { valor: texto };
+        }
+        case 'inteiro':
+            if (!Number.isInteger(Number(valor)) || typeof valor === 'boolean') return { erro: 'deve ser um número inteiro' };
+            return { valor: Number(valor) };
+        case 'data':
+            if (typeof valor !== 'string' || isNaN(Date.parse(valor))) return { erro: 'deve ser uma data (AAAA-MM-DD ou ISO 8601)' };
+            return { valor: valor.trim() };
+        case 'booleano':
+            if ([true, 1, '1', 'true', 'sim'].includes(valor)) return { valor: 1 };
+            if ([false, 0, '0', 'false', 'não', 'nao'].includes(valor)) return { valor: 0 };
+            return { erro: 'deve ser verdadeiro ou falso' };
+        case 'lista': {
+            let lista = valor;
+            if (typeof valor === 'string') {
+                try {
+                    lista = JSON.parse(valor);
+                } catch (e) {
+                    return { erro: 'deve ser uma lista (JSON)' };
+                }
+            }
+            if (!Array.isArray(lista)) return { erro: 'deve ser uma lista' };
+            return { valor: JSON.stringify(lista) };
+        }
+        default:
+            return { erro: 'tipo desconhecido' };
+    }
+}
+
+// Validar um registro contra o esquema. Devolve as colunas presentes já convertidas e os erros encontrados.
+function validarRegistroImportacao(registro, usuariosPorId) {
+    if (!registro || typeof registro !== 'object' || Array.isArray(registro)) {
+        return { campos: {}, erros: ['Registro inválido: esperado um objeto com os dados da demanda'] };
+    }
+
+    const campos = {};
+    const erros = [];
+
+    Object.entries(ESQUEMA_IMPORTACAO).forEach(([campo, regra]) => {
+        if (registro[campo] === undefined) return;
+
+        const convertido = converterValorImportacao(regra, registro[campo]);
+        if (convertido.erro) erros.push(`${campo} ${convertido.erro}`);
+        else campos[campo] = convertido.valor;
+    });
+
+    if (campos.funcionarioId !== undefined) {
+        const funcionario = usuariosPorId.get(campos.funcionarioId);
+        if (!funcionario) {
+            erros.push(`funcionarioId ${campos.funcionarioId} não corresponde a nenhum usuário`);
+        } else {
+            // Nome e email do responsável vêm do cadastro quando o arquivo não os traz
+            if (!campos.nomeFuncionario) campos.nomeFuncionario = funcionario.nome;
+            if (!campos.emailFuncionario) campos.emailFuncionario = funcionario.email;
+        }
+    }
+
+    return { campos, erros };
+}
+
+// Listas gravadas em tabelas próprias: na comparação só conta o que é gravado de cada item
+const CAMPOS_COMPARADOS_LISTAS = {
+    atribuidos: ['id'],
+    anexosCriacao: ['arquivo', 'nome'],
+    anexosResolucao: ['arquivo', 'nome'],
+    comentariosUsuarios: ['texto', 'autorId', 'data']
+};
+
+// Valor de uma coluna em forma comparável (listas JSON gravadas com outra formatação contam como iguais)
+function valorComparavel(campo, valor) {
+    if (valor === null || valor === undefined) return '';
+    if (ESQUEMA_IMPORTACAO[campo].tipo === 'lista') {
+        try {
+            const lista = JSON.parse(valor);
+            const chaves = CAMPOS_COMPARADOS_LISTAS[campo];
+            if (!chaves || !Array.isArray(lista)) return JSON.stringify(lista);
+
+            return JSON.stringify(lista.map(item => (item && typeof item === 'object'
+                ? chaves.map(chave => (item[chave] === undefined ? null : item[chave]))
+                : [item])));
+        } catch (e) {
+            return String(valor);
+        }
+    }
+    return String(valor);
+}
+
+// Buscar linhas em lotes de valores (o SQLite limita a quantidade de parâmetros por consulta)
+function buscarEmLotes(sql, valores, callback, tamanhoLote = 500) {
+    const linhas = [];
+    let inicio = 0;
+
+    const proximo = () => {
+        if (inicio >= valores.length) return callback(null, linhas);
+
+        const lote = valores.slice(inicio, inicio + tamanhoLote);
+        inicio += tamanhoLote;
+
+        db.all(sql.replace('(?)', `(${lote.map(() => '?').join(', ')})`), lote, (err, rows) => {
+            if (err) return callback(err);
+            linhas.push(...rows);
+            proximo();
+        });
+    };
+
+    proximo();
+}
+
+// Pipeline de importação: valida os registros, compara com as demandas existentes pela TAG
+// (novas, atualizadas ou inalteradas) e, se não for simulação e não houver erros, grava tudo em uma
+// única transação. preservarIds mantém o id do registro nas novas demandas quando ele está livre (restauração).
+function processarImportacao(registros, { dryRun = false, preservarIds = false, aoProgredir = null } = {}, callback) {
+    db.all('SELECT id, nome, email FROM usuarios', [], (err, usuarios) => {
+        if (err) return callback(err);
+
+        const usuariosPorId = new Map(usuarios.map(u => [u.id, u]));
+        const erros = [];
+        const validos = [];
+        const linhaPorTag = new Map();
+
+        registros.forEach((registro, indice) => {
+            const linha = indice + 1;
+            const { campos, erros: errosRegistro } = validarRegistroImportacao(registro, usuariosPorId);
+
+            if (campos.tag) {
+                if (linhaPorTag.has(campos.tag)) {
+                    errosRegistro.push(`TAG ${campos.tag} repetida no arquivo (linha ${linhaPorTag.get(campos.tag)})`);
+                } else {
+                    linhaPorTag.set(campos.tag, linha);
+                }
+            }
+
+            if (errosRegistro.length > 0) {
+                erros.push({ linha, tag: campos.tag || null, erros: errosRegistro });
+            } else {
+                const idOriginal = registro && Number.isInteger(registro.id) ? registro.id : null;
+                validos.push({ linha, campos, idOriginal });
+            }
+        });
+
+        if (aoProgredir) aoProgredir('validacao', registros.length);
+
+        const tags = validos.filter(v => v.campos.tag).map(v => v.campos.tag);
+        const idsOriginais = preservarIds ? validos.filter(v => v.idOriginal).map(v => v.idOriginal) : [];
+
+        buscarEmLotes(`SELECT ${colunasDemanda('d')} FROM demandas d WHERE d.tag IN (?)`, tags, (err, existentes) => {
+            if (err) return callback(err);
+
+            buscarEmLotes('SELECT id FROM demandas WHERE id IN (?)', idsOriginais, (err, idsOcupados) => {
+                if (err) return callback(err);
+
+                const existentePorTag = new Map(existentes.map(d => [d.tag, d]));
+                const ocupados = new Set(idsOcupados.map(d => d.id));
+                const agora = new Date().toISOString();
+                const operacoes = [];
+                const diff = [];
+
+                validos.forEach(({ linha, campos, idOriginal }) => {
+                    const existente = campos.tag ? existentePorTag.get(campos.tag) : null;
+
+                    if (existente && existente.excluidoEm) {
+                        erros.push({ linha, tag: campos.tag, erros: [`TAG ${campos.tag} pertence a uma demanda na lixeira; restaure-a antes de importar`] });
+                        return;
+                    }
+
+                    if (existente) {
+                        const alteracoes = Object.keys(campos).filter(campo =>
+                            campo !== 'tag' && valorComparavel(campo, campos[campo]) !== valorComparavel(campo, existente[campo]));
+
+                        if (alteracoes.length === 0) {
+                            diff.push({ linha, tag: campos.tag, acao: 'inalterada', id: existente.id });
+                        } else {
+                            diff.push({ linha, tag: campos.tag, acao: 'atualizada', id: existente.id, alteracoes });
+                            operacoes.push({ tipo: 'atualizar', id: existente.id, campos: Object.fromEntries(alteracoes.map(c => [c, campos[c]])) });
+                        }
+                        return;
+                    }
+
+                    const faltantes = Object.keys(ESQUEMA_IMPORTACAO)
+                        .filter(campo => ESQUEMA_IMPORTACAO[campo].obrigatorio && campos[campo] === undefined);
+                    if (faltantes.length > 0) {
+                        erros.push({ linha, tag: campos.tag || null, erros: faltantes.map(campo => `${campo} é obrigatório`) });
+                        return;
+                    }
+
+                    const nova = { dataCriacao: agora };
+                    Object.entries(ESQUEMA_IMPORTACAO).forEach(([campo, regra]) => {
+                        if (regra.padrao !== undefined) nova[campo] = regra.padrao;
+                    });
+                    Object.assign(nova, campos);
+                    if (!nova.tag) nova.tag = `DEM-IMP-${Date.now()}-${linha}`;
+
+                    const id = preservarIds && idOriginal && !ocupados.has(idOriginal) ? idOriginal : null;
+                    if (id) ocupados.add(id);
+
+                    const entrada = { linha, tag: nova.tag, acao: 'nova' };
+                    diff.push(entrada);
+                    operacoes.push({ tipo: 'inserir', id, campos: nova, entrada });
+                });
+
+                erros.sort((a, b) => a.linha - b.linha);
+
+                const relatorio = {
+                    total: registros.length,
+                    novas: diff.filter(d => d.acao === 'nova').length,
+                    atualizadas: diff.filter(d => d.acao === 'atualizada').length,
+                    inalteradas: diff.filter(d => d.acao === 'inalterada').length,
+                    erros,
+                    diff
+                };
+
+                // Com erros nada é gravado: a importação é tudo ou nada
+                if (dryRun || erros.length > 0 || operacoes.length === 0) return callback(null, relatorio);
+
+                gravarImportacao(operacoes, aoProgredir, (err) => {
+                    if (err) return callback(err);
+                    callback(null, relatorio);
+                });
+            });
+        });
+    });
+}
+
+// Gravar as operações em uma transação (na conexão de transações), uma após a outra; qualquer falha desfaz todas
+function gravarImportacao(operacoes, aoProgredir, callback) {
+    emTransacao((conexao, concluir) => {
+        const gravar = (indice) => {
+            if (indice >= operacoes.length) return concluir(null);
+
+            if (aoProgredir && indice > 0 && indice % 100 === 0) aoProgredir('gravacao', indice);
+
+            const operacao = operacoes[indice];
+            const relacionamentos = Object.keys(RELACIONAMENTOS_DEMANDA);
+            const colunas = Object.keys(operacao.campos).filter(campo => !relacionamentos.includes(campo));
+            const valores = colunas.map(coluna => operacao.campos[coluna]);
+            const listas = {};
+            relacionamentos.filter(campo => operacao.campos[campo] !== undefined).forEach(campo => {
+                listas[campo] = operacao.campos[campo];
+            });
+
+            const falhar = (err) => {
+                err.message = `Linha ${operacao.entrada ? operacao.entrada.linha : indice + 1}: ${err.message}`;
+                concluir(err);
+            };
+
+            const aposGravar = function(err) {
+                if (err) return falhar(err);
+
+                const id = operacao.tipo === 'inserir' ? this.lastID : operacao.id;
+                if (operacao.entrada) operacao.entrada.id = id;
+
+                gravarListasDemanda(conexao, id, listas, (err) => {
+                    if (err) return falhar(err);
+                    gravar(indice + 1);
+                });
+            };
+
+            // Uma atualização que só mexe nas listas não tem colunas da tabela demandas a gravar, mas gera
+            // uma nova versão (os gatilhos dos atribuídos não a incrementam)
+            if (colunas.length === 0) {
+                return conexao.run('UPDATE demandas SET versao = versao + 1 WHERE id = ?', [operacao.id], aposGravar);
+            }
+
+            if (operacao.tipo === 'inserir') {
+                if (operacao.id) {
+                    colunas.unshift('id');
+                    valores.unshift(operacao.id);
+                }
+                conexao.run(`INSERT INTO demandas (${colunas.join(', ')}) VALUES (${colunas.map(() => '?').join(', ')})`, valores, aposGravar);
+            } else {
+                conexao.run(`UPDATE demandas SET ${colunas.map(coluna => `${coluna} = ?`).join(', ')} WHERE id = ?`, [...valores, operacao.id], aposGravar);
+            }
+        };
+
+        gravar(0);
+    }, callback);
+}
+
+// Executar uma importação a partir da requisição. Com ?dryRun=true (ou dryRun no corpo) só devolve o relatório.
+// Com Accept: application/x-ndjson a resposta é transmitida em linhas JSON: { tipo: 'progresso', etapa, processadas, total }
+// enquanto grava e, ao final, { tipo: 'resultado', ... } com o mesmo corpo da resposta comum.
+function responderImportacao(req, res, { preservarIds = false, acaoAuditoria, tipoBackup }) {
+    const { demandas } = req.body;
+
+    if (!Array.isArray(demandas)) {
+        return res.status(400).json({ success: false, error: 'Formato inválido. Envie um array de demandas.' });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+    const transmitir = (req.headers.accept || '').includes('application/x-ndjson');
+
+    if (transmitir) {
+        res.status(200).set({ 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+        res.flushHeaders();
+    }
+
+    const finalizar = (status, corpo) => {
+        if (transmitir) return res.end(JSON.stringify({ tipo: 'resultado', ...corpo }) + '\n');
+        res.status(status).json(corpo);
+    };
+
+    const aoProgredir = transmitir
+        ? (etapa, processadas) => res.write(JSON.stringify({ tipo: 'progresso', etapa, processadas, total: demandas.length }) + '\n')
+        : null;
+
+    console.log(`${dryRun ? 'Simulando' : 'Iniciando'} importação de ${demandas.length} demandas...`);
+
+    processarImportacao(demandas, { dryRun, preservarIds, aoProgredir }, (err, relatorio) => {
+        if (err) {
+            console.error('Erro na importação:', err);
+            return finalizar(500, { success: false, error: `Importação desfeita: ${err.message}` });
+        }
+
+        if (relatorio.erros.length > 0 && !dryRun) {
+            return finalizar(400, {
+                success: false,
+                error: `${relatorio.erros.length} registro(s) inválido(s). Nada foi importado.`,
+                ...relatorio
+            });
+        }
+
+        if (!dryRun) {
+            console.log(`Importação concluída: ${relatorio.novas} nova(s), ${relatorio.atualizadas} atualizada(s), ${relatorio.inalteradas} inalterada(s)`);
+            registrarAuditoria(acaoAuditoria, 'demandas', 0, null, {
+                total: relatorio.total,
+                novas: relatorio.novas,
+                atualizadas: relatorio.atualizadas
+            }, req.usuario.id, req.ip);
+
+            // Criar backup após importação que alterou dados
+            if (relatorio.novas + relatorio.atualizadas > 0) {
+                criarBackup(tipoBackup, (err, filename) => {
+                    if (err) console.error('Erro ao criar backup pós-importação:', err);
+                    else console.log(`Backup pós-importação criado: ${filename}`);
+                });
+            }
+        }
+
+        finalizar(200, { success: true, dryRun, ...relatorio });
+    });
+}
+
+// POST /api/demandas/batch - Importação em lote (upsert pela TAG, tudo ou nada; ?dryRun=true para simular)
+app.post('/api/demandas/batch', exigirGestor('importar'), (req, res) => {
+    responderImportacao(req, res, { acaoAuditoria: 'IMPORT', tipoBackup: 'batch_import' });
+});
+
+// POST /api/feedbacks
+app.post('/api/feedbacks', exigirGestor('feedback', 'feedbacks'), (req, res) => {
+    const { funcionarioId, tipo, mensagem } = req.body;
+    const gestorId = req.usuario.id;
+
+    const sql = `
+    INSERT INTO feedbacks (funcionarioId, gestorId, tipo, mensagem, dataCriacao)
+    VALUES (?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [funcionarioId, gestorId, tipo, mensagem, new Date().toISOString()], function(err) {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        res.json({ success: true, feedback: { id: this.lastID, funcionarioId, gestorId, tipo, mensagem } });
+    });
+});
+
+// GET /api/feedbacks
+app.get('/api/feedbacks', (req, res) => {
+    db.all('SELECT * FROM feedbacks ORDER BY dataCriacao DESC', [], (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        res.json(rows);
+    });
+});
+
+// POST /api/auth/login
+app.post('/api/auth/login', limiteLogin, (req, res) => {
+    const { id, email, senha } = req.body;
+
+    if ((!id && !email) || !senha) {
+        return res.status(400).json({ success: false, error: 'Usuário e senha são obrigatórios' });
+    }
+
+    // Alguns usuários compartilham o mesmo email: vale a conta cuja senha confere (o id, quando informado, tem precedência)
+    const sql = id
+        ? 'SELECT * FROM usuarios WHERE id = ? AND senha IS NOT NULL'
+        : 'SELECT * FROM usuarios WHERE email = ? AND senha IS NOT NULL ORDER BY ativo DESC, id';
+
+    db.all(sql, [id || String(email).trim().toLowerCase()], (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+
+        // A senha é conferida antes da situação da conta, para não revelar quais contas existem ou estão desativadas
+        const conferirSenha = (indice) => {
+            if (indice >= rows.length) return res.status(401).json({ success: false, error: 'Credenciais inválidas' });
+            const row = rows[indice];
+
+            bcrypt.compare(String(senha), row.senha, (err, senhaCorreta) => {
+                if (err) {
+                    console.error('Erro ao verificar senha:', err);
+                    return res.status(500).json({ success: false, error: 'Erro ao verificar credenciais' });
+                }
+
+                if (!senhaCorreta) return conferirSenha(indice + 1);
+                if (!row.ativo) return res.status(403).json({ success: false, error: 'Usuário desativado. Procure um gestor.' });
+
+                res.json({
+                    success: true,
+                    token: gerarTokenAcesso(row),
+                    expiresIn: JWT_EXPIRES_IN,
+                    usuario: usuarioPublico(row)
+                });
+            });
+        };
+
+        conferirSenha(0);
+    });
+});
+
+// GET /api/auth/me - Dados do usuário autenticado
+app.get('/api/auth/me', (req, res) => {
+    db.get('SELECT * FROM usuarios WHERE id = ?', [req.usuario.id], (err, row) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!row) return res.status(401).json({ success: false, error: 'Usuário não encontrado' });
+
+        res.json({ success: true, usuario: usuarioPublico(row) });
+    });
+});
+
+// POST /api/auth/change-password - Trocar a própria senha
+app.post('/api/auth/change-password', (req, res) => {
+    const { senhaAtual, novaSenha } = req.body;
+
+    const erro = validarDadosUsuario({ senha: novaSenha }, { exigirSenha: true });
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    if (SENHAS_PADRAO.includes(String(novaSenha))) {
+        return res.status(400).json({ success: false, error: 'Escolha uma senha diferente da senha padrão' });
+    }
+
+    db.get('SELECT senha FROM usuarios WHERE id = ?', [req.usuario.id], (err, row) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+
+        bcrypt.compare(String(senhaAtual || ''), row.senha, (err, senhaCorreta) => {
+            if (err) return res.status(500).json({ success: false, error: 'Erro ao verificar senha' });
+            if (!senhaCorreta) return res.status(400).json({ success: false, error: 'Senha atual incorreta' });
+            if (senhaAtual === novaSenha) {
+                return res.status(400).json({ success: false, error: 'A nova senha deve ser diferente da atual' });
+            }
+
+            bcrypt.hash(String(novaSenha), BCRYPT_ROUNDS, (err, hash) => {
+                if (err) return res.status(500).json({ success: false, error: 'Erro ao processar senha' });
+
+                db.run('UPDATE usuarios SET senha = ?, deveTrocarSenha = 0 WHERE id = ?', [hash, req.usuario.id], (err) => {
+                    if (err) return res.status(500).json({ success: false, error: err.message });
+
+                    registrarAuditoria('CHANGE_PASSWORD', 'usuarios', req.usuario.id, null, null, req.usuario.id, req.ip);
+                    res.json({ success: true, message: 'Senha alterada com sucesso' });
+                });
+            });
+        });
+    });
+});
+
+// POST /api/auth/reset-password - Emitir token de redefinição e enviar o link por email
+app.post('/api/auth/reset-password', limiteLogin, (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    // A resposta é sempre a mesma, para não revelar quais emails estão cadastrados
+    const resposta = { success: true, message: 'Se o email estiver cadastrado, você receberá as instruções de redefinição de senha.' };
+
+    if (!email) {
+        return res.status(400).json({ success: false, error: 'Email é obrigatório' });
+    }
+
+    db.all('SELECT id, nome, email FROM usuarios WHERE email = ? AND ativo = 1', [email], (err, usuarios) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (usuarios.length === 0) return res.json(resposta);
+
+        const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+        const expiraEm = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+
+        usuarios.forEach((usuario) => {
+            const token = crypto.randomBytes(32).toString('hex');
+
+            // Um novo pedido invalida os tokens anteriores ainda não usados
+            db.run('UPDATE tokens_redefinicao_senha SET usadoEm = ? WHERE usuarioId = ? AND usadoEm IS NULL', [new Date().toISOString(), usuario.id], (err) => {
+                if (err) return console.error('Erro ao invalidar tokens anteriores:', err);
+
+                db.run(
+                    'INSERT INTO tokens_redefinicao_senha (usuarioId, tokenHash, expiraEm, dataCriacao, ip) VALUES (?, ?, ?, ?, ?)',
+                    [usuario.id, hashToken(token), expiraEm, new Date().toISOString(), req.ip],
+                    (err) => {
+                        if (err) return console.error('Erro ao registrar token de redefinição:', err);
+
+                        enviarEmail({
+                            para: usuario.email,
+                            assunto: 'Redefinição de Senha - Portal do Gestor',
+                            texto: `Olá, ${usuario.nome}.\n\nRecebemos uma solicitação para redefinir sua senha.\n\nPara definir uma nova senha, acesse o link abaixo (válido por ${RESET_TOKEN_TTL_MINUTES} minutos e de uso único):\n${baseUrl}/?resetToken=${token}\n\nSe você não fez esta solicitação, ignore este email.\n\nAtenciosamente,\nSistema de Gestão de Demandas`
+                        });
+                    }
+                );
+            });
+        });
+
+        res.json(resposta);
+    });
+});
+
+// POST /api/auth/reset-password/confirm - Consumir token e definir nova senha
+app.post('/api/auth/reset-password/confirm', limiteLogin, (req, res) => {
+    const { token, novaSenha } = req.body;
+
+    if (!token) return res.status(400).json({ success: false, error: 'Token de redefinição é obrigatório' });
+
+    const erro = validarDadosUsuario({ senha: novaSenha }, { exigirSenha: true });
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    if (SENHAS_PADRAO.includes(String(novaSenha))) {
+        return res.status(400).json({ success: false, error: 'Escolha uma senha diferente da senha padrão' });
+    }
+
+    db.get('SELECT * FROM tokens_redefinicao_senha WHERE tokenHash = ?', [hashToken(String(token))], (err, registro) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+
+        if (!registro || registro.usadoEm || new Date(registro.expiraEm) < new Date()) {
+            return res.status(400).json({ success: false, error: 'Link de redefinição inválido ou expirado. Solicite um novo.' });
+        }
+
+        bcrypt.hash(String(novaSenha), BCRYPT_ROUNDS, (err, hash) => {
+            if (err) return res.status(500).json({ success: false, error: 'Erro ao processar senha' });
+
+            // Marcar o token como usado antes de trocar a senha garante o uso único
+            db.run('UPDATE tokens_redefinicao_senha SET usadoEm = ? WHERE id = ? AND usadoEm IS NULL', [new Date().toISOString(), registro.id], function(err) {
+                if (err) return res.status(500).json({ success: false, error: err.message });
+                if (this.changes === 0) {
+                    return res.status(400).json({ success: false, error: 'Link de redefinição inválido ou expirado. Solicite um novo.' });
+                }
+
+                db.run('UPDATE usuarios SET senha = ?, deveTrocarSenha = 0 WHERE id = ?', [hash, registro.usuarioId], (err) => {
+                    if (err) return res.status(500).json({ success: false, error: err.message });
+
+                    registrarAuditoria('RESET_PASSWORD', 'usuarios', registro.usuarioId, null, { via: 'token' }, registro.usuarioId, req.ip);
+                    res.json({ success: true, message: 'Senha redefinida com sucesso. Faça login com a nova senha.' });
+                });
+            });
+        });
+    });
+});
+
+// POST /api/auth/register - Solicitar cadastro (aguarda aprovação de um gestor). O cadastro é sempre
+// como funcionário: gestores são promovidos por outro gestor pela API de usuários.
+app.post('/api/auth/register', limiteLogin, (req, res) => {
+    const { nome, email, senha, role = 'funcionario', local = null } = req.body;
+
+    if (role !== 'funcionario') {
+        return res.status(400).json({ success: false, error: 'O cadastro só pode ser solicitado como funcionário. Gestores são definidos por um gestor.' });
+    }
+
+    const erro = validarDadosUsuario({ nome, email, senha, role }, { exigirSenha: true });
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    const emailNormalizado = email.trim().toLowerCase();
+
+    db.get(
+        "SELECT (SELECT COUNT(*) FROM usuarios WHERE email = ?) as usuarios, (SELECT COUNT(*) FROM solicitacoes_cadastro WHERE email = ? AND status = 'pendente') as pendentes",
+        [emailNormalizado, emailNormalizado],
+        (err, row) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+            if (row.usuarios > 0) return res.status(409).json({ success: false, error: 'Já existe um usuário com este email' });
+            if (row.pendentes > 0) return res.status(409).json({ success: false, error: 'Já existe uma solicitação pendente para este email' });
+
+            bcrypt.hash(String(senha), BCRYPT_ROUNDS, (err, hash) => {
+                if (err) return res.status(500).json({ success: false, error: 'Erro ao processar senha' });
+
+                db.run(
+                    'INSERT INTO solicitacoes_cadastro (nome, email, senha, role, local, dataCriacao) VALUES (?, ?, ?, ?, ?, ?)',
+                    [nome.trim(), emailNormalizado, hash, role, local, new Date().toISOString()],
+                    function(err) {
+                        if (err) {
+                            console.error('Erro ao registrar solicitação de cadastro:', err);
+                            return res.status(500).json({ success: false, error: err.message });
+                        }
+
+                        res.json({ success: true, message: 'Solicitação de cadastro recebida. Aguarde a aprovação de um gestor.' });
+                    }
+                );
+            });
+        }
+    );
+});
+
+// GET /api/demandas/estatisticas
+app.get('/api/demandas/estatisticas', (req, res) => {
+    const { periodo = 30 } = req.query;
+
+    const dataCorte = new Date();
+    dataCorte.setDate(dataCorte.getDate() - parseInt(periodo));
+
+    const sql = `
+    SELECT
+    COUNT(*) as total,
+    COUNT(CASE WHEN status = 'aprovada' THEN 1 END) as aprovadas,
+    COUNT(CASE WHEN status = 'pendente' THEN 1 END) as pendentes,
+    COUNT(CASE WHEN status = 'reprovada' THEN 1 END) as reprovadas,
+    COUNT(CASE WHEN status = 'finalizado_pendente_aprovacao' THEN 1 END) em_analise,
+    COUNT(CASE WHEN isRotina = 1 THEN 1 END) as rotina
+    FROM demandas
+    WHERE dataCriacao >= ? AND excluidoEm IS NULL
+    `;
+
+    db.get(sql, [dataCorte.toISOString()], (err, row) => {
+        if (err) {
+            console.error('Erro ao buscar estatísticas:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json({ success: true, estatisticas: row });
+    });
+});
+
+// ========== BUSCA ==========
+
+// Colunas de data aceitas no filtro de período
+const CAMPOS_DATA_FILTRO = ['dataCriacao', 'dataLimite', 'dataConclusao'];
+
+// Pesos do bm25 por coluna do índice (nome e tag valem mais que o texto dos comentários)
+const PESOS_BUSCA = [10, 4, 8, 2, 2, 2];
+
+// Cursores de paginação são opacos para o cliente: JSON em base64url
+function codificarCursor(dados) {
+    return Buffer.from(JSON.stringify(dados)).toString('base64url');
+}
+
+function decodificarCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (e) {
+        return null;
+    }
+}
+
+// Converter o texto digitado em uma consulta FTS5: todos os termos, cada um como prefixo
+function montarConsultaBusca(q) {
+    return q.split(/\s+/)
+        .map(termo => termo.replace(/"/g, ''))
+        .filter(Boolean)
+        .map(termo => `"${termo}"*`)
+        .join(' ');
+}
+
+// Filtros combináveis de demandas: status (lista separada por vírgula), categoria, local,
+// atribuido (dono ou atribuído), from/to (AAAA-MM-DD) sobre campoData
+function montarFiltrosDemandas(query, alias = 'd') {
+    const { status, categoria, local, atribuido, from, to, campoData = 'dataCriacao' } = query;
+    const condicoes = [];
+    const params = [];
+
+    if ((from && !FORMATO_DATA.test(from)) || (to && !FORMATO_DATA.test(to))) {
+        return { erro: 'Datas inválidas. Use o formato AAAA-MM-DD.' };
+    }
+
+    if (!CAMPOS_DATA_FILTRO.includes(campoData)) {
+        return { erro: `Campo de data inválido. Use: ${CAMPOS_DATA_FILTRO.join(', ')}` };
+    }
+
+    if (status) {
+        const lista = status.split(',').filter(Boolean);
+        condicoes.push(`${alias}.status IN (${lista.map(() => '?').join(', ')})`);
+        params.push(...lista);
+    }
+
+    if (categoria) {
+        condicoes.push(`${alias}.categoria = ?`);
+        params.push(categoria);
+    }
+
+    if (local) {
+        condicoes.push(`${alias}.local = ?`);
+        params.push(local);
+    }
+
+    if (atribuido) {
+        condicoes.push(`(${alias}.funcionarioId = ? OR EXISTS (
+        SELECT 1 FROM demanda_atribuidos WHERE demandaId = ${alias}.id AND usuarioId = ?))`);
+        params.push(Number(atribuido), Number(atribuido));
+    }
+
+    // Datas completas (ISO) são comparadas pelo dia
+    if (from) {
+        condicoes.push(`substr(${alias}.${campoData}, 1, 10) >= ?`);
+        params.push(from);
+    }
+
+    if (to) {
+        condicoes.push(`substr(${alias}.${campoData}, 1, 10) <= ?`);
+        params.push(to);
+    }
+
+    return { condicoes, params };
+}
+
+// O FTS5 marca os termos encontrados com char(2) e char(3): caracteres de controle, não HTML
+const MARCA_INICIO_DESTAQUE = '\u0002';
+const MARCA_FIM_DESTAQUE = '\u0003';
+
+// Texto marcado pelo highlight()/snippet() em trechos de texto puro: [{ texto, destaque }]. Quem exibe
+// escapa o texto e destaca os trechos marcados; o conteúdo das demandas nunca chega como HTML.
+function trechosDestacados(marcado) {
+    if (marcado === null || marcado === undefined) return null;
+
+    const trechos = [];
+    const adicionar = (texto, destaque) => {
+        const limpo = texto.split(MARCA_INICIO_DESTAQUE).join('').split(MARCA_FIM_DESTAQUE).join('');
+        if (limpo) trechos.push({ texto: limpo, destaque });
+    };
+
+    String(marcado).split(MARCA_INICIO_DESTAQUE).forEach((parte, indice) => {
+        if (indice === 0) return adicionar(parte, false);
+
+        const fim = parte.indexOf(MARCA_FIM_DESTAQUE);
+        if (fim === -1) return adicionar(parte, true);
+        adicionar(parte.slice(0, fim), true);
+        adicionar(parte.slice(fim + 1), false);
+    });
+
+    return trechos;
+}
+
+// GET /api/demandas/search - Busca por relevância (?q=) com filtros (status, categoria, local, atribuido,
+// from, to, campoData) e paginação por cursor (?limit=&cursor=). Sem q, lista os filtrados por data de criação.
+// Com q, cada resultado traz nomeDestacado e trecho como listas de trechos { texto, destaque }.
+app.get('/api/demandas/search', (req, res) => {
+    const q = (req.query.q || '').trim();
+    const limite = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filtros = montarFiltrosDemandas(req.query);
+    if (filtros.erro) return res.status(400).json({ success: false, error: filtros.erro });
+
+    const cursor = req.query.cursor ? decodificarCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+        return res.status(400).json({ success: false, error: 'Cursor inválido' });
+    }
+
+    const consulta = montarConsultaBusca(q);
+    if (q && q.length < 2) {
+        return res.json({ success: true, data: [], nextCursor: null });
+    }
+
+    const condicoes = [...filtros.condicoes];
+    const params = [...filtros.params];
+    let sql;
+
+    if (consulta) {
+        sql = `
+        SELECT * FROM (
+        SELECT ${colunasDemanda('d')},
+        bm25(demandas_busca, ${PESOS_BUSCA.join(', ')}) AS relevancia,
+        highlight(demandas_busca, 0, char(2), char(3)) AS nomeDestacado,
+        snippet(demandas_busca, -1, char(2), char(3), '…', 16) AS trecho
+        FROM demandas_busca
+        JOIN demandas d ON d.id = demandas_busca.rowid
+        WHERE demandas_busca MATCH ? AND d.excluidoEm IS NULL
+        ${condicoes.map(c => `AND ${c}`).join('\n')}
+        )
+        `;
+        params.unshift(consulta);
+
+        // bm25 é menor para os mais relevantes
+        if (cursor) {
+            sql += ' WHERE relevancia > ? OR (relevancia = ? AND id > ?)';
+            params.push(cursor.relevancia, cursor.relevancia, cursor.id);
+        }
+        sql += ' ORDER BY relevancia, id LIMIT ?';
+    } else {
+        if (condicoes.length === 0) {
+            return res.json({ success: true, data: [], nextCursor: null });
+        }
+
+        if (cursor) {
+            condicoes.push('(d.dataCriacao < ? OR (d.dataCriacao = ? AND d.id < ?))');
+            params.push(cursor.dataCriacao, cursor.dataCriacao, cursor.id);
+        }
+        sql = `SELECT ${colunasDemanda('d')} FROM demandas d WHERE d.excluidoEm IS NULL AND ${condicoes.join(' AND ')} ORDER BY d.dataCriacao DESC, d.id DESC LIMIT ?`;
+    }
+
+    // Um registro a mais indica se há próxima página
+    params.push(limite + 1);
+
+    db.all(sql, params, (err, rows) => {
+        if (err) {
+            console.error('Erro na busca:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        const pagina = rows.slice(0, limite);
+        const ultima = pagina[pagina.length - 1];
+        const nextCursor = rows.length > limite
+            ? codificarCursor(consulta
+                ? { relevancia: ultima.relevancia, id: ultima.id }
+                : { dataCriacao: ultima.dataCriacao, id: ultima.id })
+            : null;
+
+        const demandasNormalizadas = pagina.map(demanda => {
+            const normalizada = normalizarDadosDemanda(demanda);
+            if (consulta) {
+                normalizada.nomeDestacado = trechosDestacados(demanda.nomeDestacado);
+                normalizada.trecho = trechosDestacados(demanda.trecho);
+            }
+            return normalizada;
+        });
+        res.json({ success: true, data: demandasNormalizadas, nextCursor });
+    });
+});
+
+// ========== ANEXOS ==========
+
+// Lista de anexos de cada etapa da demanda (campo devolvido pela API)
+const COLUNAS_ANEXOS = { criacao: 'anexosCriacao', resolucao: 'anexosResolucao' };
+
+// Carregar a demanda e verificar se o usuário participa dela (gestor, dono ou atribuído)
+const carregarDemandaEnvolvida = (recurso) => (req, res, next) => {
+    buscarDemanda(req.params.id, (err, demanda) => {
+        if (err) {
+            console.error('Erro ao buscar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!demanda) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+        }
+
+        if (req.usuario.role !== 'gestor' && !usuarioEnvolvidoNaDemanda(req.usuario, demanda)) {
+            return negarAcesso(req, res, `Você só pode acessar ${recurso} de demandas criadas por você ou atribuídas a você.`, 'demandas', demanda.id);
+        }
+
+        req.demanda = demanda;
+        next();
+    });
+};
+
+const carregarDemandaDoAnexo = carregarDemandaEnvolvida('anexos');
+
+const uploadAnexos = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            const pasta = path.join(anexosDir, String(req.demanda.id));
+            fs.mkdir(pasta, { recursive: true }, (err) => cb(err, pasta));
+        },
+        // Nome gerado no servidor; o nome original fica apenas nos metadados
+        filename: (req, file, cb) => {
+            const extensao = path.extname(file.originalname).toLowerCase();
+            cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extensao}`);
+        }
+    }),
+    limits: { fileSize: ANEXO_TAMANHO_MAXIMO_MB * 1024 * 1024, files: ANEXO_MAX_ARQUIVOS },
+    fileFilter: (req, file, cb) => {
+        const extensao = path.extname(file.originalname).toLowerCase();
+        if (!ANEXO_EXTENSOES_PERMITIDAS.includes(extensao)) {
+            const erro = new Error(`Tipo de arquivo não permitido: ${file.originalname}. Permitidos: ${ANEXO_EXTENSOES_PERMITIDAS.join(', ')}`);
+            erro.code = 'TIPO_NAO_PERMITIDO';
+            return cb(erro);
+        }
+        cb(null, true);
+    }
+}).array('arquivos', ANEXO_MAX_ARQUIVOS);
+
+// Mensagens dos erros de upload
+function mensagemErroUpload(err) {
+    switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+        return `Arquivo maior que o limite de ${ANEXO_TAMANHO_MAXIMO_MB} MB`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+        return `Envie no máximo ${ANEXO_MAX_ARQUIVOS} arquivos no campo "arquivos"`;
+    default:
+        return err.message;
+    }
+}
+
+// Encontrar um anexo da demanda pelo nome do arquivo armazenado
+function buscarAnexo(demanda, arquivo, callback) {
+    db.get('SELECT * FROM demanda_anexos WHERE demandaId = ? AND arquivo = ?', [demanda.id, arquivo], callback);
+}
+
+// POST /api/demandas/:id/anexos?etapa=criacao|resolucao - Enviar arquivos (campo multipart "arquivos")
+app.post('/api/demandas/:id/anexos', carregarDemandaDoAnexo, (req, res) => {
+    const etapa = req.query.etapa || 'criacao';
+    const coluna = COLUNAS_ANEXOS[etapa];
+
+    if (!coluna) {
+        return res.status(400).json({ success: false, error: 'Etapa inválida. Use criacao ou resolucao' });
+    }
+
+    uploadAnexos(req, res, (err) => {
+        const arquivos = req.files || [];
+
+        if (err) {
+            // Descartar o que já tinha sido gravado desta requisição
+            arquivos.forEach(arquivo => fs.unlink(arquivo.path, () => {}));
+            return res.status(400).json({ success: false, error: mensagemErroUpload(err) });
+        }
+
+        if (arquivos.length === 0) {
+            return res.status(400).json({ success: false, error: 'Nenhum arquivo enviado' });
+        }
+
+        const novosAnexos = arquivos.map(arquivo => ({
+            arquivo: arquivo.filename,
+            nome: arquivo.originalname,
+            tamanho: arquivo.size,
+            tipo: arquivo.mimetype,
+            dataEnvio: new Date().toISOString(),
+            enviadoPor: req.usuario.id
+        }));
+
+        // Um único INSERT para que o envio entre inteiro ou não entre
+        db.run(`
+        INSERT INTO demanda_anexos (demandaId, etapa, arquivo, nome, tamanho, tipo, enviadoPor, dataEnvio)
+        SELECT ?, ?, json_extract(value, '$.arquivo'), json_extract(value, '$.nome'), json_extract(value, '$.tamanho'),
+        json_extract(value, '$.tipo'), json_extract(value, '$.enviadoPor'), json_extract(value, '$.dataEnvio')
+        FROM json_each(?)
+        `, [req.demanda.id, etapa, JSON.stringify(novosAnexos)], (err) => {
+            if (err) {
+                console.error('Erro ao registrar anexos:', err);
+                arquivos.forEach(arquivo => fs.unlink(arquivo.path, () => {}));
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            registrarAuditoria('UPLOAD', 'demandas', req.demanda.id, null, { [coluna]: novosAnexos }, req.usuario.id, req.ip);
+
+            buscarDemanda(req.demanda.id, (err, demandaAtualizada) => {
+                if (err || !demandaAtualizada) {
+                    return res.status(500).json({ success: false, error: err ? err.message : 'Demanda não encontrada' });
+                }
+
+                const demanda = normalizarDadosDemanda(demandaAtualizada);
+                emitirEventoDemanda(req, EVENTOS_DEMANDA.ATUALIZADA, demanda);
+
+                res.json({ success: true, anexos: novosAnexos, [coluna]: demanda[coluna] });
+            });
+        });
+    });
+});
+
+// GET /api/demandas/:id/anexos/:arquivo - Abrir (inline) ou baixar (?download=true) um anexo
+app.get('/api/demandas/:id/anexos/:arquivo', carregarDemandaDoAnexo, (req, res) => {
+    buscarAnexo(req.demanda, req.params.arquivo, (err, anexo) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!anexo) {
+            return res.status(404).json({ success: false, error: 'Anexo não encontrado' });
+        }
+
+        const caminho = path.join(anexosDir, String(req.demanda.id), path.basename(anexo.arquivo));
+
+        const disposicao = req.query.download === 'true' ? 'attachment' : 'inline';
+        res.setHeader('Content-Disposition', `${disposicao}; filename*=UTF-8''${encodeURIComponent(anexo.nome)}`);
+        // Impede que o navegador execute conteúdo enviado como anexo
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Security-Policy', "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox");
+
+        res.sendFile(caminho, { headers: { 'Content-Type': anexo.tipo || 'application/octet-stream' } }, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ success: false, error: 'Arquivo do anexo não encontrado no servidor' });
+            }
+        });
+    });
+});
+
+// DELETE /api/demandas/:id/anexos/:arquivo - Remover um anexo (gestor ou quem enviou)
+app.delete('/api/demandas/:id/anexos/:arquivo', carregarDemandaDoAnexo, (req, res) => {
+    buscarAnexo(req.demanda, req.params.arquivo, (err, anexo) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!anexo) {
+            return res.status(404).json({ success: false, error: 'Anexo não encontrado' });
+        }
+
+        if (req.usuario.role !== 'gestor' && anexo.enviadoPor !== req.usuario.id) {
+            return negarAcesso(req, res, 'Apenas quem enviou o anexo ou um gestor pode removê-lo.', 'demandas', req.demanda.id);
+        }
+
+        const coluna = COLUNAS_ANEXOS[anexo.etapa];
+
+        db.run('DELETE FROM demanda_anexos WHERE id = ?', [anexo.id], (err) => {
+            if (err) {
+                console.error('Erro ao remover anexo:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            fs.unlink(path.join(anexosDir, String(req.demanda.id), path.basename(anexo.arquivo)), (err) => {
+                if (err) console.error('Erro ao apagar arquivo do anexo:', err);
+            });
+
+            registrarAuditoria('DELETE_ATTACHMENT', 'demandas', req.demanda.id, { [coluna]: [anexo] }, null, req.usuario.id, req.ip);
+
+            buscarDemanda(req.demanda.id, (err, demandaAtualizada) => {
+                if (err || !demandaAtualizada) {
+                    return res.status(500).json({ success: false, error: err ? err.message : 'Demanda não encontrada' });
+                }
+
+                const demanda = normalizarDadosDemanda(demandaAtualizada);
+                emitirEventoDemanda(req, EVENTOS_DEMANDA.ATUALIZADA, demanda);
+
+                res.json({ success: true, [coluna]: demanda[coluna] });
+            });
+        });
+    });
+});
+
+// ========== COMENTÁRIOS ==========
+
+const carregarDemandaDoComentario = carregarDemandaEnvolvida('comentários');
+
+// GET /api/demandas/:id/comentarios - Comentários da demanda, do mais antigo para o mais recente
+app.get('/api/demandas/:id/comentarios', carregarDemandaDoComentario, (req, res) => {
+    res.json({ success: true, comentarios: normalizarDadosDemanda({ ...req.demanda }).comentariosUsuarios });
+});
+
+// POST /api/demandas/:id/comentarios - Adicionar um comentário ({ texto })
+app.post('/api/demandas/:id/comentarios', carregarDemandaDoComentario, (req, res) => {
+    const texto = typeof req.body.texto === 'string' ? req.body.texto.trim() : '';
+
+    if (!texto) {
+        return res.status(400).json({ success: false, error: 'O texto do comentário é obrigatório' });
+    }
+
+    db.run('INSERT INTO demanda_comentarios (demandaId, usuarioId, texto, dataCriacao) VALUES (?, ?, ?, ?)',
+        [req.demanda.id, req.usuario.id, texto, new Date().toISOString()], function(err) {
+        if (err) {
+            console.error('Erro ao adicionar comentário:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        const comentarioId = this.lastID;
+
+        buscarDemanda(req.demanda.id, (err, demandaAtualizada) => {
+            if (err || !demandaAtualizada) {
+                return res.status(500).json({ success: false, error: err ? err.message : 'Demanda não encontrada' });
+            }
+
+            const demanda = normalizarDadosDemanda(demandaAtualizada);
+            const comentario = demanda.comentariosUsuarios.find(c => c.id === comentarioId);
+
+            registrarAuditoria('COMMENT', 'demandas', demanda.id, null, { comentario }, req.usuario.id, req.ip);
+            emitirEventoDemanda(req, EVENTOS_DEMANDA.COMENTARIO_ADICIONADO, demanda, { detalhes: { comentario } });
+
+            res.json({ success: true, comentario, demanda });
+        });
+    });
+});
+
+// ========== AUDITORIA ==========
+
+// Campos que mudam em toda gravação (ou são calculados, ou só descrevem a ação) e não entram nas diferenças
+const CAMPOS_IGNORADOS_HISTORICO = ['dataAtualizacao', 'atualizadoPor', 'versao', 'sla', 'acao'];
+
+// Criação, exclusão e limpeza da lixeira guardam o registro inteiro: o histórico mostra a ação, não cada campo
+const ACOES_SEM_DIFERENCAS = ['CREATE', 'DELETE', 'PURGE'];
+
+const LIMITE_AUDITORIA = 200;
+
+function lerDadosAuditoria(texto) {
+    try {
+        const dados = JSON.parse(texto || '{}');
+        return dados && typeof dados === 'object' ? dados : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// Listas gravadas como texto JSON (diasSemana, registros anteriores à migração 004) viram listas
+function valorAuditoria(valor) {
+    if (valor === undefined) return null;
+    if (typeof valor === 'string' && /^\s*[[{]/.test(valor)) {
+        try {
+            return JSON.parse(valor);
+        } catch (e) {
+            return valor;
+        }
+    }
+    return valor;
+}
+
+// Diferenças campo a campo entre dadosAntigos e dadosNovos ({ campo, de, para })
+function diferencasAuditoria(acao, antigos, novos) {
+    if (ACOES_SEM_DIFERENCAS.includes(acao)) return [];
+
+    // Booleanos gravados como 0/1 em uma versão e true/false em outra contam como iguais
+    const comparavel = (valor) => JSON.stringify(typeof valor === 'boolean' ? Number(valor) : valor);
+
+    return [...new Set([...Object.keys(antigos), ...Object.keys(novos)])]
+        .filter(campo => !CAMPOS_IGNORADOS_HISTORICO.includes(campo))
+        .map(campo => ({ campo, de: valorAuditoria(antigos[campo]), para: valorAuditoria(novos[campo]) }))
+        .filter(({ de, para }) => comparavel(de) !== comparavel(para));
+}
+
+// dataHora é gravada pelo SQLite em UTC sem fuso ('AAAA-MM-DD HH:MM:SS')
+function dataHoraAuditoriaISO(dataHora) {
+    return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(dataHora || '') ? `${dataHora.replace(' ', 'T')}.000Z` : dataHora;
+}
+
+function formatarRegistroAuditoria(registro) {
+    const dadosAntigos = lerDadosAuditoria(registro.dadosAntigos);
+    const dadosNovos = lerDadosAuditoria(registro.dadosNovos);
+
+    return {
+        id: registro.id,
+        acao: registro.acao,
+        tabela: registro.tabela,
+        registroId: registro.registroId,
+        dataHora: dataHoraAuditoriaISO(registro.dataHora),
+        usuario: registro.usuarioId ? { id: registro.usuarioId, nome: registro.nomeUsuario || null } : null,
+        ip: registro.ip,
+        alteracoes: diferencasAuditoria(registro.acao, dadosAntigos, dadosNovos),
+        dadosAntigos,
+        dadosNovos
+    };
+}
+
+// GET /api/auditoria - Registros de auditoria, do mais recente para o mais antigo. Filtros: tabela,
+// registroId, usuarioId, acao (uma ou várias, separadas por vírgula), from e to (AAAA-MM-DD);
+// paginação por ?limit=&cursor=
+app.get('/api/auditoria', exigirGestor('auditoria', 'auditoria'), (req, res) => {
+    const { tabela, registroId, usuarioId, acao, from, to } = req.query;
+    const limite = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), LIMITE_AUDITORIA);
+
+    if ((from && !FORMATO_DATA.test(from)) || (to && !FORMATO_DATA.test(to))) {
+        return res.status(400).json({ success: false, error: 'Período inválido. Use datas no formato AAAA-MM-DD.' });
+    }
+
+    if ([registroId, usuarioId].some(valor => valor !== undefined && !/^\d+$/.test(valor))) {
+        return res.status(400).json({ success: false, error: 'registroId e usuarioId devem ser números' });
+    }
+
+    const cursor = req.query.cursor ? decodificarCursor(req.query.cursor) : null;
+    if (req.query.cursor && (!cursor || !Number.isInteger(cursor.id))) {
+        return res.status(400).json({ success: false, error: 'Cursor inválido' });
+    }
+
+    const condicoes = [];
+    const params = [];
+
+    if (tabela) {
+        condicoes.push('a.tabela = ?');
+        params.push(tabela);
+    }
+
+    if (registroId !== undefined) {
+        condicoes.push('a.registroId = ?');
+        params.push(Number(registroId));
+    }
+
+    if (usuarioId !== undefined) {
+        condicoes.push('a.usuarioId = ?');
+        params.push(Number(usuarioId));
+    }
+
+    if (acao) {
+        const acoes = acao.split(',').map(a => a.trim().toUpperCase()).filter(Boolean);
+        condicoes.push(`a.acao IN (${acoes.map(() => '?').join(', ')})`);
+        params.push(...acoes);
+    }
+
+    if (from) {
+        condicoes.push('substr(a.dataHora, 1, 10) >= ?');
+        params.push(from);
+    }
+
+    if (to) {
+        condicoes.push('substr(a.dataHora, 1, 10) <= ?');
+        params.push(to);
+    }
+
+    if (cursor) {
+        condicoes.push('a.id < ?');
+        params.push(cursor.id);
+    }
+
+    // Um registro a mais indica se há próxima página
+    params.push(limite + 1);
+
+    db.all(`
+    SELECT a.*, u.nome AS nomeUsuario
+    FROM auditoria a LEFT JOIN usuarios u ON u.id = a.usuarioId
+    ${condicoes.length > 0 ? `WHERE ${condicoes.join(' AND ')}` : ''}
+    ORDER BY a.id DESC LIMIT ?
+    `, params, (err, rows) => {
+        if (err) {
+            console.error('Erro ao consultar auditoria:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        const pagina = rows.slice(0, limite);
+        const nextCursor = rows.length > limite ? codificarCursor({ id: pagina[pagina.length - 1].id }) : null;
+
+        res.json({ success: true, data: pagina.map(formatarRegistroAuditoria), nextCursor });
+    });
+});
+
+// GET /api/demandas/:id/historico - Quem alterou o quê e quando na demanda (mais recente primeiro)
+app.get('/api/demandas/:id/historico', carregarDemandaEnvolvida('o histórico'), (req, res) => {
+    db.all(`
+    SELECT a.*, u.nome AS nomeUsuario
+    FROM auditoria a LEFT JOIN usuarios u ON u.id = a.usuarioId
+    WHERE a.tabela = 'demandas' AND a.registroId = ? AND a.acao != 'FORBIDDEN'
+    ORDER BY a.id DESC
+    `, [req.demanda.id], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar histórico da demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        const historico = rows.map(formatarRegistroAuditoria).map(({ id, acao, dataHora, usuario, alteracoes }) =>
+            ({ id, acao, dataHora, usuario, alteracoes }));
+
+        res.json({ success: true, historico });
+    });
+});
+
+// ========== LIXEIRA ==========
+
+// Dias que demandas e anotações excluídas ficam na lixeira antes de serem apagadas de vez
+const LIXEIRA_RETENCAO_DIAS = parseInt(process.env.LIXEIRA_RETENCAO_DIAS) || 30;
+
+const CAMPOS_EXCLUSAO_VAZIOS = { excluidoEm: null, excluidoPor: null, motivoExclusao: null };
+
+function dataLimpezaLixeira(excluidoEm) {
+    const data = new Date(excluidoEm);
+    data.setDate(data.getDate() + LIXEIRA_RETENCAO_DIAS);
+    return data.toISOString();
+}
+
+// Tirar da lixeira os itens informados da tabela; devolve os ids que estavam de fato na lixeira
+function restaurarDaLixeira(tabela, ids, req, callback) {
+    const idsValidos = [...new Set((ids || []).map(Number))].filter(Number.isInteger);
+    if (idsValidos.length === 0) return callback(null, []);
+
+    buscarEmLotes(`SELECT id, excluidoEm, excluidoPor, motivoExclusao FROM ${tabela} WHERE excluidoEm IS NOT NULL AND id IN (?)`, idsValidos, (err, itens) => {
+        if (err) return callback(err);
+
+        const restaurados = [];
+        const proximo = (indice) => {
+            const item = itens[indice];
+            if (!item) return callback(null, restaurados);
+
+            db.run(`UPDATE ${tabela} SET excluidoEm = NULL, excluidoPor = NULL, motivoExclusao = NULL WHERE id = ? AND excluidoEm IS NOT NULL`, [item.id], function(err) {
+                if (err) return callback(err);
+
+                if (this.changes > 0) {
+                    const { id, ...exclusao } = item;
+                    registrarAuditoria('RESTORE', tabela, id, exclusao, CAMPOS_EXCLUSAO_VAZIOS, req.usuario.id, req.ip);
+                    restaurados.push(id);
+                }
+                proximo(indice + 1);
+            });
+        };
+
+        proximo(0);
+    });
+}
+
+// Avisar os interessados das demandas restauradas e recalcular o ranking, que volta a contá-las
+function anunciarDemandasRestauradas(req, ids, callback) {
+    if (ids.length === 0) return callback(null, []);
+
+    buscarEmLotes(`SELECT ${colunasDemanda('d')} FROM demandas d WHERE d.id IN (?)`, ids, (err, demandas) => {
+        if (err) return callback(err);
+
+        demandas.forEach(demanda => emitirEventoDemanda(req, EVENTOS_DEMANDA.RESTAURADA, demanda));
+        atualizarPontuacaoUsuarios();
+        callback(null, demandas.map(demanda => normalizarDadosDemanda(demanda)));
+    });
+}
+
+// GET /api/lixeira - Demandas e anotações excluídas, das mais recentes para as mais antigas, com quem
+// excluiu, o motivo e quando serão apagadas de vez
+app.get('/api/lixeira', exigirGestor('lixeira'), (req, res) => {
+    db.all(`
+    SELECT d.id, d.tag, d.nomeDemanda, d.status, d.categoria, d.local, d.nomeFuncionario, d.dataCriacao,
+    d.excluidoEm, d.excluidoPor, u.nome AS excluidoPorNome, d.motivoExclusao
+    FROM demandas d LEFT JOIN usuarios u ON u.id = d.excluidoPor
+    WHERE d.excluidoEm IS NOT NULL
+    ORDER BY d.excluidoEm DESC
+    `, [], (err, demandas) => {
+        if (err) {
+            console.error('Erro ao buscar demandas da lixeira:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        db.all(`
+        SELECT a.id, a.titulo, a.cor, a.dataCriacao, a.criadoPor, criador.nome AS criadoPorNome,
+        a.excluidoEm, a.excluidoPor, u.nome AS excluidoPorNome, a.motivoExclusao
+        FROM anotacoes a
+        LEFT JOIN usuarios criador ON criador.id = a.criadoPor
+        LEFT JOIN usuarios u ON u.id = a.excluidoPor
+        WHERE a.excluidoEm IS NOT NULL
+        ORDER BY a.excluidoEm DESC
+        `, [], (err, anotacoes) => {
+            if (err) {
+                console.error('Erro ao buscar anotações da lixeira:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            const comLimpeza = (item) => ({ ...item, apagarEm: dataLimpezaLixeira(item.excluidoEm) });
+
+            res.json({
+                success: true,
+                retencaoDias: LIXEIRA_RETENCAO_DIAS,
+                demandas: demandas.map(comLimpeza),
+                anotacoes: anotacoes.map(comLimpeza)
+            });
+        });
+    });
+});
+
+// POST /api/demandas/:id/restaurar - Tirar a demanda da lixeira
+app.post('/api/demandas/:id/restaurar', exigirGestor('lixeira'), (req, res) => {
+    restaurarDaLixeira('demandas', [req.params.id], req, (err, restaurados) => {
+        if (err) {
+            console.error('Erro ao restaurar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (restaurados.length === 0) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada na lixeira' });
+        }
+
+        anunciarDemandasRestauradas(req, restaurados, (err, demandas) => {
+            if (err) {
+                console.error('Erro ao buscar demanda restaurada:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            res.json({ success: true, demanda: demandas[0] });
+        });
+    });
+});
+
+// POST /api/anotacoes/:id/restaurar - Tirar a anotação da lixeira
+app.post('/api/anotacoes/:id/restaurar', exigirGestor('lixeira', 'anotacoes'), (req, res) => {
+    restaurarDaLixeira('anotacoes', [req.params.id], req, (err, restaurados) => {
+        if (err) {
+            console.error('Erro ao restaurar anotação:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (restaurados.length === 0) {
+            return res.status(404).json({ success: false, error: 'Anotação não encontrada na lixeira' });
+        }
+
+        responderAnotacao(res, restaurados[0]);
+    });
+});
+
+// POST /api/lixeira/restaurar - Restaurar vários itens de uma vez: { demandas: [ids], anotacoes: [ids] }.
+// Ids que não estão na lixeira são ignorados; a resposta traz os que foram restaurados.
+app.post('/api/lixeira/restaurar', exigirGestor('lixeira'), (req, res) => {
+    const { demandas = [], anotacoes = [] } = req.body || {};
+
+    if (!Array.isArray(demandas) || !Array.isArray(anotacoes)) {
+        return res.status(400).json({ success: false, error: 'Informe listas de ids em demandas e anotacoes' });
+    }
+
+    if (demandas.length === 0 && anotacoes.length === 0) {
+        return res.status(400).json({ success: false, error: 'Nenhum item informado para restaurar' });
+    }
+
+    restaurarDaLixeira('demandas', demandas, req, (err, demandasRestauradas) => {
+        if (err) {
+            console.error('Erro ao restaurar demandas:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        restaurarDaLixeira('anotacoes', anotacoes, req, (err, anotacoesRestauradas) => {
+            if (err) {
+                console.error('Erro ao restaurar anotações:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            anunciarDemandasRestauradas(req, demandasRestauradas, (err) => {
+                if (err) console.error('Erro ao anunciar demandas restauradas:', err);
+
+                res.json({
+                    success: true,
+                    restaurados: { demandas: demandasRestauradas, anotacoes: anotacoesRestauradas }
+                });
+            });
+        });
+    });
+});
+
+// Apagar de vez os itens que passaram do prazo de retenção da lixeira. Cada item é conferido de novo
+// no DELETE (pode ter sido restaurado nesse meio-tempo); os anexos da demanda saem junto.
+function limparLixeira() {
+    const limite = new Date(Date.now() - LIXEIRA_RETENCAO_DIAS * 24 * 60 * 60 * 1000).toISOString();
+
+    const apagar = (tabela, colunas, colunaVinculo, aoApagar) => {
+        db.all(`SELECT ${colunas} FROM ${tabela} d WHERE d.excluidoEm IS NOT NULL AND d.excluidoEm < ?`, [limite], (err, itens) => {
+            if (err) return console.error(`Erro ao buscar ${tabela} vencidas na lixeira:`, err);
+
+            const proximo = (indice) => {
+                const item = itens[indice];
+                if (!item) return;
+
+                db.run(`DELETE FROM ${tabela} WHERE id = ? AND excluidoEm < ?`, [item.id, limite], function(err) {
+                    if (err) {
+                        console.error(`Erro ao apagar item de ${tabela} da lixeira:`, err);
+                        return proximo(indice + 1);
+                    }
+
+                    if (this.changes > 0) {
+                        db.run(`DELETE FROM anotacoes_demandas WHERE ${colunaVinculo} = ?`, [item.id], (err) => {
+                            if (err) console.error('Erro ao remover vínculos entre anotações e demandas:', err);
+                        });
+                        registrarAuditoria('PURGE', tabela, item.id, item, null, null, null);
+                        if (aoApagar) aoApagar(item);
+                    }
+                    proximo(indice + 1);
+                });
+            };
+
+            proximo(0);
+        });
+    };
+
+    apagar('demandas', colunasDemanda('d'), 'demandaId', (demanda) => {
+        fs.rm(path.join(anexosDir, String(demanda.id)), { recursive: true, force: true }, (err) => {
+            if (err) console.error('Erro ao remover anexos da demanda:', err);
+        });
+    });
+    apagar('anotacoes', 'd.*', 'anotacaoId');
+}
+
+function agendarLimpezaLixeira() {
+    limparLixeira();
+    setInterval(limparLixeira, 6 * 60 * 60 * 1000);
+}
+
+// ========== SÉRIES DE ROTINA E FERIADOS ==========
+
+const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+
+// PUT /api/demandas/:id/rotina - Pausar, retomar, encerrar ou reprogramar uma série de rotina
+app.put('/api/demandas/:id/rotina', (req, res) => {
+    const id = req.params.id;
+    const { status, rotinaFim, diasSemana } = req.body;
+
+    if (status !== undefined && !STATUS_ROTINA.includes(status)) {
+        return res.status(400).json({ success: false, error: `Situação inválida. Use: ${STATUS_ROTINA.join(', ')}` });
+    }
+
+    if (rotinaFim !== undefined && rotinaFim !== null && rotinaFim !== '' && !FORMATO_DATA.test(rotinaFim)) {
+        return res.status(400).json({ success: false, error: 'Data de término inválida. Use o formato AAAA-MM-DD.' });
+    }
+
+    if (diasSemana !== undefined && (!Array.isArray(diasSemana) || diasSemana.length === 0 ||
+        !diasSemana.every(dia => Number.isInteger(dia) && dia >= 0 && dia <= 6))) {
+        return res.status(400).json({ success: false, error: 'Informe ao menos um dia da semana (0 = domingo a 6 = sábado).' });
+    }
+
+    buscarDemanda(id, (err, rotina) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!rotina) return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+
+        if (!rotina.isRotina) {
+            return res.status(400).json({ success: false, error: 'Esta demanda não é uma tarefa de rotina.' });
+        }
+
+        if (req.usuario.role !== 'gestor' && rotina.funcionarioId != req.usuario.id) {
+            return negarAcesso(req, res, 'Apenas o dono da rotina ou um gestor pode alterar a série.', 'demandas', id);
+        }
+
+        if (rotina.rotinaStatus === 'encerrada') {
+            return res.status(409).json({ success: false, error: 'Esta série de rotina já foi encerrada.' });
+        }
+
+        const alteracoes = {
+            rotinaStatus: status !== undefined ? status : (rotina.rotinaStatus || 'ativa'),
+            rotinaFim: rotinaFim !== undefined ? (rotinaFim || null) : rotina.rotinaFim,
+            diasSemana: diasSemana !== undefined ? JSON.stringify(diasSemana) : rotina.diasSemana
+        };
+        const dataAtualizacao = new Date().toISOString();
+
+        db.run(`
+        UPDATE demandas SET rotinaStatus = ?, rotinaFim = ?, diasSemana = ?, dataAtualizacao = ?, atualizadoPor = ?
+        WHERE id = ?
+        `, [alteracoes.rotinaStatus, alteracoes.rotinaFim, alteracoes.diasSemana, dataAtualizacao, req.usuario.id, id], (err) => {
+            if (err) {
+                console.error('Erro ao atualizar série de rotina:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            registrarAuditoria(
+                'UPDATE_ROUTINE',
+                'demandas',
+                id,
+                { rotinaStatus: rotina.rotinaStatus, rotinaFim: rotina.rotinaFim, diasSemana: rotina.diasSemana },
+                alteracoes,
+                req.usuario.id,
+                req.ip
+            );
+
+            const demandaAtualizada = normalizarDadosDemanda({ ...rotina, ...alteracoes, dataAtualizacao, atualizadoPor: req.usuario.id });
+            emitirEventoDemanda(req, EVENTOS_DEMANDA.ATUALIZADA, demandaAtualizada, { demandaAnterior: rotina });
+
+            res.json({ success: true, demanda: demandaAtualizada });
+        });
+    });
+});
+
+// GET /api/demandas/:id - Uma demanda (para abrir detalhes de demandas fora das páginas já carregadas)
+app.get('/api/demandas/:id', (req, res) => {
+    buscarDemanda(req.params.id, (err, demanda) => {
+        if (err) {
+            console.error('Erro ao buscar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!demanda) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+        }
+
+        res.set('ETag', etagDemanda(demanda));
+        res.json({ success: true, demanda: normalizarDadosDemanda(demanda) });
+    });
+});
+
+// GET /api/demandas/:id/ocorrencias - Histórico das ocorrências geradas por uma rotina
+app.get('/api/demandas/:id/ocorrencias', (req, res) => {
+    const limite = Math.min(parseInt(req.query.limite) || 60, 500);
+
+    db.all(`
+    SELECT d.id, d.tag, d.nomeDemanda, d.status, d.dataCriacao, d.dataLimite, d.dataConclusao,
+    ${RELACIONAMENTOS_DEMANDA.atribuidos('d')} AS atribuidos
+    FROM demandas d WHERE d.rotinaPaiId = ? AND d.excluidoEm IS NULL
+    ORDER BY d.dataLimite DESC, d.id DESC LIMIT ?
+    `, [req.params.id, limite], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar ocorrências da rotina:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json({ success: true, ocorrencias: rows.map(row => normalizarDadosDemanda(row)) });
+    });
+});
+
+// GET /api/feriados - Calendário de feriados (?local= para os que valem no local)
+app.get('/api/feriados', (req, res) => {
+    let sql = 'SELECT * FROM feriados';
+    const params = [];
+
+    if (req.query.local) {
+        sql += " WHERE local IS NULL OR local = '' OR local = ?";
+        params.push(req.query.local);
+    }
+    sql += ' ORDER BY data';
+
+    db.all(sql, params, (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        res.json({ success: true, feriados: rows.map(f => ({ ...f, anual: Boolean(f.anual) })) });
+    });
+});
+
+// POST /api/feriados - Cadastrar feriado (local vazio vale para todos os locais)
+app.post('/api/feriados', exigirGestor('feriados', 'feriados'), (req, res) => {
+    const { data, descricao, local, anual } = req.body;
+
+    if (!FORMATO_DATA.test(data || '')) {
+        return res.status(400).json({ success: false, error: 'Data inválida. Use o formato AAAA-MM-DD.' });
+    }
+
+    if (!descricao || !descricao.trim()) {
+        return res.status(400).json({ success: false, error: 'Descrição do feriado é obrigatória' });
+    }
+
+    const feriado = { data, descricao: descricao.trim(), local: local || null, anual: anual ? 1 : 0 };
+
+    db.run('INSERT INTO feriados (data, descricao, local, anual, criadoPor, dataCriacao) VALUES (?, ?, ?, ?, ?, ?)',
+        [feriado.data, feriado.descricao, feriado.local, feriado.anual, req.usuario.id, new Date().toISOString()], function(err) {
+        if (err) {
+            console.error('Erro ao cadastrar feriado:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        registrarAuditoria('CREATE', 'feriados', this.lastID, null, feriado, req.usuario.id, req.ip);
+        recarregarDadosSla();
+        res.json({ success: true, feriado: { id: this.lastID, ...feriado, anual: Boolean(feriado.anual) } });
+    });
+});
+
+// DELETE /api/feriados/:id - Remover feriado
+app.delete('/api/feriados/:id', exigirGestor('feriados', 'feriados'), (req, res) => {
+    db.get('SELECT * FROM feriados WHERE id = ?', [req.params.id], (err, feriado) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!feriado) return res.status(404).json({ success: false, error: 'Feriado não encontrado' });
+
+        db.run('DELETE FROM feriados WHERE id = ?', [req.params.id], (err) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+
+            registrarAuditoria('DELETE', 'feriados', feriado.id, feriado, null, req.usuario.id, req.ip);
+            recarregarDadosSla();
+            res.json({ success: true });
+        });
+    });
+});
+
+// ========== POLÍTICAS DE SLA E CALENDÁRIOS DE TRABALHO ==========
+
+// Converter os dados de uma política (sobre a atual, na edição) para gravação ({ politica } ou { erro })
+function validarPoliticaSla(dados, atual = {}) {
+    const politica = { ...atual, ...dados };
+
+    if (!politica.nome || !String(politica.nome).trim()) return { erro: 'Nome da política é obrigatório' };
+    if (!(Number(politica.prazo) > 0)) return { erro: 'O prazo deve ser um número maior que zero' };
+    if (!UNIDADES_SLA.includes(politica.unidade || 'dias')) return { erro: `Unidade inválida. Use: ${UNIDADES_SLA.join(', ')}` };
+
+    return {
+        politica: {
+            nome: String(politica.nome).trim(),
+            ...Object.fromEntries(CRITERIOS_SLA.map(c => [c, politica[c] ? String(politica[c]).trim() : null])),
+            prazo: Number(politica.prazo),
+            unidade: politica.unidade || 'dias',
+            ativa: politica.ativa === undefined || politica.ativa ? 1 : 0
+        }
+    };
+}
+
+const respostaPoliticaSla = (politica) => ({ ...politica, ativa: Boolean(politica.ativa) });
+
+// GET /api/sla/politicas - Políticas de SLA (inclusive as desativadas)
+app.get('/api/sla/politicas', (req, res) => {
+    db.all('SELECT * FROM politicas_sla ORDER BY prioridade, complexidade, categoria, id', [], (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        res.json({ success: true, unidades: UNIDADES_SLA, criterios: CRITERIOS_SLA, politicas: rows.map(respostaPoliticaSla) });
+    });
+});
+
+// POST /api/sla/politicas - Cadastrar política (critérios vazios valem para qualquer valor)
+app.post('/api/sla/politicas', exigirGestor('sla', 'politicas_sla'), (req, res) => {
+    const { politica, erro } = validarPoliticaSla(req.body);
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    db.run(`INSERT INTO politicas_sla (nome, prioridade, complexidade, categoria, prazo, unidade, ativa, criadoPor, dataCriacao)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [politica.nome, politica.prioridade, politica.complexidade, politica.categoria, politica.prazo, politica.unidade,
+            politica.ativa, req.usuario.id, new Date().toISOString()], function(err) {
+        if (err) {
+            console.error('Erro ao cadastrar política de SLA:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        registrarAuditoria('CREATE', 'politicas_sla', this.lastID, null, politica, req.usuario.id, req.ip);
+        recarregarDadosSla();
+        res.json({ success: true, politica: respostaPoliticaSla({ id: this.lastID, ...politica }) });
+    });
+});
+
+// PUT /api/sla/politicas/:id - Alterar política. Os prazos já calculados das demandas não mudam.
+app.put('/api/sla/politicas/:id', exigirGestor('sla', 'politicas_sla'), (req, res) => {
+    db.get('SELECT * FROM politicas_sla WHERE id = ?', [req.params.id], (err, atual) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!atual) return res.status(404).json({ success: false, error: 'Política não encontrada' });
+
+        const { politica, erro } = validarPoliticaSla(req.body, { ...atual, ativa: Boolean(atual.ativa) });
+        if (erro) return res.status(400).json({ success: false, error: erro });
+
+        const dataAtualizacao = new Date().toISOString();
+        db.run(`UPDATE politicas_sla SET nome = ?, prioridade = ?, complexidade = ?, categoria = ?, prazo = ?, unidade = ?, ativa = ?,
+        dataAtualizacao = ? WHERE id = ?`,
+            [politica.nome, politica.prioridade, politica.complexidade, politica.categoria, politica.prazo, politica.unidade,
+                politica.ativa, dataAtualizacao, atual.id], (err) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+
+            registrarAuditoria('UPDATE', 'politicas_sla', atual.id, atual, politica, req.usuario.id, req.ip);
+            recarregarDadosSla();
+            res.json({ success: true, politica: respostaPoliticaSla({ ...atual, ...politica, dataAtualizacao }) });
+        });
+    });
+});
+
+// DELETE /api/sla/politicas/:id - Remover política (as demandas mantêm o prazo que ela definiu)
+app.delete('/api/sla/politicas/:id', exigirGestor('sla', 'politicas_sla'), (req, res) => {
+    db.get('SELECT * FROM politicas_sla WHERE id = ?', [req.params.id], (err, politica) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!politica) return res.status(404).json({ success: false, error: 'Política não encontrada' });
+
+        db.run('DELETE FROM politicas_sla WHERE id = ?', [politica.id], (err) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+
+            registrarAuditoria('DELETE', 'politicas_sla', politica.id, politica, null, req.usuario.id, req.ip);
+            recarregarDadosSla();
+            res.json({ success: true });
+        });
+    });
+});
+
+const respostaCalendario = (row) => ({ ...row, diasSemana: lerCalendario(row).diasSemana });
+
+// GET /api/sla/calendarios - Calendários de trabalho (local vazio é o padrão)
+app.get('/api/sla/calendarios', (req, res) => {
+    db.all('SELECT * FROM calendarios_trabalho ORDER BY local', [], (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        res.json({ success: true, calendarios: rows.map(respostaCalendario) });
+    });
+});
+
+// PUT /api/sla/calendarios - Definir dias úteis e expediente de um local (cria o calendário se não existir)
+app.put('/api/sla/calendarios', exigirGestor('sla', 'calendarios_trabalho'), (req, res) => {
+    const { diasSemana, inicioExpediente, fimExpediente } = req.body;
+    const local = req.body.local ? String(req.body.local).trim() : '';
+
+    if (!Array.isArray(diasSemana) || diasSemana.length === 0 || !diasSemana.every(dia => Number.isInteger(dia) && dia >= 0 && dia <= 6)) {
+        return res.status(400).json({ success: false, error: 'Informe ao menos um dia útil (0 = domingo a 6 = sábado)' });
+    }
+
+    if (!FORMATO_HORA.test(inicioExpediente || '') || !FORMATO_HORA.test(fimExpediente || '')) {
+        return res.status(400).json({ success: false, error: 'Horários inválidos. Use o formato HH:MM.' });
+    }
+
+    if (minutosDoHorario(fimExpediente) <= minutosDoHorario(inicioExpediente)) {
+        return res.status(400).json({ success: false, error: 'O fim do expediente deve ser depois do início' });
+    }
+
+    db.get('SELECT * FROM calendarios_trabalho WHERE local = ?', [local], (err, atual) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+
+        const calendario = { local, diasSemana: JSON.stringify([...new Set(diasSemana)].sort()), inicioExpediente, fimExpediente };
+
+        db.run(`INSERT INTO calendarios_trabalho (local, diasSemana, inicioExpediente, fimExpediente, dataAtualizacao) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(local) DO UPDATE SET diasSemana = excluded.diasSemana, inicioExpediente = excluded.inicioExpediente,
+        fimExpediente = excluded.fimExpediente, dataAtualizacao = excluded.dataAtualizacao`,
+            [local, calendario.diasSemana, inicioExpediente, fimExpediente, new Date().toISOString()], (err) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+
+            db.get('SELECT * FROM calendarios_trabalho WHERE local = ?', [local], (err, salvo) => {
+                if (err) return res.status(500).json({ success: false, error: err.message });
+
+                registrarAuditoria(atual ? 'UPDATE' : 'CREATE', 'calendarios_trabalho', salvo.id, atual || null, calendario, req.usuario.id, req.ip);
+                recarregarDadosSla();
+                res.json({ success: true, calendario: respostaCalendario(salvo) });
+            });
+        });
+    });
+});
+
+// DELETE /api/sla/calendarios/:id - Remover o calendário de um local (ele volta a usar o padrão)
+app.delete('/api/sla/calendarios/:id', exigirGestor('sla', 'calendarios_trabalho'), (req, res) => {
+    db.get('SELECT * FROM calendarios_trabalho WHERE id = ?', [req.params.id], (err, calendario) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!calendario) return res.status(404).json({ success: false, error: 'Calendário não encontrado' });
+        if (!calendario.local) return res.status(400).json({ success: false, error: 'O calendário padrão não pode ser removido' });
+
+        db.run('DELETE FROM calendarios_trabalho WHERE id = ?', [calendario.id], (err) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+
+            registrarAuditoria('DELETE', 'calendarios_trabalho', calendario.id, calendario, null, req.usuario.id, req.ip);
+            recarregarDadosSla();
+            res.json({ success: true });
+        });
+    });
+});
+
+// GET /api/sla/prazo - Prazo que a política daria a uma demanda criada agora (?prioridade=&complexidade=&categoria=&local=)
+app.get('/api/sla/prazo', (req, res) => {
+    const demanda = {};
+    [...CRITERIOS_SLA, 'local'].forEach(campo => { demanda[campo] = req.query[campo] || null; });
+
+    const prazo = prazoPelaPoliticaSla(demanda);
+    res.json({
+        success: true,
+        politica: prazo ? respostaPoliticaSla(prazo.politica) : null,
+        dataLimite: prazo ? prazo.dataLimite : null
+    });
+});
+
+// GET /api/notificacoes - Notificações do usuário logado (?naoLidas=true para apenas as não lidas)
+app.get('/api/notificacoes', (req, res) => {
+    const limite = Math.min(parseInt(req.query.limite) || 100, 500);
+
+    let sql = 'SELECT * FROM notificacoes WHERE usuarioId = ?';
+    if (req.query.naoLidas === 'true') sql += ' AND lida = 0';
+    sql += ' ORDER BY prioridade DESC, dataCriacao DESC, id DESC LIMIT ?';
+
+    db.all(sql, [req.usuario.id, limite], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar notificações:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json(rows.map(formatarNotificacao));
+    });
+});
+
+// PUT /api/notificacoes/lidas - Marcar todas as notificações do usuário como lidas
+app.put('/api/notificacoes/lidas', (req, res) => {
+    db.run('UPDATE notificacoes SET lida = 1, dataLeitura = ? WHERE usuarioId = ? AND lida = 0',
+        [new Date().toISOString(), req.usuario.id], function(err) {
+        if (err) {
+            console.error('Erro ao marcar notificações como lidas:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json({ success: true, atualizadas: this.changes });
+    });
+});
+
+// PUT /api/notificacoes/:id/lida - Marcar uma notificação como lida
+app.put('/api/notificacoes/:id/lida', (req, res) => {
+    atualizarNotificacao(req, res, 'lida = 1, dataLeitura = ?', [new Date().toISOString()]);
+});
+
+// PUT /api/notificacoes/:id/prioridade - Marcar ou desmarcar uma notificação como prioritária
+app.put('/api/notificacoes/:id/prioridade', (req, res) => {
+    atualizarNotificacao(req, res, 'prioridade = ?', [req.body.prioridade ? 1 : 0]);
+});
+
+// Atualizar uma notificação do próprio usuário e devolvê-la
+function atualizarNotificacao(req, res, campos, valores) {
+    const id = req.params.id;
+
+    db.run(`UPDATE notificacoes SET ${campos} WHERE id = ? AND usuarioId = ?`, [...valores, id, req.usuario.id], function(err) {
+        if (err) {
+            console.error('Erro ao atualizar notificação:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Notificação não encontrada' });
+        }
+
+        db.get('SELECT * FROM notificacoes WHERE id = ?', [id], (err, notificacao) => {
+            if (err) {
+                console.error('Erro ao buscar notificação:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            res.json({ success: true, notificacao: formatarNotificacao(notificacao) });
+        });
+    });
+}
+
+// Ações de gestor exigidas para disparar cada email de demanda
+const EMAILS_DEMANDA_GESTOR = {
+    aprovada: 'aprovar',
+    reprovada: 'aprovar',
+    prazo_estendido: 'estender_prazo',
+    reatribuida: 'reatribuir'
+};
+
+// POST /api/demandas/:id/emails - Enviar os emails de um evento da demanda (evento, motivo, atribuidoIds)
+app.post('/api/demandas/:id/emails', (req, res) => {
+    const id = req.params.id;
+    const { evento, motivo, atribuidoIds } = req.body;
+
+    if (!EMAILS_DEMANDA.includes(evento)) {
+        return res.status(400).json({ success: false, error: `Evento de email inválido. Use: ${EMAILS_DEMANDA.join(', ')}` });
+    }
+
+    buscarDemanda(id, (err, demanda) => {
+        if (err) {
+            console.error('Erro ao buscar demanda:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!demanda) {
+            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+        }
+
+        const acaoGestor = EMAILS_DEMANDA_GESTOR[evento];
+        if (req.usuario.role !== 'gestor') {
+            if (acaoGestor) {
+                return negarAcesso(req, res, `Apenas gestores podem ${ACOES_GESTOR[acaoGestor]}.`, 'emails_saida', id);
+            }
+            if (!usuarioEnvolvidoNaDemanda(req.usuario, demanda)) {
+                return negarAcesso(req, res, 'Você só pode enviar emails de demandas criadas por você ou atribuídas a você.', 'emails_saida', id);
+            }
+        }
+
+        montarEmailsDemanda(evento, demanda, { autor: req.usuario, motivo, atribuidoIds: atribuidoIds || [] }, (err, emails) => {
+            if (err) {
+                console.error('Erro ao montar emails da demanda:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            enfileirarEmails(emails, demanda.id, req.usuario.id, (err, ids) => {
+                if (err) {
+                    console.error('Erro ao enfileirar emails:', err);
+                    return res.status(500).json({ success: false, error: err.message });
+                }
+
+                res.json({ success: true, emails: ids });
+            });
+        });
+    });
+});
+
+// Enfileirar vários emails e devolver os ids criados
+function enfileirarEmails(emails, demandaId, usuarioId, callback) {
+    const ids = [];
+    let restantes = emails.length;
+    let falhou = false;
+
+    if (restantes === 0) return callback(null, ids);
+
+    emails.forEach(email => {
+        enfileirarEmail({ ...email, demandaId: email.demandaId || demandaId }, usuarioId, (err, emailId) => {
+            if (falhou) return;
+            if (err) {
+                falhou = true;
+                return callback(err);
+            }
+            if (emailId) ids.push(emailId);
+            restantes--;
+            if (restantes === 0) callback(null, ids);
+        });
+    });
+}
+
+// POST /api/emails/cobranca - Enviar cobrança das demandas atrasadas para os funcionários informados
+app.post('/api/emails/cobranca', exigirGestor('emails', 'emails_saida'), (req, res) => {
+    const funcionarioIds = Array.isArray(req.body.funcionarioIds) ? req.body.funcionarioIds : [];
+
+    if (funcionarioIds.length === 0) {
+        return res.status(400).json({ success: false, error: 'Informe ao menos um funcionário' });
+    }
+
+    const placeholders = funcionarioIds.map(() => '?').join(', ');
+    db.all(`
+    SELECT d.*, u.nome AS nomeUsuario, u.email AS emailUsuario
+    FROM demandas d LEFT JOIN usuarios u ON u.id = d.funcionarioId
+    WHERE d.funcionarioId IN (${placeholders}) AND d.status != 'aprovada' AND d.excluidoEm IS NULL
+    ORDER BY d.dataLimite
+    `, funcionarioIds, (err, demandas) => {
+        if (err) {
+            console.error('Erro ao buscar demandas para cobrança:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        // Atrasadas são as de SLA estourado que ainda dependem do funcionário (não as que aguardam aprovação)
+        const agora = new Date();
+        const porFuncionario = {};
+        const atrasadas = demandas.map(demanda => ({ ...demanda, sla: calcularSla(demanda, agora) }))
+            .filter(d => d.sla && d.sla.estourado && d.sla.situacao === 'em_andamento');
+
+        atrasadas.forEach(demanda => {
+            if (!porFuncionario[demanda.funcionarioId]) {
+                porFuncionario[demanda.funcionarioId] = {
+                    nome: demanda.nomeUsuario || demanda.nomeFuncionario,
+                    email: demanda.emailUsuario || demanda.emailFuncionario,
+                    demandas: []
+                };
+            }
+            porFuncionario[demanda.funcionarioId].demandas.push(demanda);
+        });
+
+        const emails = Object.values(porFuncionario).map(funcionario => ({
+            tipo: 'cobranca',
+            para: [funcionario.email],
+            variaveis: {
+                nome: funcionario.nome,
+                quantidade: funcionario.demandas.length,
+                listaDemandas: funcionario.demandas.map(demanda => {
+                    const atraso = demanda.sla.minutosUteisEstourados;
+                    return `• ${demanda.nomeDemanda || demanda.descricao}\n` +
+                        `  Categoria: ${demanda.categoria}\n` +
+                        `  Prioridade: ${demanda.prioridade}\n` +
+                        `  Data Limite: ${formatarDataEmail(demanda.dataLimite)}\n` +
+                        `  Atraso: ${Math.floor(atraso / 60)}h${String(atraso % 60).padStart(2, '0')} úteis\n` +
+                        `  TAG: ${demanda.tag}\n`;
+                }).join('\n')
+            }
+        }));
+
+        enfileirarEmails(emails, null, req.usuario.id, (err, ids) => {
+            if (err) {
+                console.error('Erro ao enfileirar cobranças:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            res.json({
+                success: true,
+                emails: ids,
+                funcionarios: Object.values(porFuncionario).map(f => f.nome)
+            });
+        });
+    });
+});
+
+// GET /api/emails - Caixa de saída (?status=pendente|enviado|falhou)
+app.get('/api/emails', exigirGestor('emails', 'emails_saida'), (req, res) => {
+    const limite = Math.min(parseInt(req.query.limite) || 100, 500);
+
+    let sql = 'SELECT * FROM emails_saida';
+    const params = [];
+    if (req.query.status) {
+        sql += ' WHERE status = ?';
+        params.push(req.query.status);
+    }
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limite);
+
+    db.all(sql, params, (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar caixa de saída:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json(rows);
+    });
+});
+
+// POST /api/emails/:id/reenviar - Recolocar um email que falhou na fila
+app.post('/api/emails/:id/reenviar', exigirGestor('emails', 'emails_saida'), (req, res) => {
+    db.run(`
+    UPDATE emails_saida SET status = 'pendente', tentativas = 0, proximaTentativa = ?
+    WHERE id = ? AND status = 'falhou'
+    `, [new Date().toISOString(), req.params.id], function(err) {
+        if (err) {
+            console.error('Erro ao reenviar email:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (this.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Email com falha não encontrado' });
+        }
+
+        processarFilaEmails();
+        res.json({ success: true });
+    });
+});
+
+// GET /api/emails/modelos - Modelos de email editáveis
+app.get('/api/emails/modelos', exigirGestor('emails', 'modelos_email'), (req, res) => {
+    db.all('SELECT * FROM modelos_email ORDER BY tipo', [], (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar modelos de email:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json(rows);
+    });
+});
+
+// PUT /api/emails/modelos/:tipo - Editar assunto e corpo de um modelo
+app.put('/api/emails/modelos/:tipo', exigirGestor('emails', 'modelos_email'), (req, res) => {
+    const { tipo } = req.params;
+    const { assunto, corpo } = req.body;
+
+    if (!assunto || !corpo) {
+        return res.status(400).json({ success: false, error: 'Assunto e corpo são obrigatórios' });
+    }
+
+    db.get('SELECT * FROM modelos_email WHERE tipo = ?', [tipo], (err, modeloAntigo) => {
+        if (err) {
+            console.error('Erro ao buscar modelo de email:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!modeloAntigo) {
+            return res.status(404).json({ success: false, error: 'Modelo de email não encontrado' });
+        }
+
+        const dataAtualizacao = new Date().toISOString();
+        db.run('UPDATE modelos_email SET assunto = ?, corpo = ?, dataAtualizacao = ?, atualizadoPor = ? WHERE tipo = ?',
+            [assunto, corpo, dataAtualizacao, req.usuario.id, tipo], (err) => {
+            if (err) {
+                console.error('Erro ao atualizar modelo de email:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            registrarAuditoria('UPDATE', 'modelos_email', 0, modeloAntigo, { tipo, assunto, corpo }, req.usuario.id, req.ip);
+
+            res.json({
+                success: true,
+                modelo: { ...modeloAntigo, assunto, corpo, dataAtualizacao, atualizadoPor: req.usuario.id }
+            });
+        });
+    });
+});
+
+// Consulta das anotações com os nomes de quem criou e de quem recebeu e as demandas vinculadas
+const SQL_ANOTACOES = `
+SELECT a.*, criador.nome AS criadoPorNome, atribuido.nome AS atribuidoANome,
+(SELECT json_group_array(ad.demandaId) FROM anotacoes_demandas ad JOIN demandas d ON d.id = ad.demandaId
+WHERE ad.anotacaoId = a.id AND d.excluidoEm IS NULL) AS demandaIds
+FROM anotacoes a
+LEFT JOIN usuarios criador ON criador.id = a.criadoPor
+LEFT JOIN usuarios atribuido ON atribuido.id = a.atribuidoA
+`;
+
+function formatarAnotacao(anotacao) {
+    if (!anotacao) return anotacao;
+
+    let demandaIds = [];
+    try {
+        demandaIds = JSON.parse(anotacao.demandaIds || '[]');
+    } catch (e) {
+        demandaIds = [];
+    }
+    return { ...anotacao, demandaIds };
+}
+
+// Substituir as demandas vinculadas à anotação (ids de demandas inexistentes ou na lixeira são ignorados;
+// os vínculos com demandas na lixeira são mantidos para voltarem com a restauração)
+function salvarVinculosAnotacao(anotacaoId, demandaIds, callback) {
+    const ids = [...new Set((demandaIds || []).map(Number))].filter(Number.isInteger);
+
+    db.run(`
+    DELETE FROM anotacoes_demandas
+    WHERE anotacaoId = ? AND demandaId IN (SELECT id FROM demandas WHERE excluidoEm IS NULL)
+    `, [anotacaoId], (err) => {
+        if (err || ids.length === 0) return callback(err);
+
+        db.run(`
+        INSERT OR IGNORE INTO anotacoes_demandas (anotacaoId, demandaId)
+        SELECT ?, id FROM demandas WHERE id IN (${ids.map(() => '?').join(', ')}) AND excluidoEm IS NULL
+        `, [anotacaoId, ...ids], callback);
+    });
+}
+
+// Avisar o colega que recebeu a anotação
+function notificarAnotacaoAtribuida(anotacao, autor) {
+    if (!anotacao.atribuidoA) return;
+
+    notificarUsuarios([anotacao.atribuidoA], {
+        titulo: 'Anotação Atribuída',
+        mensagem: `${autor.nome} atribuiu a anotação "${anotacao.titulo}" a você.`,
+        chave: `anotacao:${anotacao.id}:${anotacao.atribuidoA}`
+    }, autor.id);
+}
+
+// Buscar a anotação formatada e respondê-la
+function responderAnotacao(res, id) {
+    db.get(`${SQL_ANOTACOES} WHERE a.id = ?`, [id], (err, anotacao) => {
+        if (err) {
+            console.error('Erro ao buscar anotação:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json({
+            success: true,
+            anotacao: formatarAnotacao(anotacao)
+        });
+    });
+}
+
+// GET /api/anotacoes - Listar anotações (?demandaId= para as vinculadas a uma demanda)
+app.get('/api/anotacoes', (req, res) => {
+    const { criadoPor, atribuidoA, demandaId, month, year } = req.query;
+
+    let sql = `${SQL_ANOTACOES} WHERE a.excluidoEm IS NULL`;
+    const params = [];
+
+    // Cada usuário vê as anotações que criou e as atribuídas a ele; gestores podem consultar as de outro usuário
+    if (!(req.usuario.role === 'gestor' && (criadoPor || atribuidoA))) {
+        sql += ' AND (a.criadoPor = ? OR a.atribuidoA = ?)';
+        params.push(req.usuario.id, req.usuario.id);
+    }
+
+    if (criadoPor) {
+        sql += ' AND a.criadoPor = ?';
+        params.push(criadoPor);
+    }
+
+    if (atribuidoA) {
+        sql += ' AND a.atribuidoA = ?';
+        params.push(atribuidoA);
+    }
+
+    if (demandaId) {
+        sql += ' AND a.id IN (SELECT anotacaoId FROM anotacoes_demandas WHERE demandaId = ?)';
+        params.push(demandaId);
+    }
+
+    // Filtros de mês e ano
+    if (month || year) {
+        if (month && year) {
+            sql += ' AND strftime("%m", a.dataCriacao) = ? AND strftime("%Y", a.dataCriacao) = ?';
+            params.push(month.padStart(2, '0'), year);
+        } else if (month) {
+            sql += ' AND strftime("%m", a.dataCriacao) = ?';
+            params.push(month.padStart(2, '0'));
+        } else if (year) {
+            sql += ' AND strftime("%Y", a.dataCriacao) = ?';
+            params.push(year);
+        }
+    }
+
+    sql += ' ORDER BY a.dataCriacao DESC';
+
+    db.all(sql, params, (err, rows) => {
+        if (err) {
+            console.error('Erro ao buscar anotações:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json(rows.map(formatarAnotacao));
+    });
+});
+
+// POST /api/anotacoes - Criar nova anotação
+app.post('/api/anotacoes', (req, res) => {
+    const { titulo, conteudo, cor, criadoPor, atribuidoA, audioData, demandaIds } = req.body;
+
+    if (!titulo || !conteudo || !criadoPor) {
+        return res.status(400).json({
+            success: false,
+            error: 'Título, conteúdo e criadoPor são obrigatórios'
+        });
+    }
+
+    if (criadoPor != req.usuario.id) {
+        return negarAcesso(req, res, 'Anotações só podem ser criadas em seu próprio nome.', 'anotacoes');
+    }
+
+    const sql = `
+    INSERT INTO anotacoes (titulo, conteudo, cor, dataCriacao, criadoPor, atribuidoA, audioData, atualizadoEm)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const agora = new Date().toISOString();
+
+    db.run(sql, [titulo, conteudo, cor || '#3498db', agora, criadoPor, atribuidoA || null, audioData || null, agora], function(err) {
+        if (err) {
+            console.error('Erro ao criar anotação:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        const id = this.lastID;
+        salvarVinculosAnotacao(id, demandaIds, (err) => {
+            if (err) console.error('Erro ao vincular demandas à anotação:', err);
+
+            notificarAnotacaoAtribuida({ id, titulo, atribuidoA }, req.usuario);
+            responderAnotacao(res, id);
+        });
+    });
+});
+
+// POST /api/anotacoes/migrar - Enviar as anotações que o navegador guardava no localStorage (executada uma vez por usuário)
+app.post('/api/anotacoes/migrar', (req, res) => {
+    const { anotacoes } = req.body;
+
+    if (!Array.isArray(anotacoes)) {
+        return res.status(400).json({ success: false, error: 'Formato inválido' });
+    }
+
+    const validas = anotacoes.filter(a => a && a.titulo && a.conteudo);
+
+    // Tudo ou nada, na conexão de transações, para não levar junto as escritas das outras requisições
+    emTransacao((conexao, concluir) => {
+        let importadas = 0;
+
+        const migrar = (indice) => {
+            if (indice >= validas.length) return concluir(null, importadas);
+
+            const anotacao = validas[indice];
+            // A combinação criadoPor + idLocal é única: reenviar a mesma nota não a duplica
+            conexao.run(`
+            INSERT OR IGNORE INTO anotacoes (titulo, conteudo, cor, dataCriacao, criadoPor, atribuidoA, idLocal, atualizadoEm)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                anotacao.titulo,
+                anotacao.conteudo,
+                anotacao.cor || '#3498db',
+                anotacao.dataCriacao || new Date().toISOString(),
+                req.usuario.id,
+                anotacao.atribuidoA || null,
+                String(anotacao.idLocal),
+                new Date().toISOString()
+            ], function(err) {
+                if (err) return concluir(err);
+                importadas += this.changes;
+                migrar(indice + 1);
+            });
+        };
+
+        migrar(0);
+    }, (err, importadas) => {
+        if (err) {
+            console.error('Erro ao migrar anotações:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        registrarAuditoria('MIGRATE', 'anotacoes', 0, null, { recebidas: anotacoes.length, importadas }, req.usuario.id, req.ip);
+        res.json({ success: true, importadas });
+    });
+});
+
+// PUT /api/anotacoes/:id - Atualizar anotação
+app.put('/api/anotacoes/:id', (req, res) => {
+    const id = req.params.id;
+    const { titulo, conteudo, cor, atribuidoA, audioData, demandaIds } = req.body;
+
+    // Buscar anotação existente
+    db.get('SELECT * FROM anotacoes WHERE id = ? AND excluidoEm IS NULL', [id], (err, anotacaoExistente) => {
+        if (err) {
+            console.error('Erro ao buscar anotação:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!anotacaoExistente) {
+            return res.status(404).json({ success: false, error: 'Anotação não encontrada' });
+        }
+
+        const podeEditar = req.usuario.role === 'gestor' ||
+            anotacaoExistente.criadoPor == req.usuario.id ||
+            anotacaoExistente.atribuidoA == req.usuario.id;
+        if (!podeEditar) {
+            return negarAcesso(req, res, 'Você só pode editar anotações criadas por você ou atribuídas a você.', 'anotacoes', id);
+        }
 
         const sql = `
-        UPDATE demandas SET
-        funcionarioId = ?, nomeFuncionario = ?, emailFuncionario = ?, categoria = ?, prioridade = ?,
-        complexidade = ?, descricao = ?, local = ?, dataLimite = ?, status = ?,
-        isRotina = ?, diasSemana = ?, tag = ?, comentarios = ?, comentarioGestor = ?,
-        dataConclusao = ?, atribuidos = ?, anexosCriacao = ?, anexosResolucao = ?,
-        comentarioReprovacaoAtribuicao = ?, nomeDemanda = ?, dataAtualizacao = ?, atualizadoPor = ?, comentariosUsuarios = ?
+        UPDATE anotacoes SET
+        titulo = ?,
+        conteudo = ?,
+        cor = ?,
+        atribuidoA = ?,
+        audioData = ?,
+        atualizadoEm = ?
         WHERE id = ?
         `;
 
-        const params = [
-            dadosCompletos.funcionarioId,
-            dadosCompletos.nomeFuncionario,
-            dadosCompletos.emailFuncionario,
-            dadosCompletos.categoria,
-            dadosCompletos.prioridade,
-            dadosCompletos.complexidade,
-            dadosCompletos.descricao,
-            dadosCompletos.local,
-            dadosCompletos.dataLimite,
-            dadosCompletos.status,
-            dadosCompletos.isRotina ? 1 : 0,
-            JSON.stringify(dadosCompletos.diasSemana),
-            dadosCompletos.tag,
-            dadosCompletos.comentarios || '',
-            dadosCompletos.comentarioGestor || '',
-            dadosCompletos.dataConclusao || null,
-            JSON.stringify(dadosCompletos.atribuidos),
-            JSON.stringify(dadosCompletos.anexosCriacao),
-            JSON.stringify(dadosCompletos.anexosResolucao),
-            dadosCompletos.comentarioReprovacaoAtribuicao || '',
-            dadosCompletos.nomeDemanda,
-            dadosCompletos.dataAtualizacao,
-            dadosCompletos.atualizadoPor,
-            JSON.stringify(dadosCompletos.comentariosUsuarios || []),
+        const novoAtribuidoA = atribuidoA !== undefined ? (atribuidoA || null) : anotacaoExistente.atribuidoA;
+
+        db.run(sql, [
+            titulo || anotacaoExistente.titulo,
+            conteudo || anotacaoExistente.conteudo,
+            cor || anotacaoExistente.cor,
+            novoAtribuidoA,
+            audioData !== undefined ? audioData : anotacaoExistente.audioData,
+            new Date().toISOString(),
             id
-        ];
+        ], function(err) {
+            if (err) {
+                console.error('Erro ao atualizar anotação:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            if (novoAtribuidoA && novoAtribuidoA != anotacaoExistente.atribuidoA) {
+                notificarAnotacaoAtribuida({ id, titulo: titulo || anotacaoExistente.titulo, atribuidoA: novoAtribuidoA }, req.usuario);
+            }
+
+            // Sem 'demandaIds' no corpo, os vínculos atuais são mantidos
+            if (demandaIds === undefined) return responderAnotacao(res, id);
+
+            salvarVinculosAnotacao(id, demandaIds, (err) => {
+                if (err) console.error('Erro ao vincular demandas à anotação:', err);
+                responderAnotacao(res, id);
+            });
+        });
+    });
+});
+
+// DELETE /api/anotacoes/:id - Mover a anotação para a lixeira (corpo opcional: { motivo })
+app.delete('/api/anotacoes/:id', (req, res) => {
+    const id = req.params.id;
+    const motivo = (req.body && typeof req.body.motivo === 'string' && req.body.motivo.trim()) || null;
+
+    db.get('SELECT * FROM anotacoes WHERE id = ? AND excluidoEm IS NULL', [id], (err, anotacao) => {
+        if (err) {
+            console.error('Erro ao buscar anotação para exclusão:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        if (!anotacao) {
+            return res.status(404).json({ success: false, error: 'Anotação não encontrada' });
+        }
+
+        if (req.usuario.role !== 'gestor' && anotacao.criadoPor != req.usuario.id) {
+            return negarAcesso(req, res, 'Você só pode excluir anotações criadas por você.', 'anotacoes', id);
+        }
+
+        const exclusao = { excluidoEm: new Date().toISOString(), excluidoPor: req.usuario.id, motivoExclusao: motivo };
 
-        db.run(sql, params, function(err) {
+        // Os vínculos com demandas são mantidos para voltarem com a restauração
+        db.run('UPDATE anotacoes SET excluidoEm = ?, excluidoPor = ?, motivoExclusao = ? WHERE id = ?',
+            [exclusao.excluidoEm, exclusao.excluidoPor, exclusao.motivoExclusao, id], function(err) {
             if (err) {
-                console.error('Erro ao atualizar demanda:', err);
+                console.error('Erro ao excluir anotação:', err);
                 return res.status(500).json({ success: false, error: err.message });
             }
 
-            // Registrar auditoria
-            registrarAuditoria(
-                'UPDATE',
-                'demandas',
-                id,
-                demandaExistente,
-                dadosCompletos,
-                d.funcionarioId,
-                req.ip
-            );
+            registrarAuditoria('DELETE', 'anotacoes', id, anotacao, exclusao, req.usuario.id, req.ip);
+
+            res.json({ success: true });
+        });
+    });
+});
+
+// ========== LAYOUTS DO MAPA MENTAL ==========
+
+const AGRUPAMENTOS_MINDMAP = ['status', 'categoria', 'local'];
+const TAMANHO_MAXIMO_LAYOUT = 200 * 1024;
+
+// Validar e normalizar o layout enviado pelo navegador: { agrupamento, posicoes: { chave: { x, y } }, recolhidos: [chave] }
+function normalizarLayoutMindmap(dados) {
+    if (!dados || typeof dados !== 'object' || Array.isArray(dados)) {
+        return { erro: 'Layout inválido' };
+    }
+
+    if (JSON.stringify(dados).length > TAMANHO_MAXIMO_LAYOUT) {
+        return { erro: 'Layout muito grande' };
+    }
+
+    const agrupamento = dados.agrupamento || 'status';
+    if (!AGRUPAMENTOS_MINDMAP.includes(agrupamento)) {
+        return { erro: `Agrupamento inválido. Use: ${AGRUPAMENTOS_MINDMAP.join(', ')}` };
+    }
+
+    const posicoes = {};
+    for (const [chave, posicao] of Object.entries(dados.posicoes || {})) {
+        if (!posicao || !Number.isFinite(posicao.x) || !Number.isFinite(posicao.y)) {
+            return { erro: `Posição inválida para o nó "${chave}"` };
+        }
+        posicoes[chave] = { x: posicao.x, y: posicao.y };
+    }
+
+    const recolhidos = Array.isArray(dados.recolhidos) ? dados.recolhidos.filter(c => typeof c === 'string') : [];
+
+    return { layout: { agrupamento, posicoes, recolhidos } };
+}
+
+function formatarLayoutMindmap(row) {
+    return {
+        id: row.id,
+        nome: row.nome,
+        usuarioId: row.usuarioId,
+        criadoPorNome: row.criadoPorNome,
+        atualizadoEm: row.atualizadoEm,
+        dados: row.dados ? JSON.parse(row.dados) : undefined
+    };
+}
+
+// Gravar (ou substituir) o layout de um usuário; o layout pessoal usa o nome vazio
+function salvarLayoutMindmap(usuarioId, nome, compartilhado, layout, callback) {
+    db.run(`
+    INSERT INTO mindmap_layouts (usuarioId, nome, compartilhado, dados, atualizadoEm)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(usuarioId, nome) DO UPDATE SET
+    compartilhado = excluded.compartilhado,
+    dados = excluded.dados,
+    atualizadoEm = excluded.atualizadoEm
+    `, [usuarioId, nome, compartilhado ? 1 : 0, JSON.stringify(layout), new Date().toISOString()], callback);
+}
+
+// GET /api/mindmap/layout - Layout pessoal do usuário logado (null se ainda não houver)
+app.get('/api/mindmap/layout', (req, res) => {
+    db.get("SELECT * FROM mindmap_layouts WHERE usuarioId = ? AND nome = ''", [req.usuario.id], (err, row) => {
+        if (err) {
+            console.error('Erro ao buscar layout do mapa mental:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json({ success: true, layout: row ? formatarLayoutMindmap(row) : null });
+    });
+});
+
+// PUT /api/mindmap/layout - Salvar o layout pessoal do usuário logado
+app.put('/api/mindmap/layout', (req, res) => {
+    const { layout, erro } = normalizarLayoutMindmap(req.body.dados);
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    salvarLayoutMindmap(req.usuario.id, '', false, layout, (err) => {
+        if (err) {
+            console.error('Erro ao salvar layout do mapa mental:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json({ success: true });
+    });
+});
+
+// GET /api/mindmap/layouts - Layouts compartilhados com a equipe (sem os dados)
+app.get('/api/mindmap/layouts', (req, res) => {
+    db.all(`
+    SELECT l.id, l.nome, l.usuarioId, l.atualizadoEm, u.nome AS criadoPorNome
+    FROM mindmap_layouts l
+    LEFT JOIN usuarios u ON u.id = l.usuarioId
+    WHERE l.compartilhado = 1
+    ORDER BY l.nome COLLATE NOCASE
+    `, [], (err, rows) => {
+        if (err) {
+            console.error('Erro ao listar layouts do mapa mental:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
+
+        res.json({ success: true, layouts: rows.map(formatarLayoutMindmap) });
+    });
+});
 
-            // Criar backup para mudanças de status
-            if (['aprovada', 'reprovada'].includes(d.status)) {
-                criarBackup('status_change');
-            }
+// GET /api/mindmap/layouts/:id - Layout compartilhado com os dados
+app.get('/api/mindmap/layouts/:id', (req, res) => {
+    db.get(`
+    SELECT l.*, u.nome AS criadoPorNome
+    FROM mindmap_layouts l
+    LEFT JOIN usuarios u ON u.id = l.usuarioId
+    WHERE l.id = ? AND l.compartilhado = 1
+    `, [req.params.id], (err, row) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!row) return res.status(404).json({ success: false, error: 'Layout não encontrado' });
 
-            res.json({
-                success: true,
-                demanda: { id: parseInt(id), ...dadosCompletos }
-            });
-        });
+        res.json({ success: true, layout: formatarLayoutMindmap(row) });
     });
 });
 
-// DELETE /api/demandas/:id - Excluir demanda
-app.delete('/api/demandas/:id', (req, res) => {
-    const id = req.params.id;
+// POST /api/mindmap/layouts - Compartilhar um layout com a equipe (mesmo nome substitui o layout anterior do usuário)
+app.post('/api/mindmap/layouts', (req, res) => {
+    const nome = (req.body.nome || '').trim();
+    if (!nome) {
+        return res.status(400).json({ success: false, error: 'Nome do layout é obrigatório' });
+    }
 
-    // Buscar demanda antes de excluir
-    db.get('SELECT * FROM demandas WHERE id = ?', [id], (err, demanda) => {
+    const { layout, erro } = normalizarLayoutMindmap(req.body.dados);
+    if (erro) return res.status(400).json({ success: false, error: erro });
+
+    salvarLayoutMindmap(req.usuario.id, nome, true, layout, (err) => {
         if (err) {
-            console.error('Erro ao buscar demanda para exclusão:', err);
+            console.error('Erro ao compartilhar layout do mapa mental:', err);
             return res.status(500).json({ success: false, error: err.message });
         }
 
-        if (!demanda) {
-            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
-        }
+        db.get('SELECT id FROM mindmap_layouts WHERE usuarioId = ? AND nome = ?', [req.usuario.id, nome], (err, row) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
 
-        db.run('DELETE FROM demandas WHERE id = ?', [id], function(err) {
-            if (err) {
-                console.error('Erro ao excluir demanda:', err);
-                return res.status(500).json({ success: false, error: err.message });
-            }
+            registrarAuditoria('SHARE_LAYOUT', 'mindmap_layouts', row.id, null, { nome }, req.usuario.id, req.ip);
+            res.json({ success: true, layout: { id: row.id, nome } });
+        });
+    });
+});
 
-            // Registrar auditoria
-            registrarAuditoria(
-                'DELETE',
-                'demandas',
-                id,
-                demanda,
-                null,
-                req.body.usuarioId || null,
-                req.ip
-            );
+// DELETE /api/mindmap/layouts/:id - Remover layout compartilhado (autor ou gestor)
+app.delete('/api/mindmap/layouts/:id', (req, res) => {
+    db.get('SELECT * FROM mindmap_layouts WHERE id = ? AND compartilhado = 1', [req.params.id], (err, row) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!row) return res.status(404).json({ success: false, error: 'Layout não encontrado' });
 
-            // Criar backup antes de excluir
-            criarBackup('delete');
+        if (req.usuario.role !== 'gestor' && row.usuarioId !== req.usuario.id) {
+            return negarAcesso(req, res, 'Você só pode remover layouts compartilhados por você.', 'mindmap_layouts', row.id);
+        }
 
+        db.run('DELETE FROM mindmap_layouts WHERE id = ?', [row.id], (err) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+
+            registrarAuditoria('DELETE', 'mindmap_layouts', row.id, { nome: row.nome }, null, req.usuario.id, req.ip);
             res.json({ success: true });
         });
     });
 });
 
-// POST /api/demandas/:id/extend-deadline - Estender prazo de demanda
-app.post('/api/demandas/:id/extend-deadline', (req, res) => {
-    const id = req.params.id;
-    const { novaDataLimite, motivo } = req.body;
+// ========== RANKING ==========
 
-    if (!novaDataLimite || !motivo) {
-        return res.status(400).json({
-            success: false,
-            error: 'Nova data limite e motivo são obrigatórios'
-        });
+// GET /api/ranking - Placar por colaborador (?from=AAAA-MM-DD&to=AAAA-MM-DD&local=)
+app.get('/api/ranking', (req, res) => {
+    const { from, to, local } = req.query;
+
+    if ((from && !FORMATO_DATA.test(from)) || (to && !FORMATO_DATA.test(to))) {
+        return res.status(400).json({ success: false, error: 'Datas inválidas. Use o formato AAAA-MM-DD.' });
     }
 
-    // Buscar demanda existente
-    db.get('SELECT * FROM demandas WHERE id = ?', [id], (err, demandaExistente) => {
+    if (from && to && from > to) {
+        return res.status(400).json({ success: false, error: 'A data inicial deve ser anterior à data final' });
+    }
+
+    buscarDemandasRanking(local, (err, demandas) => {
         if (err) {
-            console.error('Erro ao buscar demanda:', err);
+            console.error('Erro ao calcular ranking:', err);
             return res.status(500).json({ success: false, error: err.message });
         }
 
-        if (!demandaExistente) {
-            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
-        }
-
-        // Atualizar apenas os campos necessários
-        const sql = `
-        UPDATE demandas SET
-        dataLimite = ?,
-        comentarioGestor = ?,
-        dataAtualizacao = ?
-        WHERE id = ?
-        `;
-
-        const comentarioAtual = demandaExistente.comentarioGestor || '';
-        const novoComentario = `${comentarioAtual}\n[Prazo estendido em ${new Date().toLocaleDateString('pt-BR')}: ${motivo}]`;
-
-        db.run(sql, [novaDataLimite, novoComentario, new Date().toISOString(), id], function(err) {
+        db.all("SELECT id, nome, local, nivel, conquistas FROM usuarios WHERE role = 'funcionario' AND ativo = 1", [], (err, funcionarios) => {
             if (err) {
-                console.error('Erro ao estender prazo da demanda:', err);
+                console.error('Erro ao buscar funcionários do ranking:', err);
                 return res.status(500).json({ success: false, error: err.message });
             }
 
-            // Registrar auditoria
-            registrarAuditoria(
-                'EXTEND_DEADLINE',
-                'demandas',
-                id,
-                { dataLimite: demandaExistente.dataLimite, comentarioGestor: demandaExistente.comentarioGestor },
-                { dataLimite: novaDataLimite, comentarioGestor: novoComentario },
-                req.body.usuarioId || null,
-                req.ip
-            );
+            const estatisticas = calcularEstatisticasRanking(demandas, { from, to, usuarioIds: funcionarios.map(f => f.id) });
 
-            // Buscar demanda atualizada para retornar
-            db.get('SELECT * FROM demandas WHERE id = ?', [id], (err, demandaAtualizada) => {
-                if (err) {
-                    console.error('Erro ao buscar demanda atualizada:', err);
-                    return res.status(500).json({ success: false, error: err.message });
-                }
+            const ranking = funcionarios
+                .map(f => ({
+                    ...estatisticas[f.id],
+                    nome: f.nome,
+                    local: f.local,
+                    nivel: f.nivel,
+                    conquistas: usuarioPublico({ conquistas: f.conquistas }).conquistas
+                }))
+                .sort((a, b) => b.pontos - a.pontos || b.concluidas - a.concluidas || a.nome.localeCompare(b.nome));
 
-                res.json({
-                    success: true,
-                    demanda: normalizarDadosDemanda(demandaAtualizada)
-                });
-            });
+            res.json({ success: true, periodo: { from: from || null, to: to || null }, local: local || null, ranking });
         });
     });
 });
 
-// POST /api/demandas/:id/reassign - Reatribuir demanda
-app.post('/api/demandas/:id/reassign', (req, res) => {
-    const id = req.params.id;
-    const { novoAtribuidoId, motivo } = req.body;
+// GET /api/conquistas/regras - Regras de conquistas
+app.get('/api/conquistas/regras', (req, res) => {
+    db.all('SELECT * FROM regras_conquistas ORDER BY tipo, meta', [], (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
 
-    if (!novoAtribuidoId || !motivo) {
-        return res.status(400).json({
-            success: false,
-            error: 'Novo atribuído e motivo são obrigatórios'
-        });
+        res.json({ success: true, tipos: TIPOS_REGRA_CONQUISTA, regras: rows.map(r => ({ ...r, ativa: Boolean(r.ativa) })) });
+    });
+});
+
+// PUT /api/conquistas/regras/:codigo - Ajustar meta, textos ou ativação de uma regra (recalcula as conquistas)
+app.put('/api/conquistas/regras/:codigo', exigirGestor('conquistas', 'regras_conquistas'), (req, res) => {
+    const { nome, descricao, icone, meta, ativa } = req.body;
+
+    if (meta !== undefined && (!Number.isInteger(meta) || meta < 1)) {
+        return res.status(400).json({ success: false, error: 'A meta deve ser um número inteiro maior que zero' });
     }
 
-    // Buscar demanda existente
-    db.get('SELECT * FROM demandas WHERE id = ?', [id], (err, demandaExistente) => {
-        if (err) {
-            console.error('Erro ao buscar demanda:', err);
-            return res.status(500).json({ success: false, error: err.message });
+    db.get('SELECT * FROM regras_conquistas WHERE codigo = ?', [req.params.codigo], (err, regra) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
+        if (!regra) return res.status(404).json({ success: false, error: 'Regra não encontrada' });
+
+        const novaRegra = {
+            nome: nome || regra.nome,
+            descricao: descricao || regra.descricao,
+            icone: icone || regra.icone,
+            meta: meta !== undefined ? meta : regra.meta,
+            ativa: ativa !== undefined ? (ativa ? 1 : 0) : regra.ativa
+        };
+
+        db.run('UPDATE regras_conquistas SET nome = ?, descricao = ?, icone = ?, meta = ?, ativa = ? WHERE codigo = ?',
+            [novaRegra.nome, novaRegra.descricao, novaRegra.icone, novaRegra.meta, novaRegra.ativa, regra.codigo], (err) => {
+            if (err) return res.status(500).json({ success: false, error: err.message });
+
+            registrarAuditoria('UPDATE', 'regras_conquistas', regra.id, regra, novaRegra, req.usuario.id, req.ip);
+            atualizarPontuacaoUsuarios();
+            res.json({ success: true, regra: { ...regra, ...novaRegra, ativa: Boolean(novaRegra.ativa) } });
+        });
+    });
+});
+
+// ========== RELATÓRIOS ==========
+
+// Como cada status aparece nos relatórios
+const ROTULOS_STATUS = {
+    pendente: 'Pendente',
+    atribuida_pendente_aceitacao: 'Aguardando aceite',
+    finalizado_pendente_aprovacao: 'Em análise',
+    aprovada: 'Concluída',
+    reprovada: 'Reprovada',
+    reprovada_pelo_atribuido: 'Recusada pelo atribuído'
+};
+
+const NOMES_MESES = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+
+// Colunas das seções: tipo 'texto', 'numero', 'data' (AAAA-MM-DD) ou 'percentual' (0 a 100); largura relativa
+const coluna = (titulo, chave, tipo = 'texto', largura = 1) => ({ titulo, chave, tipo, largura });
+
+function percentual(parte, total) {
+    return total > 0 ? Math.round(parte / total * 100) : null;
+}
+
+function agruparPor(itens, chave) {
+    const grupos = new Map();
+    itens.forEach(item => {
+        const valor = chave(item);
+        if (!grupos.has(valor)) grupos.set(valor, []);
+        grupos.get(valor).push(item);
+    });
+    return grupos;
+}
+
+// Campos derivados usados por todos os relatórios (datas locais, atraso pelo SLA e nomes dos participantes)
+function prepararDemandasRelatorio(demandas, nomesUsuarios) {
+    const agora = new Date();
+
+    return demandas.map(demanda => {
+        const limite = (demanda.dataLimite || '').slice(0, 10);
+        const aprovada = demanda.status === STATUS_DEMANDA.APROVADA;
+        const conclusao = aprovada && demanda.dataConclusao ? dataLocalISO(new Date(demanda.dataConclusao)) : null;
+        const participantes = participantesDaDemanda(demanda);
+        const { atrasada, diasUteisAtraso } = atrasoPeloSla(demanda, agora);
+
+        return {
+            ...demanda,
+            aprovada,
+            limite,
+            conclusao,
+            criacao: demanda.dataCriacao ? dataLocalISO(new Date(demanda.dataCriacao)) : null,
+            participantes,
+            nomesParticipantes: participantes.map(id => nomesUsuarios.get(id) || `Usuário ${id}`).join(', '),
+            rotuloStatus: ROTULOS_STATUS[demanda.status] || demanda.status,
+            atrasada,
+            diasAtraso: diasUteisAtraso
+        };
+    });
+}
+
+// Cada relatório recebe as demandas preparadas e o período; devolve o título e as seções (tabelas)
+const RELATORIOS = {
+    'abertas-por-colaborador': {
+        titulo: 'Demandas em aberto por colaborador',
+        campoPeriodo: 'criacao',
+        montar(demandas, { nomesUsuarios }) {
+            const abertas = demandas.filter(d => !d.aprovada);
+
+            const porColaborador = new Map();
+            abertas.forEach(demanda => {
+                demanda.participantes.forEach(id => {
+                    const linha = porColaborador.get(id) || { colaborador: nomesUsuarios.get(id) || `Usuário ${id}`, pendentes: 0, emAnalise: 0, atrasadas: 0, total: 0 };
+                    if (demanda.status === STATUS_DEMANDA.FINALIZADO_PENDENTE_APROVACAO) linha.emAnalise++;
+                    else linha.pendentes++;
+                    if (demanda.atrasada) linha.atrasadas++;
+                    linha.total++;
+                    porColaborador.set(id, linha);
+                });
+            });
+
+            return [
+                {
+                    titulo: 'Abertas por colaborador',
+                    colunas: [coluna('Colaborador', 'colaborador', 'texto', 3), coluna('Pendentes', 'pendentes', 'numero'),
+                        coluna('Em análise', 'emAnalise', 'numero'), coluna('Atrasadas', 'atrasadas', 'numero'), coluna('Total', 'total', 'numero')],
+                    linhas: [...porColaborador.values()].sort((a, b) => b.total - a.total || a.colaborador.localeCompare(b.colaborador))
+                },
+                {
+                    titulo: 'Abertas - detalhe',
+                    colunas: [coluna('TAG', 'tag', 'texto', 1.5), coluna('Demanda', 'nomeDemanda', 'texto', 3), coluna('Colaboradores', 'nomesParticipantes', 'texto', 2.5),
+                        coluna('Status', 'rotuloStatus', 'texto', 1.5), coluna('Local', 'local'), coluna('Categoria', 'categoria'),
+                        coluna('Prioridade', 'prioridade'), coluna('Data limite', 'limite', 'data'), coluna('Dias úteis em atraso', 'diasAtraso', 'numero')],
+                    linhas: abertas.sort((a, b) => (a.limite || '').localeCompare(b.limite || ''))
+                }
+            ];
         }
+    },
+
+    'atrasadas-por-local': {
+        titulo: 'Demandas atrasadas por local',
+        campoPeriodo: 'limite',
+        montar(demandas) {
+            const atrasadas = demandas.filter(d => !d.aprovada && d.atrasada)
+                .sort((a, b) => (a.local || '').localeCompare(b.local || '') || b.diasAtraso - a.diasAtraso);
+
+            const resumo = [...agruparPor(atrasadas, d => d.local || 'Sem local')].map(([local, grupo]) => ({
+                local,
+                quantidade: grupo.length,
+                mediaAtraso: Math.round(grupo.reduce((soma, d) => soma + d.diasAtraso, 0) / grupo.length * 10) / 10,
+                maiorAtraso: Math.max(...grupo.map(d => d.diasAtraso))
+            }));
+
+            return [
+                {
+                    titulo: 'Atrasadas por local',
+                    colunas: [coluna('Local', 'local', 'texto', 2), coluna('Atrasadas', 'quantidade', 'numero'),
+                        coluna('Atraso médio (dias úteis)', 'mediaAtraso', 'numero'), coluna('Maior atraso (dias úteis)', 'maiorAtraso', 'numero')],
+                    linhas: resumo.sort((a, b) => b.quantidade - a.quantidade)
+                },
+                {
+                    titulo: 'Atrasadas - detalhe',
+                    colunas: [coluna('Local', 'local'), coluna('TAG', 'tag', 'texto', 1.5), coluna('Demanda', 'nomeDemanda', 'texto', 3),
+                        coluna('Colaboradores', 'nomesParticipantes', 'texto', 2.5), coluna('Status', 'rotuloStatus', 'texto', 1.5),
+                        coluna('Data limite', 'limite', 'data'), coluna('Dias úteis em atraso', 'diasAtraso', 'numero')],
+                    linhas: atrasadas
+                }
+            ];
+        }
+    },
+
+    'produtividade-mensal': {
+        titulo: 'Produtividade mensal',
+        campoPeriodo: 'conclusao',
+        montar(demandas, { nomesUsuarios }) {
+            const aprovadas = demandas.filter(d => d.aprovada && d.conclusao);
+            const porMes = [...agruparPor(aprovadas, d => d.conclusao.slice(0, 7))].sort(([a], [b]) => a.localeCompare(b));
+
+            const mensal = porMes.map(([mes, grupo]) => {
+                const noPrazo = grupo.filter(d => !d.atrasada).length;
+                return { mes, concluidas: grupo.length, noPrazo, comAtraso: grupo.length - noPrazo, pontualidade: percentual(noPrazo, grupo.length) };
+            });
 
-        if (!demandaExistente) {
-            return res.status(404).json({ success: false, error: 'Demanda não encontrada' });
+            const porColaborador = [];
+            porMes.forEach(([mes, grupo]) => {
+                Object.values(calcularEstatisticasRanking(grupo)).forEach(e => {
+                    porColaborador.push({ mes, colaborador: nomesUsuarios.get(e.usuarioId) || `Usuário ${e.usuarioId}`, ...e });
+                });
+            });
+
+            const colunasMes = [coluna('Mês', 'mes'), coluna('Concluídas', 'concluidas', 'numero'), coluna('No prazo', 'noPrazo', 'numero'),
+                coluna('Com atraso', 'comAtraso', 'numero'), coluna('Pontualidade', 'pontualidade', 'percentual')];
+
+            return [
+                { titulo: 'Produtividade por mês', colunas: colunasMes, linhas: mensal },
+                {
+                    titulo: 'Produtividade por colaborador',
+                    colunas: [coluna('Mês', 'mes'), coluna('Colaborador', 'colaborador', 'texto', 2.5), ...colunasMes.slice(1),
+                        coluna('Pontos', 'pontos', 'numero'), coluna('Tempo médio (dias)', 'tempoMedioEntrega', 'numero')],
+                    linhas: porColaborador.sort((a, b) => a.mes.localeCompare(b.mes) || b.pontos - a.pontos)
+                }
+            ];
+        }
+    },
+
+    'entregas-aprovadas': {
+        titulo: 'Entregas aprovadas e cumprimento de prazo',
+        campoPeriodo: 'conclusao',
+        montar(demandas) {
+            const aprovadas = demandas.filter(d => d.aprovada && d.conclusao)
+                .map(d => ({ ...d, dentroDoPrazo: d.atrasada ? 'Não' : 'Sim' }))
+                .sort((a, b) => a.conclusao.localeCompare(b.conclusao));
+
+            const noPrazo = aprovadas.filter(d => !d.atrasada).length;
+            const atrasadas = aprovadas.filter(d => d.atrasada);
+            const atrasoMedio = atrasadas.length > 0
+                ? Math.round(atrasadas.reduce((soma, d) => soma + d.diasAtraso, 0) / atrasadas.length * 10) / 10
+                : 0;
+
+            return [
+                {
+                    titulo: 'Cumprimento de prazo',
+                    colunas: [coluna('Indicador', 'indicador', 'texto', 3), coluna('Valor', 'valor', 'texto')],
+                    linhas: [
+                        { indicador: 'Entregas aprovadas', valor: aprovadas.length },
+                        { indicador: 'Dentro do prazo', valor: noPrazo },
+                        { indicador: 'Com atraso', valor: atrasadas.length },
+                        { indicador: 'Cumprimento do prazo', valor: aprovadas.length > 0 ? `${percentual(noPrazo, aprovadas.length)}%` : '-' },
+                        { indicador: 'Atraso médio das entregas atrasadas (dias úteis)', valor: atrasoMedio }
+                    ]
+                },
+                {
+                    titulo: 'Entregas - detalhe',
+                    colunas: [coluna('TAG', 'tag', 'texto', 1.5), coluna('Demanda', 'nomeDemanda', 'texto', 3), coluna('Colaboradores', 'nomesParticipantes', 'texto', 2.5),
+                        coluna('Local', 'local'), coluna('Categoria', 'categoria'), coluna('Complexidade', 'complexidade'),
+                        coluna('Data limite', 'limite', 'data'), coluna('Conclusão', 'conclusao', 'data'),
+                        coluna('Dias úteis de atraso', 'diasAtraso', 'numero'), coluna('No prazo', 'dentroDoPrazo')],
+                    linhas: aprovadas
+                }
+            ];
         }
+    }
+};
 
-        // Buscar dados do novo atribuído
-        db.get('SELECT * FROM usuarios WHERE id = ?', [novoAtribuidoId], (err, novoUsuario) => {
-            if (err) {
-                console.error('Erro ao buscar novo usuário:', err);
-                return res.status(500).json({ success: false, error: err.message });
-            }
+const FORMATOS_RELATORIO = ['xlsx', 'pdf'];
 
-            if (!novoUsuario) {
-                return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
-            }
+// Validar os filtros (from, to, local, categoria) de um relatório
+function lerFiltrosRelatorio(query) {
+    const { from, to, local, categoria } = query;
 
-            // Adicionar novo atribuído à lista existente
-            let atribuidosAtuais = [];
-            try {
-                atribuidosAtuais = JSON.parse(demandaExistente.atribuidos || '[]');
-            } catch (e) {
-                atribuidosAtuais = [];
-            }
+    if ((from && !FORMATO_DATA.test(from)) || (to && !FORMATO_DATA.test(to))) {
+        return { erro: 'Datas inválidas. Use o formato AAAA-MM-DD.' };
+    }
+
+    if (from && to && from > to) {
+        return { erro: 'A data inicial deve ser anterior à data final' };
+    }
+
+    return { from: from || null, to: to || null, local: local || null, categoria: categoria || null };
+}
+
+function descreverFiltrosRelatorio({ from, to, local, categoria }) {
+    const formatar = data => data.split('-').reverse().join('/');
+    const partes = [];
+
+    if (from && to) partes.push(`Período: ${formatar(from)} a ${formatar(to)}`);
+    else if (from) partes.push(`A partir de ${formatar(from)}`);
+    else if (to) partes.push(`Até ${formatar(to)}`);
+    if (local) partes.push(`Local: ${local}`);
+    if (categoria) partes.push(`Categoria: ${categoria}`);
+
+    return partes.length > 0 ? partes.join(' · ') : 'Sem filtros';
+}
 
-            // Verificar se já não está atribuído
-            if (!atribuidosAtuais.find(a => a.id == novoAtribuidoId)) {
-                atribuidosAtuais.push({
-                    id: novoUsuario.id,
-                    nome: novoUsuario.nome,
-                    email: novoUsuario.email
+// Montar os relatórios pedidos com os mesmos dados: { titulo, subtitulo, geradoEm, secoes }
+function montarRelatorios(tipos, filtros, callback) {
+    let sql = `SELECT ${colunasDemanda('d', ['atribuidos'])} FROM demandas d WHERE (d.isRotina = 0 OR d.isRotina IS NULL) AND d.excluidoEm IS NULL`;
+    const params = [];
+
+    if (filtros.local) {
+        sql += ' AND d.local = ?';
+        params.push(filtros.local);
+    }
+
+    if (filtros.categoria) {
+        sql += ' AND d.categoria = ?';
+        params.push(filtros.categoria);
+    }
+
+    db.all(sql, params, (err, demandas) => {
+        if (err) return callback(err);
+
+        db.all('SELECT id, nome FROM usuarios', [], (err, usuarios) => {
+            if (err) return callback(err);
+
+            const nomesUsuarios = new Map(usuarios.map(u => [u.id, u.nome]));
+            const preparadas = prepararDemandasRelatorio(demandas, nomesUsuarios);
+
+            const relatorios = tipos.map(tipo => {
+                const definicao = RELATORIOS[tipo];
+                // O período vale para a data que faz sentido em cada relatório (criação, prazo ou conclusão)
+                const noPeriodo = preparadas.filter(d => {
+                    const data = d[definicao.campoPeriodo];
+                    if (!filtros.from && !filtros.to) return true;
+                    return Boolean(data) && (!filtros.from || data >= filtros.from) && (!filtros.to || data <= filtros.to);
                 });
-            }
 
-            // Atualizar demanda
-            const sql = `
-            UPDATE demandas SET
-            atribuidos = ?,
-            status = ?,
-            comentarioGestor = ?,
-            dataAtualizacao = ?
-            WHERE id = ?
-            `;
-
-            const comentarioAtual = demandaExistente.comentarioGestor || '';
-            const novoComentario = `${comentarioAtual}\n[Reatribuído em ${new Date().toLocaleDateString('pt-BR')} para ${novoUsuario.nome}: ${motivo}]`;
-
-            db.run(sql, [
-                JSON.stringify(atribuidosAtuais),
-                'atribuida_pendente_aceitacao',
-                novoComentario,
-                new Date().toISOString(),
-                id
-            ], function(err) {
-                if (err) {
-                    console.error('Erro ao reatribuir demanda:', err);
-                    return res.status(500).json({ success: false, error: err.message });
-                }
+                return {
+                    titulo: definicao.titulo,
+                    subtitulo: descreverFiltrosRelatorio(filtros),
+                    geradoEm: new Date(),
+                    secoes: definicao.montar(noPeriodo, { nomesUsuarios })
+                };
+            });
 
-                // Registrar auditoria
-                registrarAuditoria(
-                    'REASSIGN',
-                    'demandas',
-                    id,
-                    { atribuidos: demandaExistente.atribuidos, status: demandaExistente.status },
-                    { atribuidos: atribuidosAtuais, status: 'atribuida_pendente_aceitacao' },
-                    req.body.usuarioId || null,
-                    req.ip
-                );
+            callback(null, relatorios);
+        });
+    });
+}
 
-                // Buscar demanda atualizada para retornar
-                db.get('SELECT * FROM demandas WHERE id = ?', [id], (err, demandaAtualizada) => {
-                    if (err) {
-                        console.error('Erro ao buscar demanda atualizada:', err);
-                        return res.status(500).json({ success: false, error: err.message });
+function valorCelulaRelatorio(linha, col) {
+    const valor = linha[col.chave];
+    return valor === undefined || valor === '' ? null : valor;
+}
+
+// Planilha formatada: uma aba por seção, com título, filtros, cabeçalho fixo e autofiltro
+function gerarXlsxRelatorio(relatorios, callback) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Sistema de Demandas';
+    workbook.created = new Date();
+
+    relatorios.forEach(relatorio => {
+        relatorio.secoes.forEach(secao => {
+            const planilha = workbook.addWorksheet(secao.titulo.slice(0, 31), { views: [{ state: 'frozen', ySplit: 3 }] });
+            const totalColunas = secao.colunas.length;
+
+            planilha.columns = secao.colunas.map(col => ({ key: col.chave, width: Math.round(12 * col.largura) + 4 }));
+
+            planilha.mergeCells(1, 1, 1, totalColunas);
+            planilha.getCell(1, 1).value = `${relatorio.titulo} - ${secao.titulo}`;
+            planilha.getCell(1, 1).font = { bold: true, size: 14 };
+
+            planilha.mergeCells(2, 1, 2, totalColunas);
+            planilha.getCell(2, 1).value = `${relatorio.subtitulo} · Gerado em ${relatorio.geradoEm.toLocaleString('pt-BR')}`;
+            planilha.getCell(2, 1).font = { italic: true, color: { argb: 'FF7F8C8D' } };
+
+            const cabecalho = planilha.getRow(3);
+            secao.colunas.forEach((col, indice) => {
+                const celula = cabecalho.getCell(indice + 1);
+                celula.value = col.titulo;
+                celula.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+                celula.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2C3E50' } };
+                celula.alignment = { vertical: 'middle', wrapText: true };
+            });
+
+            secao.linhas.forEach(linha => {
+                const row = planilha.addRow(secao.colunas.map(col => {
+                    const valor = valorCelulaRelatorio(linha, col);
+                    if (valor === null) return null;
+                    if (col.tipo === 'data') {
+                        const [ano, mes, dia] = valor.split('-').map(Number);
+                        return new Date(Date.UTC(ano, mes - 1, dia));
                     }
+                    if (col.tipo === 'percentual') return valor / 100;
+                    return valor;
+                }));
 
-                    res.json({
-                        success: true,
-                        demanda: normalizarDadosDemanda(demandaAtualizada)
-                    });
+                secao.colunas.forEach((col, indice) => {
+                    if (col.tipo === 'data') row.getCell(indice + 1).numFmt = 'dd/mm/yyyy';
+                    if (col.tipo === 'percentual') row.getCell(indice + 1).numFmt = '0%';
                 });
             });
+
+            if (secao.linhas.length > 0) {
+                planilha.autoFilter = { from: { row: 3, column: 1 }, to: { row: 3 + secao.linhas.length, column: totalColunas } };
+            } else {
+                planilha.addRow(['Nenhum registro encontrado.']);
+            }
         });
     });
-});
 
-// POST /api/demandas/batch - Importação em lote (NOVA E MELHORADA)
-app.post('/api/demandas/batch', (req, res) => {
-    const { demandas } = req.body;
-    
-    if (!Array.isArray(demandas)) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'Formato inválido. Envie um array de demandas.' 
-        });
-    }
-    
-    console.log(`Iniciando importação em lote de ${demandas.length} demandas...`);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    const errors = [];
-    const results = [];
-    
-    // Processar em lote com transação
-    db.serialize(() => {
-        db.run('BEGIN TRANSACTION', (err) => {
-            if (err) {
-                console.error('Erro ao iniciar transação:', err);
-                return res.status(500).json({ 
-                    success: false, 
-                    error: 'Erro ao iniciar transação do banco de dados' 
+    workbook.xlsx.writeBuffer()
+        .then(buffer => callback(null, Buffer.from(buffer)))
+        .catch(callback);
+}
+
+// PDF em paisagem com uma tabela por seção; o cabeçalho da tabela se repete a cada página
+function gerarPdfRelatorio(relatorios, callback) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: true });
+    const partes = [];
+    doc.on('data', parte => partes.push(parte));
+    doc.on('end', () => callback(null, Buffer.concat(partes)));
+    doc.on('error', callback);
+
+    const margem = 36;
+    const larguraUtil = doc.page.width - margem * 2;
+    const alturaLinha = 16;
+    const limiteInferior = () => doc.page.height - margem - 20;
+
+    const formatar = (valor, col) => {
+        if (valor === null) return '';
+        if (col.tipo === 'data') return valor.split('-').reverse().join('/');
+        if (col.tipo === 'percentual') return `${valor}%`;
+        return String(valor);
+    };
+
+    relatorios.forEach((relatorio, indiceRelatorio) => {
+        if (indiceRelatorio > 0) doc.addPage();
+
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#2c3e50').text(relatorio.titulo, margem, margem);
+        doc.font('Helvetica').fontSize(9).fillColor('#7f8c8d')
+            .text(`${relatorio.subtitulo} · Gerado em ${relatorio.geradoEm.toLocaleString('pt-BR')}`);
+        doc.moveDown();
+
+        relatorio.secoes.forEach(secao => {
+            const pesoTotal = secao.colunas.reduce((soma, col) => soma + col.largura, 0);
+            const larguras = secao.colunas.map(col => larguraUtil * col.largura / pesoTotal);
+
+            const desenharLinha = (valores, { cabecalho = false, zebra = false } = {}) => {
+                if (doc.y + alturaLinha > limiteInferior()) {
+                    doc.addPage();
+                    doc.y = margem;
+                    if (!cabecalho) desenharLinha(secao.colunas.map(col => col.titulo), { cabecalho: true });
+                }
+
+                const y = doc.y;
+                if (cabecalho) doc.rect(margem, y, larguraUtil, alturaLinha).fill('#2c3e50');
+                else if (zebra) doc.rect(margem, y, larguraUtil, alturaLinha).fill('#f4f6f7');
+
+                doc.font(cabecalho ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(cabecalho ? '#ffffff' : '#2c3e50');
+
+                let x = margem;
+                valores.forEach((valor, indice) => {
+                    doc.text(valor, x + 3, y + 4, { width: larguras[indice] - 6, height: alturaLinha - 4, ellipsis: true, lineBreak: false });
+                    x += larguras[indice];
                 });
+
+                doc.x = margem;
+                doc.y = y + alturaLinha;
+            };
+
+            if (doc.y + alturaLinha * 3 > limiteInferior()) doc.addPage();
+
+            doc.font('Helvetica-Bold').fontSize(12).fillColor('#2c3e50').text(secao.titulo, margem, doc.y);
+            doc.moveDown(0.3);
+
+            desenharLinha(secao.colunas.map(col => col.titulo), { cabecalho: true });
+
+            if (secao.linhas.length === 0) {
+                doc.font('Helvetica-Oblique').fontSize(9).fillColor('#7f8c8d').text('Nenhum registro encontrado.', margem, doc.y + 4);
             }
-            
-            // Processar cada demanda
-            demandas.forEach((demanda, index) => {
-                try {
-                    const dadosNormalizados = normalizarDadosDemanda(demanda);
-                    
-                    // Garantir ID único se não existir
-                    if (!dadosNormalizados.id) {
-                        dadosNormalizados.id = Date.now() + Math.random();
-                    }
-                    
-                    // Garantir TAG única se não existir
-                    if (!dadosNormalizados.tag) {
-                        dadosNormalizados.tag = `DEM-IMP-${Date.now()}-${index}`;
-                    }
-                    
-                    const sql = `
-                    INSERT OR REPLACE INTO demandas
-                    (id, funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade, 
-                     descricao, local, dataCriacao, dataLimite, status, isRotina, diasSemana, tag, comentarios, 
-                     comentarioGestor, dataConclusao, atribuidos, anexosCriacao, anexosResolucao, 
-                     comentarioReprovacaoAtribuicao, nomeDemanda, comentariosUsuarios)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    `;
-                    
-                    const params = [
-                        dadosNormalizados.id,
-                        dadosNormalizados.funcionarioId,
-                        dadosNormalizados.nomeFuncionario,
-                        dadosNormalizados.emailFuncionario,
-                        dadosNormalizados.categoria,
-                        dadosNormalizados.prioridade,
-                        dadosNormalizados.complexidade,
-                        dadosNormalizados.descricao,
-                        dadosNormalizados.local,
-                        dadosNormalizados.dataCriacao,
-                        dadosNormalizados.dataLimite,
-                        dadosNormalizados.status || 'pendente',
-                        dadosNormalizados.isRotina ? 1 : 0,
-                        JSON.stringify(dadosNormalizados.diasSemana),
-                        dadosNormalizados.tag,
-                        dadosNormalizados.comentarios || '',
-                        dadosNormalizados.comentarioGestor || '',
-                        dadosNormalizados.dataConclusao || null,
-                        JSON.stringify(dadosNormalizados.atribuidos),
-                        JSON.stringify(dadosNormalizados.anexosCriacao),
-                        JSON.stringify(dadosNormalizados.anexosResolucao),
-                        dadosNormalizados.comentarioReprovacaoAtribuicao || '',
-                        dadosNormalizados.nomeDemanda,
-                        JSON.stringify(dadosNormalizados.comentariosUsuarios || [])
-                    ];
-                    
-                    db.run(sql, params, function(err) {
-                        if (err) {
-                            errorCount++;
-                            const errorMsg = `Erro na demanda ${index + 1} (${dadosNormalizados.tag || 'sem tag'}): ${err.message}`;
-                            errors.push(errorMsg);
-                            console.error(errorMsg);
-                        } else {
-                            successCount++;
-                            results.push({
-                                id: dadosNormalizados.id,
-                                tag: dadosNormalizados.tag,
-                                nome: dadosNormalizados.nomeDemanda,
-                                status: 'success'
-                            });
-                        }
-                    });
-                    
-                } catch (error) {
-                    errorCount++;
-                    const errorMsg = `Erro ao processar demanda ${index + 1}: ${error.message}`;
-                    errors.push(errorMsg);
-                    console.error(errorMsg);
-                }
+
+            secao.linhas.forEach((linha, indice) => {
+                desenharLinha(secao.colunas.map(col => formatar(valorCelulaRelatorio(linha, col), col)), { zebra: indice % 2 === 1 });
             });
-            
-            // Comitar transação após processar todas
-            setTimeout(() => {
-                db.run('COMMIT', (err) => {
-                    if (err) {
-                        console.error('Erro no commit da transação:', err);
-                        return res.status(500).json({ 
-                            success: false, 
-                            error: 'Erro na transação do banco de dados' 
-                        });
-                    }
-                    
-                    console.log(`Importação concluída: ${successCount} sucesso(s), ${errorCount} erro(s)`);
-                    
-                    // Criar backup após importação bem-sucedida
-                    if (successCount > 0) {
-                        criarBackup('batch_import', (err, filename) => {
-                            if (err) {
-                                console.error('Erro ao criar backup pós-importação:', err);
-                            } else {
-                                console.log(`Backup pós-importação criado: ${filename}`);
-                            }
-                        });
-                    }
-                    
-                    res.json({
-                        success: true,
-                        message: `Importação concluída: ${successCount} sucesso(s), ${errorCount} erro(s)`,
-                        successCount,
-                        errorCount,
-                        errors: errors.slice(0, 20), // Retorna apenas os primeiros 20 erros
-                        results: results.slice(0, 50) // Retorna apenas os primeiros 50 resultados
-                    });
-                });
-            }, 1000); // Esperar 1 segundo para processar todas as inserções
+
+            doc.moveDown(1.5);
         });
     });
-});
 
-// POST /api/feedbacks
-app.post('/api/feedbacks', (req, res) => {
-    const { funcionarioId, tipo, mensagem } = req.body;
-    const gestorId = 99; // ID do gestor padrão
+    // Numeração das páginas
+    const paginas = doc.bufferedPageRange();
+    for (let i = 0; i < paginas.count; i++) {
+        doc.switchToPage(paginas.start + i);
+        doc.font('Helvetica').fontSize(8).fillColor('#7f8c8d')
+            .text(`Página ${i + 1} de ${paginas.count}`, margem, doc.page.height - margem - 10, { width: larguraUtil, align: 'right', lineBreak: false });
+    }
 
-    const sql = `
-    INSERT INTO feedbacks (funcionarioId, gestorId, tipo, mensagem, dataCriacao)
-    VALUES (?, ?, ?, ?, ?)
-    `;
+    doc.end();
+}
 
-    db.run(sql, [funcionarioId, gestorId, tipo, mensagem, new Date().toISOString()], function(err) {
-        if (err) return res.status(500).json({ success: false, error: err.message });
-        res.json({ success: true, feedback: { id: this.lastID, funcionarioId, gestorId, tipo, mensagem } });
-    });
-});
+function gerarArquivoRelatorio(relatorios, formato, callback) {
+    if (formato === 'pdf') gerarPdfRelatorio(relatorios, callback);
+    else gerarXlsxRelatorio(relatorios, callback);
+}
+
+const TIPOS_CONTEUDO_RELATORIO = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
 
-// GET /api/feedbacks
-app.get('/api/feedbacks', (req, res) => {
-    db.all('SELECT * FROM feedbacks ORDER BY dataCriacao DESC', [], (err, rows) => {
-        if (err) return res.status(500).json({ success: false, error: err.message });
-        res.json(rows);
-    });
-});
+// Conteúdo do relatório mensal: abertas e atrasadas mostram a situação atual; produtividade e entregas, o mês fechado
+function montarRelatorioMensal(inicio, fim, callback) {
+    const semFiltros = { from: null, to: null, local: null, categoria: null };
+    const referencia = `Referência: ${NOMES_MESES[inicio.getMonth()]} de ${inicio.getFullYear()}`;
 
-// POST /api/auth/login
-app.post('/api/auth/login', (req, res) => {
-    const { email, senha } = req.body;
+    montarRelatorios(['abertas-por-colaborador', 'atrasadas-por-local'], semFiltros, (err, situacao) => {
+        if (err) return callback(err);
 
-    db.get('SELECT * FROM usuarios WHERE email = ? AND senha = ?', [email, senha], (err, row) => {
-        if (err) return res.status(500).json({ success: false, error: err.message });
-        if (!row) return res.status(401).json({ success: false, error: 'Credenciais inválidas' });
+        const doMes = { ...semFiltros, from: dataLocalISO(inicio), to: dataLocalISO(fim) };
+        montarRelatorios(['produtividade-mensal', 'entregas-aprovadas'], doMes, (err, fechamento) => {
+            if (err) return callback(err);
 
-        // Remover senha do retorno
-        const { senha: _, ...usuarioSemSenha } = row;
-        res.json({ success: true, usuario: usuarioSemSenha });
+            situacao.forEach(relatorio => { relatorio.subtitulo = `Situação em ${new Date().toLocaleDateString('pt-BR')}`; });
+            fechamento.forEach(relatorio => { relatorio.subtitulo = referencia; });
+            callback(null, [...situacao, ...fechamento]);
+        });
     });
-});
-
-// POST /api/auth/reset-password
-app.post('/api/auth/reset-password', (req, res) => {
-    const { email } = req.body;
-    res.json({ success: true, message: 'Instruções de redefinição de senha enviadas para o email' });
-});
+}
 
-// POST /api/auth/register
-app.post('/api/auth/register', (req, res) => {
-    const { nome, email, role } = req.body;
-    res.json({ success: true, message: 'Solicitação de cadastro recebida' });
-});
+// Relatório mensal do mês anterior, gravado em disco (XLSX e PDF) para os gestores
+function gerarRelatorioMensal() {
+    const hoje = new Date();
+    const inicio = new Date(hoje.getFullYear(), hoje.getMonth() - 1, 1);
+    const fim = new Date(hoje.getFullYear(), hoje.getMonth(), 0);
+    const mes = dataLocalISO(inicio).slice(0, 7);
+    const base = path.join(relatoriosDir, `relatorio_mensal_${mes}`);
 
-// GET /api/demandas/estatisticas
-app.get('/api/demandas/estatisticas', (req, res) => {
-    const { periodo = 30 } = req.query;
+    if (FORMATOS_RELATORIO.every(formato => fs.existsSync(`${base}.${formato}`))) return;
 
-    const dataCorte = new Date();
-    dataCorte.setDate(dataCorte.getDate() - parseInt(periodo));
+    montarRelatorioMensal(inicio, fim, (err, relatorios) => {
+        if (err) return console.error('Erro ao montar o relatório mensal:', err);
 
-    const sql = `
-    SELECT
-    COUNT(*) as total,
-    COUNT(CASE WHEN status = 'aprovada' THEN 1 END) as aprovadas,
-    COUNT(CASE WHEN status = 'pendente' THEN 1 END) as pendentes,
-    COUNT(CASE WHEN status = 'reprovada' THEN 1 END) as reprovadas,
-    COUNT(CASE WHEN status = 'finalizado_pendente_aprovacao' THEN 1 END) em_analise,
-    COUNT(CASE WHEN isRotina = 1 THEN 1 END) as rotina
-    FROM demandas
-    WHERE dataCriacao >= ?
-    `;
+        let gravados = 0;
+        FORMATOS_RELATORIO.forEach(formato => {
+            gerarArquivoRelatorio(relatorios, formato, (err, buffer) => {
+                if (err) return console.error(`Erro ao gerar o relatório mensal (${formato}):`, err);
 
-    db.get(sql, [dataCorte.toISOString()], (err, row) => {
-        if (err) {
-            console.error('Erro ao buscar estatísticas:', err);
-            return res.status(500).json({ success: false, error: err.message });
-        }
+                // Grava em arquivo temporário e renomeia, para nunca deixar um relatório pela metade
+                fs.writeFile(`${base}.${formato}.tmp`, buffer, (err) => {
+                    if (err) return console.error('Erro ao salvar o relatório mensal:', err);
 
-        res.json({ success: true, estatisticas: row });
-    });
-});
+                    fs.rename(`${base}.${formato}.tmp`, `${base}.${formato}`, (err) => {
+                        if (err) return console.error('Erro ao salvar o relatório mensal:', err);
 
-// GET /api/demandas/search
-app.get('/api/demandas/search', (req, res) => {
-    const { q, limit = 20 } = req.query;
+                        gravados++;
+                        if (gravados < FORMATOS_RELATORIO.length) return;
 
-    if (!q || q.length < 2) {
-        return res.json({ success: true, data: [] });
-    }
+                        console.log(`✅ Relatório mensal ${mes} gerado`);
+                        db.all("SELECT id FROM usuarios WHERE role = 'gestor' AND ativo = 1", [], (err, gestores) => {
+                            if (err) return console.error('Erro ao buscar gestores:', err);
 
-    const sql = `
-    SELECT * FROM demandas
-    WHERE nomeDemanda LIKE ? OR descricao LIKE ? OR tag LIKE ?
-    ORDER BY dataCriacao DESC
-    LIMIT ?
-    `;
+                            notificarUsuarios(gestores.map(g => g.id), {
+                                tipo: 'info',
+                                titulo: 'Relatório Mensal Disponível',
+                                mensagem: `O relatório de ${NOMES_MESES[inicio.getMonth()]} de ${inicio.getFullYear()} está disponível na aba Exportar.`,
+                                chave: `relatorio:${mes}`
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
 
-    const searchTerm = `%${q}%`;
+// Conferir a cada 6 horas se o relatório do mês anterior já foi gerado
+function agendarRelatorioMensal() {
+    gerarRelatorioMensal();
+    setInterval(gerarRelatorioMensal, 6 * 60 * 60 * 1000);
+}
 
-    db.all(sql, [searchTerm, searchTerm, searchTerm, parseInt(limit)], (err, rows) => {
-        if (err) {
-            console.error('Erro na busca:', err);
-            return res.status(500).json({ success: false, error: err.message });
-        }
+// GET /api/relatorios/mensais - Relatórios mensais gravados pelo agendador
+app.get('/api/relatorios/mensais', exigirGestor('relatorios'), (req, res) => {
+    fs.readdir(relatoriosDir, (err, arquivos) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
 
-        const demandasNormalizadas = rows.map(demanda => normalizarDadosDemanda(demanda));
-        res.json({ success: true, data: demandasNormalizadas });
+        const relatorios = arquivos
+            .filter(arquivo => /^relatorio_mensal_\d{4}-\d{2}\.(xlsx|pdf)$/.test(arquivo))
+            .sort()
+            .reverse()
+            .map(arquivo => ({
+                arquivo,
+                mes: arquivo.slice(17, 24),
+                formato: path.extname(arquivo).slice(1),
+                tamanho: fs.statSync(path.join(relatoriosDir, arquivo)).size
+            }));
+
+        res.json({ success: true, relatorios });
     });
 });
 
-// GET /api/anotacoes - Listar anotações
-app.get('/api/anotacoes', (req, res) => {
-    const { criadoPor, atribuidoA, month, year } = req.query;
-
-    let sql = 'SELECT * FROM anotacoes WHERE 1=1';
-    const params = [];
+// GET /api/relatorios/mensais/:arquivo - Download de um relatório mensal
+app.get('/api/relatorios/mensais/:arquivo', exigirGestor('relatorios'), (req, res) => {
+    const { arquivo } = req.params;
 
-    if (criadoPor) {
-        sql += ' AND criadoPor = ?';
-        params.push(criadoPor);
+    // Só nomes gerados pelo agendador: impede ler outros arquivos do servidor
+    if (!/^relatorio_mensal_\d{4}-\d{2}\.(xlsx|pdf)$/.test(arquivo) || !fs.existsSync(path.join(relatoriosDir, arquivo))) {
+        return res.status(404).json({ success: false, error: 'Relatório não encontrado' });
     }
 
-    if (atribuidoA) {
-        sql += ' AND atribuidoA = ?';
-        params.push(atribuidoA);
+    res.download(path.join(relatoriosDir, arquivo), arquivo);
+});
+
+// GET /api/relatorios/:tipo - Relatório em XLSX (padrão) ou PDF (?formato=pdf), com ?from=&to=&local=&categoria=
+app.get('/api/relatorios/:tipo', exigirGestor('relatorios'), (req, res) => {
+    const { tipo } = req.params;
+    const formato = req.query.formato || 'xlsx';
+
+    if (!RELATORIOS[tipo]) {
+        return res.status(404).json({ success: false, error: `Relatório desconhecido. Use: ${Object.keys(RELATORIOS).join(', ')}` });
     }
 
-    // Filtros de mês e ano
-    if (month || year) {
-        if (month && year) {
-            sql += ' AND strftime("%m", dataCriacao) = ? AND strftime("%Y", dataCriacao) = ?';
-            params.push(month.padStart(2, '0'), year);
-        } else if (month) {
-            sql += ' AND strftime("%m", dataCriacao) = ?';
-            params.push(month.padStart(2, '0'));
-        } else if (year) {
-            sql += ' AND strftime("%Y", dataCriacao) = ?';
-            params.push(year);
-        }
+    if (!FORMATOS_RELATORIO.includes(formato)) {
+        return res.status(400).json({ success: false, error: `Formato inválido. Use: ${FORMATOS_RELATORIO.join(', ')}` });
     }
 
-    sql += ' ORDER BY dataCriacao DESC';
+    const filtros = lerFiltrosRelatorio(req.query);
+    if (filtros.erro) return res.status(400).json({ success: false, error: filtros.erro });
 
-    db.all(sql, params, (err, rows) => {
+    montarRelatorios([tipo], filtros, (err, relatorios) => {
         if (err) {
-            console.error('Erro ao buscar anotações:', err);
+            console.error('Erro ao montar relatório:', err);
             return res.status(500).json({ success: false, error: err.message });
         }
 
-        res.json(rows);
+        gerarArquivoRelatorio(relatorios, formato, (err, buffer) => {
+            if (err) {
+                console.error('Erro ao gerar relatório:', err);
+                return res.status(500).json({ success: false, error: err.message });
+            }
+
+            res.set({
+                'Content-Type': TIPOS_CONTEUDO_RELATORIO[formato],
+                'Content-Disposition': `attachment; filename="relatorio_${tipo}_${dataLocalISO()}.${formato}"`
+            });
+            res.send(buffer);
+        });
     });
 });
 
-// POST /api/anotacoes - Criar nova anotação
-app.post('/api/anotacoes', (req, res) => {
-    const { titulo, conteudo, cor, criadoPor, atribuidoA, audioData } = req.body;
+// ========== BACKUPS ==========
+
+// Backups são cópias completas do banco feitas pela API de backup online do SQLite (consistentes mesmo
+// com o servidor gravando), comprimidas com gzip a menos que BACKUP_COMPRIMIR=false
+const BACKUP_COMPRIMIR = process.env.BACKUP_COMPRIMIR !== 'false';
+
+// Quantos backups de cada tipo são mantidos e por quantos dias (dias: null mantém até sair pela quantidade)
+const RETENCAO_BACKUPS = {
+    auto: { manter: 10, dias: 7 },
+    manual: { manter: 20, dias: null },
+    status_change: { manter: 20, dias: 7 },
+    delete: { manter: 20, dias: 30 },
+    batch_import: { manter: 10, dias: 30 },
+    restore: { manter: 10, dias: 30 },
+    pre_restore: { manter: 5, dias: 30 },
+    shutdown: { manter: 5, dias: 30 }
+};
 
-    if (!titulo || !conteudo || !criadoPor) {
-        return res.status(400).json({
-            success: false,
-            error: 'Título, conteúdo e criadoPor são obrigatórios'
+// backup_<tipo>_<data>.<db | db.gz | json>; os .json são os backups só de demandas das versões anteriores
+const PADRAO_ARQUIVO_BACKUP = /^backup_([a-z_]+)_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.(db\.gz|db|json)$/;
+
+// Dados de um backup a partir do nome do arquivo (null se o nome não é de backup)
+function lerArquivoBackup(arquivo) {
+    const partes = PADRAO_ARQUIVO_BACKUP.exec(arquivo);
+    if (!partes) return null;
+
+    const [, tipo, dia, hora, minuto, segundo, milissegundo, extensao] = partes;
+    return {
+        arquivo,
+        tipo,
+        data: `${dia}T${hora}:${minuto}:${segundo}.${milissegundo}Z`,
+        formato: extensao === 'json' ? 'json' : 'sqlite',
+        comprimido: extensao === 'db.gz'
+    };
+}
+
+// Copiar entre o banco aberto e um arquivo com a API de backup online, todas as páginas de uma vez.
+// paraArquivo = false faz o caminho inverso: o conteúdo do arquivo substitui o do banco aberto.
+function copiarBanco(arquivo, paraArquivo, callback) {
+    const backup = db.backup(arquivo, 'main', 'main', paraArquivo, (err) => {
+        if (err) return callback(err);
+
+        backup.step(-1, (err) => {
+            if (err) return backup.finish(() => callback(err));
+            backup.finish(callback);
         });
-    }
+    });
+}
 
-    const sql = `
-    INSERT INTO anotacoes (titulo, conteudo, cor, criadoPor, atribuidoA, audioData)
-    VALUES (?, ?, ?, ?, ?, ?)
-    `;
+// Remover os backups que passaram da quantidade ou da idade permitidas para o seu tipo
+function aplicarRetencaoBackups() {
+    fs.readdir(backupDir, (err, arquivos) => {
+        if (err) return console.error('Erro ao listar backups para a retenção:', err);
 
-    db.run(sql, [titulo, conteudo, cor || '#3498db', criadoPor, atribuidoA || null, audioData || null], function(err) {
-        if (err) {
-            console.error('Erro ao criar anotação:', err);
-            return res.status(500).json({ success: false, error: err.message });
-        }
+        const porTipo = {};
+        arquivos.map(lerArquivoBackup).filter(Boolean).forEach(backup => {
+            (porTipo[backup.tipo] = porTipo[backup.tipo] || []).push(backup);
+        });
 
-        // Buscar anotação criada para retornar
-        db.get('SELECT * FROM anotacoes WHERE id = ?', [this.lastID], (err, row) => {
-            if (err) {
-                console.error('Erro ao buscar anotação criada:', err);
-                return res.status(500).json({ success: false, error: err.message });
-            }
+        Object.entries(porTipo).forEach(([tipo, backups]) => {
+            // Tipos que não estão na tabela (de versões anteriores) seguem a regra dos automáticos
+            const regra = RETENCAO_BACKUPS[tipo] || RETENCAO_BACKUPS.auto;
+            const limiteIdade = regra.dias ? Date.now() - regra.dias * 24 * 60 * 60 * 1000 : null;
 
-            res.json({
-                success: true,
-                anotacao: row
-            });
+            backups
+                .sort((a, b) => b.data.localeCompare(a.data))
+                .filter((backup, indice) => indice >= regra.manter || (limiteIdade && Date.parse(backup.data) < limiteIdade))
+                .forEach(backup => {
+                    fs.unlink(path.join(backupDir, backup.arquivo), (err) => {
+                        if (err) console.error('Erro ao remover backup antigo:', err);
+                    });
+                });
         });
     });
-});
+}
 
-// PUT /api/anotacoes/:id - Atualizar anotação
-app.put('/api/anotacoes/:id', (req, res) => {
-    const id = req.params.id;
-    const { titulo, conteudo, cor, atribuidoA, audioData } = req.body;
+// Função para criar backups
+const criarBackup = (tipo = 'auto', callback, { comprimir = BACKUP_COMPRIMIR } = {}) => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `backup_${tipo}_${timestamp}.db${comprimir ? '.gz' : ''}`;
+    const backupPath = path.join(backupDir, filename);
+    // A cópia é montada num arquivo temporário: um backup pela metade nunca aparece na listagem
+    const copiaPath = path.join(backupDir, `.copia_${tipo}_${timestamp}.db`);
 
-    // Buscar anotação existente
-    db.get('SELECT * FROM anotacoes WHERE id = ?', [id], (err, anotacaoExistente) => {
+    const concluir = (err) => {
         if (err) {
-            console.error('Erro ao buscar anotação:', err);
-            return res.status(500).json({ success: false, error: err.message });
+            console.error('Erro ao salvar backup:', err);
+            fs.rm(copiaPath, { force: true }, () => {});
+            if (callback) callback(err);
+            return;
         }
 
-        if (!anotacaoExistente) {
-            return res.status(404).json({ success: false, error: 'Anotação não encontrada' });
-        }
+        console.log(`✅ Backup ${tipo} criado: ${filename}`);
+        aplicarRetencaoBackups();
+        if (callback) callback(null, filename);
+    };
 
-        const sql = `
-        UPDATE anotacoes SET
-        titulo = ?,
-        conteudo = ?,
-        cor = ?,
-        atribuidoA = ?,
-        audioData = ?,
-        atualizadoEm = ?
-        WHERE id = ?
-        `;
+    copiarBanco(copiaPath, true, (err) => {
+        if (err) return concluir(err);
+        if (!comprimir) return fs.rename(copiaPath, backupPath, concluir);
 
-        db.run(sql, [
-            titulo || anotacaoExistente.titulo,
-            conteudo || anotacaoExistente.conteudo,
-            cor || anotacaoExistente.cor,
-            atribuidoA !== undefined ? atribuidoA : anotacaoExistente.atribuidoA,
-            audioData !== undefined ? audioData : anotacaoExistente.audioData,
-            new Date().toISOString(),
-            id
-        ], function(err) {
-            if (err) {
-                console.error('Erro ao atualizar anotação:', err);
-                return res.status(500).json({ success: false, error: err.message });
+        pipeline(fs.createReadStream(copiaPath), zlib.createGzip(), fs.createWriteStream(backupPath), (err) => {
+            fs.rm(copiaPath, { force: true }, () => concluir(err));
+        });
+    });
+};
+
+// Conferir um banco de backup antes da restauração: íntegro, com as tabelas principais e com migrações
+// que este código conhece. As pendentes são aplicadas na própria cópia, que assim chega na versão atual.
+function prepararBancoRestauracao(arquivo, callback) {
+    const copia = new sqlite3.Database(arquivo, (err) => {
+        if (err) return callback(new Error('O arquivo não é um banco SQLite válido'));
+
+        const concluir = (err) => copia.close(() => callback(err));
+
+        copia.all('PRAGMA integrity_check', [], (err, linhas) => {
+            if (err) return concluir(new Error('O arquivo não é um banco SQLite válido'));
+            if (linhas.length !== 1 || linhas[0].integrity_check !== 'ok') {
+                return concluir(new Error('O banco do backup está corrompido'));
             }
 
-            // Buscar anotação atualizada para retornar
-            db.get('SELECT * FROM anotacoes WHERE id = ?', [id], (err, anotacaoAtualizada) => {
-                if (err) {
-                    console.error('Erro ao buscar anotação atualizada:', err);
-                    return res.status(500).json({ success: false, error: err.message });
-                }
+            copia.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('demandas', 'usuarios')", [], (err, tabelas) => {
+                if (err) return concluir(err);
+                if (tabelas.length < 2) return concluir(new Error('O backup não tem as tabelas de demandas e usuários'));
 
-                res.json({
-                    success: true,
-                    anotacao: anotacaoAtualizada
+                aplicarMigracoes(copia, (err) => {
+                    if (err) return concluir(new Error(`O backup não pode ser trazido para a versão atual: ${err.message}`));
+                    concluir(null);
                 });
             });
         });
     });
-});
+}
 
-// DELETE /api/anotacoes/:id - Excluir anotação
-app.delete('/api/anotacoes/:id', (req, res) => {
-    const id = req.params.id;
+// Uma restauração por vez: ela substitui o banco inteiro
+let restauracaoEmAndamento = false;
 
-    db.run('DELETE FROM anotacoes WHERE id = ?', [id], function(err) {
-        if (err) {
-            console.error('Erro ao excluir anotação:', err);
-            return res.status(500).json({ success: false, error: err.message });
-        }
+// Caminho de um backup existente a partir do nome recebido na URL (null se não é um backup)
+function caminhoBackup(arquivo) {
+    if (!lerArquivoBackup(arquivo)) return null;
 
-        res.json({ success: true });
-    });
-});
+    const caminho = path.join(backupDir, arquivo);
+    return fs.existsSync(caminho) ? caminho : null;
+}
 
-// POST /api/backup
-app.post('/api/backup', (req, res) => {
-    const { tipo = 'manual' } = req.body;
+// POST /api/backup - Criar um backup completo do banco (corpo opcional: { tipo, comprimir })
+app.post('/api/backup', exigirGestor('backup'), (req, res) => {
+    const { tipo = 'manual', comprimir = BACKUP_COMPRIMIR } = req.body;
+
+    if (!RETENCAO_BACKUPS[tipo]) {
+        return res.status(400).json({ success: false, error: `Tipo de backup inválido. Use: ${Object.keys(RETENCAO_BACKUPS).join(', ')}` });
+    }
 
     criarBackup(tipo, (err, filename) => {
         if (err) {
@@ -1282,157 +6398,155 @@ app.post('/api/backup', (req, res) => {
             return res.status(500).json({ success: false, error: err.message });
         }
 
+        registrarAuditoria('CREATE', 'backups', 0, null, { arquivo: filename }, req.usuario.id, req.ip);
+
         res.json({
             success: true,
             message: `Backup criado com sucesso`,
             filename: filename
         });
-    });
+    }, { comprimir: comprimir !== false });
 });
 
-// GET /api/backup - Download do backup atual
-app.get('/api/backup', (req, res) => {
-    db.all('SELECT * FROM demandas', [], (err, rows) => {
+// GET /api/backups - Backups disponíveis, do mais recente para o mais antigo, com tipo, data e tamanho
+app.get('/api/backups', exigirGestor('backup'), (req, res) => {
+    fs.readdir(backupDir, (err, arquivos) => {
         if (err) return res.status(500).json({ success: false, error: err.message });
 
-        const backup = {
-            data: new Date().toISOString(),
-            demandas: rows.map(demanda => normalizarDadosDemanda(demanda))
-        };
+        const backups = arquivos
+            .map(lerArquivoBackup)
+            .filter(Boolean)
+            .sort((a, b) => b.data.localeCompare(a.data))
+            .map(backup => ({ ...backup, tamanho: fs.statSync(path.join(backupDir, backup.arquivo)).size }));
 
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename="backup_${Date.now()}.json"`);
-        res.send(JSON.stringify(backup, null, 2));
+        res.json({ success: true, backups });
     });
 });
 
-// POST /api/restore
-app.post('/api/restore', (req, res) => {
-    const { demandas } = req.body;
+// GET /api/backups/:arquivo - Download de um backup
+app.get('/api/backups/:arquivo', exigirGestor('backup'), (req, res) => {
+    const caminho = caminhoBackup(req.params.arquivo);
+    if (!caminho) return res.status(404).json({ success: false, error: 'Backup não encontrado' });
 
-    if (!Array.isArray(demandas)) {
-        return res.status(400).json({ success: false, error: 'Formato inválido' });
-    }
+    res.download(caminho, req.params.arquivo);
+});
 
-    let successCount = 0;
-    let errorCount = 0;
+// DELETE /api/backups/:arquivo - Excluir um backup
+app.delete('/api/backups/:arquivo', exigirGestor('backup'), (req, res) => {
+    const caminho = caminhoBackup(req.params.arquivo);
+    if (!caminho) return res.status(404).json({ success: false, error: 'Backup não encontrado' });
 
-    demandas.forEach(demanda => {
-        const dadosNormalizados = normalizarDadosDemanda(demanda);
+    fs.unlink(caminho, (err) => {
+        if (err) {
+            console.error('Erro ao excluir backup:', err);
+            return res.status(500).json({ success: false, error: err.message });
+        }
 
-        const sql = `
-        INSERT OR REPLACE INTO demandas
-        (id, funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade, descricao, local, dataCriacao, dataLimite, status, isRotina, diasSemana, tag, comentarios, comentarioGestor, dataConclusao, atribuidos, anexosCriacao, anexosResolucao, comentarioReprovacaoAtribuicao, nomeDemanda, comentariosUsuarios)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
+        registrarAuditoria('DELETE', 'backups', 0, { arquivo: req.params.arquivo }, null, req.usuario.id, req.ip);
+        res.json({ success: true });
+    });
+});
 
-        const params = [
-            dadosNormalizados.id,
-            dadosNormalizados.funcionarioId,
-            dadosNormalizados.nomeFuncionario,
-            dadosNormalizados.emailFuncionario,
-            dadosNormalizados.categoria,
-            dadosNormalizados.prioridade,
-            dadosNormalizados.complexidade,
-            dadosNormalizados.descricao,
-            dadosNormalizados.local,
-            dadosNormalizados.dataCriacao,
-            dadosNormalizados.dataLimite,
-            dadosNormalizados.status,
-            dadosNormalizados.isRotina ? 1 : 0,
-            JSON.stringify(dadosNormalizados.diasSemana),
-            dadosNormalizados.tag,
-            dadosNormalizados.comentarios || '',
-            dadosNormalizados.comentarioGestor || '',
-            dadosNormalizados.dataConclusao || null,
-            JSON.stringify(dadosNormalizados.atribuidos),
-            JSON.stringify(dadosNormalizados.anexosCriacao),
-            JSON.stringify(dadosNormalizados.anexosResolucao),
-            dadosNormalizados.comentarioReprovacaoAtribuicao || '',
-            dadosNormalizados.nomeDemanda,
-            JSON.stringify(dadosNormalizados.comentariosUsuarios || [])
-        ];
+// POST /api/backups/:arquivo/restaurar - Voltar o banco inteiro ao estado de um backup. O arquivo é
+// descompactado e conferido numa cópia; o banco atual ganha um backup 'pre_restore' e só então é substituído.
+app.post('/api/backups/:arquivo/restaurar', exigirGestor('restaurar'), (req, res) => {
+    const { arquivo } = req.params;
+    const caminho = caminhoBackup(arquivo);
+    if (!caminho) return res.status(404).json({ success: false, error: 'Backup não encontrado' });
 
-        db.run(sql, params, function(err) {
-            if (err) {
-                errorCount++;
-                console.error('Erro ao restaurar demanda:', err);
-            } else {
-                successCount++;
-            }
+    if (lerArquivoBackup(arquivo).formato === 'json') {
+        return res.status(400).json({
+            success: false,
+            error: 'Backups JSON têm só as demandas: envie o arquivo para POST /api/restore para importá-las'
         });
-    });
+    }
 
-    setTimeout(() => {
-        res.json({
-            success: true,
-            message: `Restauração concluída. ${successCount} demandas restauradas, ${errorCount} erros.`
+    if (restauracaoEmAndamento) {
+        return res.status(409).json({ success: false, error: 'Já há uma restauração em andamento' });
+    }
+    restauracaoEmAndamento = true;
+
+    const copiaPath = path.join(backupDir, `.restauracao_${Date.now()}.db`);
+    const finalizar = (status, corpo) => {
+        restauracaoEmAndamento = false;
+        fs.rm(copiaPath, { force: true }, () => res.status(status).json(corpo));
+    };
+
+    const extrair = lerArquivoBackup(arquivo).comprimido
+        ? cb => pipeline(fs.createReadStream(caminho), zlib.createGunzip(), fs.createWriteStream(copiaPath), cb)
+        : cb => fs.copyFile(caminho, copiaPath, cb);
+
+    extrair((err) => {
+        if (err) return finalizar(400, { success: false, error: 'Não foi possível descompactar o backup' });
+
+        prepararBancoRestauracao(copiaPath, (err) => {
+            if (err) return finalizar(400, { success: false, error: err.message });
+
+            criarBackup('pre_restore', (err, backupAnterior) => {
+                if (err) {
+                    return finalizar(500, { success: false, error: `Restauração cancelada: não foi possível salvar o banco atual (${err.message})` });
+                }
+
+                copiarBanco(copiaPath, false, (err) => {
+                    if (err) {
+                        console.error('Erro ao restaurar o banco:', err);
+                        return finalizar(500, { success: false, error: `Falha na restauração; o banco anterior está em ${backupAnterior}` });
+                    }
+
+                    console.log(`♻️ Banco restaurado do backup ${arquivo} (anterior salvo em ${backupAnterior})`);
+                    registrarAuditoria('RESTORE', 'backups', 0, { arquivo: backupAnterior }, { arquivo }, req.usuario.id, req.ip);
+                    atualizarPontuacaoUsuarios();
+                    recarregarDadosSla();
+
+                    finalizar(200, { success: true, arquivo, backupAnterior });
+                });
+            });
         });
-    }, 1000);
+    });
 });
 
-// Função para criar backups
-const criarBackup = (tipo = 'auto', callback) => {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `backup_${tipo}_${timestamp}.json`;
-    const backupPath = path.join(backupDir, filename);
-
-    // Buscar todas as demandas
-    db.all('SELECT * FROM demandas', [], (err, rows) => {
-        if (err) {
-            console.error('Erro ao buscar demandas para backup:', err);
-            if (callback) callback(err);
-            return;
-        }
+// GET /api/backup - Exportar as demandas em JSON (formato aceito por POST /api/restore e pela importação)
+app.get('/api/backup', exigirGestor('backup'), (req, res) => {
+    db.all(`SELECT ${colunasDemanda('d')} FROM demandas d WHERE d.excluidoEm IS NULL`, [], (err, rows) => {
+        if (err) return res.status(500).json({ success: false, error: err.message });
 
-        const backupData = {
-            versao: '1.0.0',
-            data: timestamp,
-            tipo: tipo,
-            totalDemandas: rows.length,
+        const backup = {
+            data: new Date().toISOString(),
             demandas: rows.map(demanda => normalizarDadosDemanda(demanda))
         };
 
-        fs.writeFile(backupPath, JSON.stringify(backupData, null, 2), (err) => {
-            if (err) {
-                console.error('Erro ao salvar backup:', err);
-                if (callback) callback(err);
-                return;
-            }
-
-            console.log(`✅ Backup ${tipo} criado: ${filename}`);
-            if (callback) callback(null, filename);
-        });
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="backup_${Date.now()}.json"`);
+        res.send(JSON.stringify(backup, null, 2));
     });
-};
+});
+
+// POST /api/restore - Restaurar demandas de um backup pelo mesmo pipeline da importação
+// (aceita o arquivo de backup inteiro: { demandas: [...] }); mantém os ids originais que estiverem livres
+app.post('/api/restore', exigirGestor('restaurar'), (req, res) => {
+    responderImportacao(req, res, { preservarIds: true, acaoAuditoria: 'RESTORE', tipoBackup: 'restore' });
+});
+
+// Iniciar as rotinas periódicas depois que o banco estiver pronto
+function iniciarRotinasPeriodicas() {
+    agendarBackups();
+    agendarRotinas();
+    agendarAvisosDePrazo();
+    agendarFilaEmails();
+    agendarPontuacao();
+    agendarRelatorioMensal();
+    agendarLimpezaLixeira();
+}
 
-// Agendar backups automáticos
+// Agendar backups automáticos (a retenção roda a cada backup criado e uma vez por dia)
 function agendarBackups() {
     // Backup automático a cada 6 horas
     setInterval(() => {
         criarBackup('auto');
     }, 6 * 60 * 60 * 1000);
 
-    // Limpar backups antigos (manter apenas 10)
-    setInterval(() => {
-        fs.readdir(backupDir, (err, files) => {
-            if (err) return;
-
-            const backupFiles = files.filter(f => f.startsWith('backup_auto_'));
-            if (backupFiles.length > 10) {
-                // Ordenar por data (mais antigos primeiro)
-                backupFiles.sort();
-
-                // Remover os mais antigos
-                const toRemove = backupFiles.slice(0, backupFiles.length - 10);
-                toRemove.forEach(file => {
-                    fs.unlink(path.join(backupDir, file), (err) => {
-                        if (err) console.error('Erro ao remover backup antigo:', err);
-                    });
-                });
-            }
-        });
-    }, 24 * 60 * 60 * 1000);
+    aplicarRetencaoBackups();
+    setInterval(aplicarRetencaoBackups, 24 * 60 * 60 * 1000);
 }
 
 // Tratamento de erros global
@@ -1456,14 +6570,17 @@ app.use((req, res) => {
     });
 });
 
-// Iniciar servidor
-app.listen(PORT, () => {
-    console.log(`🚀 Servidor iniciado em porta ${PORT}`);
-    console.log(`📁 Diretório de backups: ${backupDir}`);
-    console.log(`⏰ Backups automáticos a cada 6 horas`);
-    console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    console.log(`📦 Nova rota de importação em lote: POST /api/demandas/batch`);
-});
+// Iniciar servidor (HTTP + socket.io) depois de conferir as migrações do banco
+function iniciarServidor() {
+    server.listen(PORT, () => {
+        console.log(`🚀 Servidor iniciado em porta ${PORT}`);
+        console.log(`📁 Diretório de backups: ${backupDir}`);
+        console.log(`⏰ Backups automáticos a cada 6 horas`);
+        console.log(`📊 Health check: http://localhost:${PORT}/health`);
+        console.log(`📦 Nova rota de importação em lote: POST /api/demandas/batch`);
+        console.log(`🔌 Atualizações em tempo real via socket.io`);
+    });
+}
 
 // Tratamento de encerramento gracioso
 process.on('SIGINT', () => {
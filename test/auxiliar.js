@@ -0,0 +1,227 @@
+// test/auxiliar.js - Ambiente dos testes de integração: banco temporário migrado, servidor em um
+// processo próprio (porta livre, backups e relatórios na pasta temporária) e um SMTP falso
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const RAIZ = path.join(__dirname, '..');
+const SENHA_TESTE = 'Teste#2026';
+
+// Usuários criados em todo banco de teste (a senha em texto puro vira hash na inicialização do servidor)
+const USUARIOS_TESTE = [
+    { id: 2, nome: 'Funcionária Teste', email: 'funcionaria@teste.com', role: 'funcionario' },
+    { id: 3, nome: 'Colega Teste', email: 'colega@teste.com', role: 'funcionario' },
+    { id: 10, nome: 'Gestor Teste', email: 'gestor@teste.com', role: 'gestor' }
+];
+
+function portaLivre() {
+    return new Promise((resolve, reject) => {
+        const servidor = net.createServer();
+        servidor.listen(0, '127.0.0.1', () => {
+            const { port } = servidor.address();
+            servidor.close(() => resolve(port));
+        });
+        servidor.on('error', reject);
+    });
+}
+
+const aguardar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Repetir a verificação até ela devolver um valor verdadeiro (ou estourar o tempo)
+async function aguardarAte(verificacao, { tempo = 15000, intervalo = 100, descricao = 'condição' } = {}) {
+    const limite = Date.now() + tempo;
+    while (Date.now() < limite) {
+        const resultado = await verificacao();
+        if (resultado) return resultado;
+        await aguardar(intervalo);
+    }
+    throw new Error(`Tempo esgotado aguardando ${descricao}`);
+}
+
+// Banco temporário com todas as migrações aplicadas e os usuários de teste
+async function criarAmbiente() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'demandas-teste-'));
+    const dbFile = path.join(dir, 'demandas.db');
+
+    execFileSync(process.execPath, ['migracoes.js', 'aplicar'], { cwd: RAIZ, env: { ...process.env, DB_FILE: dbFile }, stdio: 'pipe' });
+
+    const ambiente = {
+        dir,
+        dbFile,
+        executar: (sql, params = []) => consultarBanco(dbFile, 'run', sql, params),
+        consultar: (sql, params = []) => consultarBanco(dbFile, 'all', sql, params),
+        remover: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+
+    for (const usuario of USUARIOS_TESTE) {
+        await ambiente.executar('INSERT INTO usuarios (id, nome, email, senha, role, ativo) VALUES (?, ?, ?, ?, ?, 1)',
+            [usuario.id, usuario.nome, usuario.email, SENHA_TESTE, usuario.role]);
+    }
+
+    return ambiente;
+}
+
+// Abre uma conexão curta por consulta, para não disputar o banco com o servidor
+function consultarBanco(dbFile, metodo, sql, params) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbFile, (err) => {
+            if (err) return reject(err);
+            db.run('PRAGMA busy_timeout = 5000');
+            db[metodo](sql, params, function(err, rows) {
+                const resultado = metodo === 'run' ? { lastID: this.lastID, changes: this.changes } : rows;
+                db.close(() => (err ? reject(err) : resolve(resultado)));
+            });
+        });
+    });
+}
+
+// Sobe o servidor sobre o banco do ambiente e espera as rotinas de inicialização começarem
+async function iniciarServidor(ambiente, env = {}) {
+    const porta = await portaLivre();
+    const processo = spawn(process.execPath, ['server.js'], {
+        cwd: RAIZ,
+        env: {
+            ...process.env,
+            PORT: String(porta),
+            DB_FILE: ambiente.dbFile,
+            BACKUP_DIR: path.join(ambiente.dir, 'backups'),
+            RELATORIOS_DIR: path.join(ambiente.dir, 'relatorios'),
+            ANEXOS_DIR: path.join(ambiente.dir, 'anexos'),
+            JWT_SECRET: 'segredo-dos-testes',
+            SMTP_HOST: '',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let saida = '';
+    processo.stdout.on('data', (parte) => { saida += parte; });
+    processo.stderr.on('data', (parte) => { saida += parte; });
+
+    const encerrado = new Promise(resolve => processo.once('exit', resolve));
+
+    try {
+        await aguardarAte(() => {
+            if (processo.exitCode !== null) throw new Error(`O servidor encerrou na inicialização:\n${saida}`);
+            return /senha\(s\) migrada\(s\)|Senhas já armazenadas/.test(saida);
+        }, { descricao: 'a inicialização do servidor' });
+    } catch (err) {
+        processo.kill('SIGTERM');
+        throw err;
+    }
+
+    const url = `http://127.0.0.1:${porta}`;
+
+    return {
+        url,
+        saida: () => saida,
+        parar: async () => {
+            if (processo.exitCode === null) processo.kill('SIGTERM');
+            await encerrado;
+        },
+        login: async (id, senha = SENHA_TESTE) => {
+            const resposta = await fetch(`${url}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id, senha })
+            });
+            const corpo = await resposta.json();
+            if (!corpo.success) throw new Error(`Login do usuário ${id} falhou: ${corpo.error}`);
+            return corpo.token;
+        },
+        api: async (token, metodo, rota, corpo) => {
+            const resposta = await fetch(`${url}/api${rota}`, {
+                method: metodo,
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: corpo === undefined ? undefined : JSON.stringify(corpo)
+            });
+            return { status: resposta.status, headers: resposta.headers, corpo: await resposta.json().catch(() => null) };
+        }
+    };
+}
+
+// SMTP mínimo que aceita as mensagens (guardadas em `mensagens`) e recusa os destinatários
+// para os quais `recusar(email)` devolver verdadeiro
+async function iniciarSmtpFalso({ recusar = () => false } = {}) {
+    const mensagens = [];
+    const conexoes = new Set();
+
+    const servidor = net.createServer((socket) => {
+        conexoes.add(socket);
+        socket.on('close', () => conexoes.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = '';
+        let lendoDados = false;
+        let mensagem = null;
+
+        const responder = (linha) => socket.write(`${linha}\r\n`);
+        responder('220 smtp-falso ESMTP');
+
+        socket.on('data', (parte) => {
+            buffer += parte.toString('utf8');
+
+            while (buffer.length > 0) {
+                if (lendoDados) {
+                    const fim = buffer.indexOf('\r\n.\r\n');
+                    if (fim === -1) return;
+                    mensagem.dados = buffer.slice(0, fim);
+                    mensagens.push(mensagem);
+                    buffer = buffer.slice(fim + 5);
+                    lendoDados = false;
+                    responder('250 2.0.0 Mensagem aceita');
+                    continue;
+                }
+
+                const fimLinha = buffer.indexOf('\r\n');
+                if (fimLinha === -1) return;
+                const linha = buffer.slice(0, fimLinha);
+                buffer = buffer.slice(fimLinha + 2);
+                const comando = linha.slice(0, 4).toUpperCase();
+
+                if (comando === 'EHLO' || comando === 'HELO') {
+                    mensagem = { de: null, para: [], dados: '' };
+                    responder('250 smtp-falso');
+                } else if (comando === 'MAIL') {
+                    mensagem = { de: linha.replace(/^MAIL FROM:\s*/i, ''), para: [], dados: '' };
+                    responder('250 2.1.0 Ok');
+                } else if (comando === 'RCPT') {
+                    const email = linha.replace(/^RCPT TO:\s*<?([^>\s]*)>?.*$/i, '$1');
+                    if (recusar(email)) {
+                        responder('550 5.1.1 Caixa postal inexistente');
+                    } else {
+                        mensagem.para.push(email);
+                        responder('250 2.1.5 Ok');
+                    }
+                } else if (comando === 'DATA') {
+                    lendoDados = true;
+                    responder('354 Envie a mensagem terminando com <CRLF>.<CRLF>');
+                } else if (comando === 'RSET') {
+                    mensagem = { de: null, para: [], dados: '' };
+                    responder('250 2.0.0 Ok');
+                } else if (comando === 'QUIT') {
+                    responder('221 2.0.0 Até logo');
+                    socket.end();
+                } else {
+                    responder('250 Ok');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+
+    return {
+        porta: servidor.address().port,
+        mensagens,
+        parar: () => new Promise(resolve => {
+            conexoes.forEach(socket => socket.destroy());
+            servidor.close(() => resolve());
+        })
+    };
+}
+
+module.exports = { SENHA_TESTE, USUARIOS_TESTE, aguardar, aguardarAte, criarAmbiente, iniciarServidor, iniciarSmtpFalso };
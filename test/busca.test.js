@@ -0,0 +1,46 @@
+// Busca por relevância: os destaques voltam como trechos de texto puro, nunca como HTML
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { criarAmbiente, iniciarServidor } = require('./auxiliar');
+
+describe('GET /api/demandas/search', () => {
+    let ambiente;
+    let servidor;
+    let funcionaria;
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        servidor = await iniciarServidor(ambiente);
+        funcionaria = await servidor.login(2);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    it('devolve o nome e o trecho destacados como listas de trechos { texto, destaque }', async () => {
+        const { corpo: criada } = await servidor.api(funcionaria, 'POST', '/demandas', {
+            nomeDemanda: 'Impressora <img src=x onerror=alert(1)> parada',
+            funcionarioId: 2,
+            nomeFuncionario: 'Funcionária Teste',
+            emailFuncionario: 'funcionaria@teste.com',
+            categoria: 'TI',
+            prioridade: 'Média',
+            complexidade: 'Fácil',
+            descricao: 'A impressora do <b>segundo</b> andar não liga',
+            local: 'Lundin',
+            dataLimite: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+        });
+
+        const { status, corpo } = await servidor.api(funcionaria, 'GET', '/demandas/search?q=impressora');
+        assert.strictEqual(status, 200);
+
+        const resultado = corpo.data.find(d => d.id === criada.demanda.id);
+        assert.ok(resultado);
+        assert.strictEqual(resultado.nomeDestacado.map(t => t.texto).join(''), 'Impressora <img src=x onerror=alert(1)> parada');
+        assert.deepStrictEqual(resultado.nomeDestacado.filter(t => t.destaque).map(t => t.texto), ['Impressora']);
+        assert.ok(resultado.trecho.some(t => t.destaque && /impressora/i.test(t.texto)));
+        assert.ok(!JSON.stringify(resultado.nomeDestacado).includes('<mark>'));
+    });
+});
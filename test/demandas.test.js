@@ -0,0 +1,321 @@
+// Criação e edição de demandas: o fluxo de aprovação não pode ser contornado pelo corpo da requisição, e a
+// demanda e os atribuídos são gravados juntos ou nada é gravado
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { criarAmbiente, iniciarServidor } = require('./auxiliar');
+
+const novaDemanda = (campos = {}) => ({
+    nomeDemanda: 'Teste de criação',
+    funcionarioId: 2,
+    nomeFuncionario: 'Funcionária Teste',
+    emailFuncionario: 'funcionaria@teste.com',
+    categoria: 'TI',
+    prioridade: 'Média',
+    complexidade: 'Fácil',
+    descricao: 'Demanda criada pelos testes',
+    local: 'Lundin',
+    dataLimite: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    ...campos
+});
+
+// Faz a gravação dos atribuídos falhar enquanto 'acao' roda
+async function comFalhaNosAtribuidos(ambiente, acao) {
+    await ambiente.executar(`
+    CREATE TRIGGER teste_falha_atribuidos BEFORE INSERT ON demanda_atribuidos
+    BEGIN SELECT RAISE(ABORT, 'falha simulada'); END
+    `);
+    try {
+        return await acao();
+    } finally {
+        await ambiente.executar('DROP TRIGGER teste_falha_atribuidos');
+    }
+}
+
+describe('POST /api/demandas', () => {
+    let ambiente;
+    let servidor;
+    let funcionaria;
+    let gestor;
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        servidor = await iniciarServidor(ambiente);
+        funcionaria = await servidor.login(2);
+        gestor = await servidor.login(10);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    it('não deixa um funcionário criar uma demanda já aprovada', async () => {
+        const { status, corpo } = await servidor.api(funcionaria, 'POST', '/demandas', novaDemanda({
+            status: 'aprovada',
+            dataConclusao: new Date().toISOString(),
+            comentarioGestor: 'Aprovada por mim mesma',
+            versao: 99
+        }));
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(corpo.demanda.status, 'pendente');
+        assert.strictEqual(corpo.demanda.dataConclusao, null);
+        assert.strictEqual(corpo.demanda.comentarioGestor, '');
+
+        const [gravada] = await ambiente.consultar('SELECT status, dataConclusao, comentarioGestor FROM demandas WHERE id = ?', [corpo.demanda.id]);
+        assert.deepStrictEqual(gravada, { status: 'pendente', dataConclusao: null, comentarioGestor: '' });
+    });
+
+    it('começa aguardando aceite quando a demanda é atribuída a outra pessoa', async () => {
+        const { corpo } = await servidor.api(funcionaria, 'POST', '/demandas', novaDemanda({
+            status: 'pendente',
+            atribuidos: [{ id: 3 }]
+        }));
+
+        assert.strictEqual(corpo.demanda.status, 'atribuida_pendente_aceitacao');
+    });
+
+    it('começa pendente quando o único atribuído é o próprio dono', async () => {
+        const { corpo } = await servidor.api(funcionaria, 'POST', '/demandas', novaDemanda({ atribuidos: [{ id: 2 }] }));
+
+        assert.strictEqual(corpo.demanda.status, 'pendente');
+    });
+
+    it('começa na versão 1, mesmo com atribuídos', async () => {
+        const { corpo } = await servidor.api(funcionaria, 'POST', '/demandas', novaDemanda({ atribuidos: [{ id: 3 }] }));
+        assert.strictEqual(corpo.demanda.versao, 1);
+
+        const { headers } = await servidor.api(funcionaria, 'GET', `/demandas/${corpo.demanda.id}`);
+        assert.strictEqual(headers.get('ETag'), '"1"');
+    });
+
+    it('não grava a demanda quando a gravação dos atribuídos falha', async () => {
+        const { status } = await comFalhaNosAtribuidos(ambiente, () =>
+            servidor.api(funcionaria, 'POST', '/demandas', novaDemanda({ tag: 'SEM-ATRIBUIDOS', atribuidos: [{ id: 3 }] })));
+        assert.strictEqual(status, 500);
+
+        assert.deepStrictEqual(await ambiente.consultar("SELECT id FROM demandas WHERE tag = 'SEM-ATRIBUIDOS'"), []);
+    });
+
+    it('também ignora o status enviado por um gestor, mas mantém o comentário dele', async () => {
+        const { corpo } = await servidor.api(gestor, 'POST', '/demandas', novaDemanda({
+            status: 'aprovada',
+            comentarioGestor: 'Prioridade da semana'
+        }));
+
+        assert.strictEqual(corpo.demanda.status, 'pendente');
+        assert.strictEqual(corpo.demanda.comentarioGestor, 'Prioridade da semana');
+    });
+});
+
+describe('PUT /api/demandas/:id', () => {
+    let ambiente;
+    let servidor;
+    let funcionaria;
+    let gestor;
+    let demanda;
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        servidor = await iniciarServidor(ambiente);
+        funcionaria = await servidor.login(2);
+        gestor = await servidor.login(10);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    beforeEach(async () => {
+        ({ corpo: { demanda } } = await servidor.api(funcionaria, 'POST', '/demandas', novaDemanda()));
+    });
+
+    it('não deixa o dono reatribuir a demanda pela edição', async () => {
+        const { status } = await servidor.api(funcionaria, 'PUT', `/demandas/${demanda.id}`, { atribuidos: [{ id: 3 }] });
+        assert.strictEqual(status, 403);
+
+        const atribuidos = await ambiente.consultar('SELECT usuarioId FROM demanda_atribuidos WHERE demandaId = ?', [demanda.id]);
+        assert.deepStrictEqual(atribuidos, []);
+    });
+
+    for (const [campo, valor] of [['comentarioGestor', 'Aprovado'], ['tag', 'DEM-OUTRA'], ['slaPoliticaId', 1]]) {
+        it(`não deixa o dono alterar ${campo}`, async () => {
+            const { status } = await servidor.api(funcionaria, 'PUT', `/demandas/${demanda.id}`, { [campo]: valor });
+            assert.strictEqual(status, 403);
+        });
+    }
+
+    it('aceita a edição do dono que reenvia esses campos sem alterá-los', async () => {
+        const { status, corpo } = await servidor.api(funcionaria, 'PUT', `/demandas/${demanda.id}`, {
+            descricao: 'Descrição revisada',
+            atribuidos: demanda.atribuidos,
+            comentarioGestor: demanda.comentarioGestor,
+            tag: demanda.tag
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(corpo.demanda.descricao, 'Descrição revisada');
+    });
+
+    it('desfaz a edição quando a gravação dos atribuídos falha', async () => {
+        const { status } = await comFalhaNosAtribuidos(ambiente, () =>
+            servidor.api(gestor, 'PUT', `/demandas/${demanda.id}`, { descricao: 'Não gravada', atribuidos: [{ id: 3 }] }));
+        assert.strictEqual(status, 500);
+
+        const [gravada] = await ambiente.consultar('SELECT descricao, versao FROM demandas WHERE id = ?', [demanda.id]);
+        assert.deepStrictEqual(gravada, { descricao: demanda.descricao, versao: demanda.versao });
+        assert.deepStrictEqual(await ambiente.consultar('SELECT * FROM demanda_atribuidos WHERE demandaId = ?', [demanda.id]), []);
+    });
+
+    it('deixa o gestor alterar os atribuídos e o comentário', async () => {
+        const { status, corpo } = await servidor.api(gestor, 'PUT', `/demandas/${demanda.id}`, {
+            atribuidos: [{ id: 3 }],
+            comentarioGestor: 'Prioridade da semana'
+        });
+
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(corpo.demanda.atribuidos.map(a => a.id), [3]);
+        assert.strictEqual(corpo.demanda.comentarioGestor, 'Prioridade da semana');
+    });
+});
+
+describe('PUT /api/demandas/:id com prazo pela política de SLA', () => {
+    let ambiente;
+    let servidor;
+    let funcionaria;
+    let gestor;
+    let id;
+
+    // Criada numa segunda às 8h, na abertura do expediente (8h às 17h); políticas iniciais: 1 Importante (2 dias),
+    // 3 Média (5 dias), 4 Relevante (10 dias)
+    const segunda = new Date(2026, 9, 19, 8, 0);
+    const fimDoExpediente = (dia) => new Date(2026, 9, dia, 17, 0).toISOString();
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        servidor = await iniciarServidor(ambiente);
+        funcionaria = await servidor.login(2);
+        gestor = await servidor.login(10);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    beforeEach(async () => {
+        ({ lastID: id } = await ambiente.executar(`
+        INSERT INTO demandas (funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade,
+        descricao, local, dataCriacao, dataLimite, status, nomeDemanda, tag, slaPoliticaId)
+        VALUES (2, 'Funcionária Teste', 'funcionaria@teste.com', 'TI', 'Média', 'Fácil', 'Prazo pela política', 'Lundin', ?, ?, 'pendente', 'Prazo pela política', ?, 3)
+        `, [segunda.toISOString(), fimDoExpediente(23), `SLA-${Date.now()}`]));
+    });
+
+    const gravada = async () => (await ambiente.consultar('SELECT slaPoliticaId, dataLimite FROM demandas WHERE id = ?', [id]))[0];
+
+    it('grava a política escolhida pelo gestor e recalcula o prazo desde a criação', async () => {
+        const { status } = await servidor.api(gestor, 'PUT', `/demandas/${id}`, { slaPoliticaId: 4 });
+        assert.strictEqual(status, 200);
+
+        assert.deepStrictEqual(await gravada(), { slaPoliticaId: 4, dataLimite: fimDoExpediente(30) });
+    });
+
+    it('escolhe de novo a política quando a prioridade muda', async () => {
+        const { status } = await servidor.api(funcionaria, 'PUT', `/demandas/${id}`, { prioridade: 'Importante' });
+        assert.strictEqual(status, 200);
+
+        assert.deepStrictEqual(await gravada(), { slaPoliticaId: 1, dataLimite: fimDoExpediente(20) });
+    });
+
+    it('mantém o tempo que o prazo já tinha ganho ao trocar de política', async () => {
+        // Um dia útil a mais do que os 5 da política Média
+        await ambiente.executar('UPDATE demandas SET dataLimite = ? WHERE id = ?', [fimDoExpediente(26), id]);
+
+        await servidor.api(funcionaria, 'PUT', `/demandas/${id}`, { prioridade: 'Importante' });
+
+        assert.deepStrictEqual(await gravada(), { slaPoliticaId: 1, dataLimite: fimDoExpediente(21) });
+    });
+
+    it('deixa de seguir a política quando o gestor informa a data limite', async () => {
+        const dataLimite = fimDoExpediente(28);
+        await servidor.api(gestor, 'PUT', `/demandas/${id}`, { dataLimite });
+        await servidor.api(gestor, 'PUT', `/demandas/${id}`, { prioridade: 'Importante' });
+
+        assert.deepStrictEqual(await gravada(), { slaPoliticaId: null, dataLimite });
+    });
+
+    it('recusa uma política que não existe', async () => {
+        const { status } = await servidor.api(gestor, 'PUT', `/demandas/${id}`, { slaPoliticaId: 99 });
+        assert.strictEqual(status, 400);
+
+        assert.deepStrictEqual(await gravada(), { slaPoliticaId: 3, dataLimite: fimDoExpediente(23) });
+    });
+});
+
+describe('POST /api/demandas/:id/extend-deadline', () => {
+    let ambiente;
+    let servidor;
+    let funcionaria;
+    let gestor;
+    let demanda;
+
+    const emDias = (dias) => new Date(Date.now() + dias * 24 * 60 * 60 * 1000).toISOString();
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        servidor = await iniciarServidor(ambiente);
+        funcionaria = await servidor.login(2);
+        gestor = await servidor.login(10);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    beforeEach(async () => {
+        ({ corpo: { demanda } } = await servidor.api(funcionaria, 'POST', '/demandas', novaDemanda()));
+    });
+
+    it('estende o prazo na versão informada e devolve a nova versão', async () => {
+        const novaDataLimite = emDias(14);
+        const { status, headers, corpo } = await servidor.api(gestor, 'POST', `/demandas/${demanda.id}/extend-deadline`, {
+            novaDataLimite,
+            motivo: 'Aguardando peças',
+            versao: demanda.versao
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(corpo.demanda.dataLimite, novaDataLimite);
+        assert.strictEqual(corpo.demanda.versao, demanda.versao + 1);
+        assert.strictEqual(headers.get('ETag'), `"${demanda.versao + 1}"`);
+    });
+
+    it('responde 409 quando a demanda mudou desde a versão informada', async () => {
+        await servidor.api(funcionaria, 'PUT', `/demandas/${demanda.id}`, { descricao: 'Editada antes do gestor' });
+
+        const { status, corpo } = await servidor.api(gestor, 'POST', `/demandas/${demanda.id}/extend-deadline`, {
+            novaDataLimite: emDias(14),
+            motivo: 'Aguardando peças',
+            versao: demanda.versao
+        });
+
+        assert.strictEqual(status, 409);
+        assert.strictEqual(corpo.versaoAtual, demanda.versao + 1);
+
+        const [gravada] = await ambiente.consultar('SELECT dataLimite FROM demandas WHERE id = ?', [demanda.id]);
+        assert.strictEqual(gravada.dataLimite, demanda.dataLimite);
+    });
+
+    for (const [descricao, novaDataLimite] of [['inválida', 'amanhã'], ['no passado', emDias(-1)]]) {
+        it(`recusa uma nova data limite ${descricao}`, async () => {
+            const { status } = await servidor.api(gestor, 'POST', `/demandas/${demanda.id}/extend-deadline`, {
+                novaDataLimite,
+                motivo: 'Aguardando peças'
+            });
+
+            assert.strictEqual(status, 400);
+        });
+    }
+});
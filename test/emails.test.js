@@ -0,0 +1,121 @@
+// Caixa de saída de emails: envio pelo SMTP, nova tentativa com espera, falha definitiva e reenvio
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { aguardarAte, criarAmbiente, iniciarServidor, iniciarSmtpFalso } = require('./auxiliar');
+
+const UM_MINUTO = 60 * 1000;
+
+describe('caixa de saída de emails', () => {
+    let ambiente;
+    let smtp;
+    let recusarDestinatarios = true;
+    let idAceito;
+    let idRecusado;
+
+    const envSmtp = () => ({
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(smtp.porta),
+        SMTP_IGNORE_TLS: 'true',
+        EMAIL_MAX_TENTATIVAS: '2'
+    });
+
+    const buscarEmail = async (id) => (await ambiente.consultar('SELECT * FROM emails_saida WHERE id = ?', [id]))[0];
+
+    const enfileirar = async (para) => {
+        const { lastID } = await ambiente.executar(`
+        INSERT INTO emails_saida (tipo, para, assunto, corpo, proximaTentativa, dataCriacao)
+        VALUES ('cobranca', ?, ?, 'Corpo do email de teste', ?, ?)
+        `, [para, `Teste para ${para}`, new Date(Date.now() - 1000).toISOString(), new Date().toISOString()]);
+        return lastID;
+    };
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        smtp = await iniciarSmtpFalso({ recusar: (email) => recusarDestinatarios && email.startsWith('recusado') });
+
+        idAceito = await enfileirar('aceito@teste.com');
+        idRecusado = await enfileirar('recusado@teste.com');
+    });
+
+    after(async () => {
+        await smtp.parar();
+        ambiente.remover();
+    });
+
+    it('envia os pendentes e reagenda com espera os recusados pelo SMTP', async () => {
+        const servidor = await iniciarServidor(ambiente, envSmtp());
+        try {
+            const aceito = await aguardarAte(async () => {
+                const email = await buscarEmail(idAceito);
+                return email.status === 'enviado' && email;
+            }, { descricao: 'o envio do email aceito' });
+
+            assert.strictEqual(aceito.tentativas, 1);
+            assert.strictEqual(aceito.ultimoErro, null);
+            assert.ok(aceito.dataEnvio);
+            assert.strictEqual(smtp.mensagens.length, 1);
+            assert.deepStrictEqual(smtp.mensagens[0].para, ['aceito@teste.com']);
+            assert.match(smtp.mensagens[0].dados, /Subject: Teste para aceito@teste\.com/);
+
+            const recusado = await aguardarAte(async () => {
+                const email = await buscarEmail(idRecusado);
+                return email.tentativas === 1 && email;
+            }, { descricao: 'a primeira tentativa do email recusado' });
+
+            assert.strictEqual(recusado.status, 'pendente');
+            assert.match(recusado.ultimoErro, /550/);
+            // Primeira espera: 1 minuto
+            const espera = new Date(recusado.proximaTentativa).getTime() - Date.now();
+            assert.ok(espera > 0 && espera <= UM_MINUTO, `próxima tentativa em ${espera} ms`);
+        } finally {
+            await servidor.parar();
+        }
+    });
+
+    it('marca como falhou ao esgotar as tentativas, sem reenviar os já enviados', async () => {
+        // A espera do email recusado terminou
+        await ambiente.executar('UPDATE emails_saida SET proximaTentativa = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), idRecusado]);
+
+        const servidor = await iniciarServidor(ambiente, envSmtp());
+        try {
+            const recusado = await aguardarAte(async () => {
+                const email = await buscarEmail(idRecusado);
+                return email.status === 'falhou' && email;
+            }, { descricao: 'a falha definitiva do email recusado' });
+
+            assert.strictEqual(recusado.tentativas, 2);
+            assert.match(recusado.ultimoErro, /550/);
+            assert.strictEqual(smtp.mensagens.length, 1);
+            assert.strictEqual((await buscarEmail(idAceito)).tentativas, 1);
+        } finally {
+            await servidor.parar();
+        }
+    });
+
+    it('reenvia pela API um email que falhou', async () => {
+        recusarDestinatarios = false;
+
+        const servidor = await iniciarServidor(ambiente, envSmtp());
+        try {
+            const gestor = await servidor.login(10);
+            const { status } = await servidor.api(gestor, 'POST', `/emails/${idRecusado}/reenviar`);
+            assert.strictEqual(status, 200);
+
+            const reenviado = await aguardarAte(async () => {
+                const email = await buscarEmail(idRecusado);
+                return email.status === 'enviado' && email;
+            }, { descricao: 'o reenvio do email' });
+
+            assert.strictEqual(reenviado.tentativas, 1);
+            assert.strictEqual(reenviado.ultimoErro, null);
+            assert.strictEqual(smtp.mensagens.length, 2);
+            assert.deepStrictEqual(smtp.mensagens[1].para, ['recusado@teste.com']);
+
+            // Reenviar um email que não falhou não é permitido
+            const repetido = await servidor.api(gestor, 'POST', `/emails/${idAceito}/reenviar`);
+            assert.strictEqual(repetido.status, 404);
+        } finally {
+            await servidor.parar();
+        }
+    });
+});
@@ -0,0 +1,101 @@
+// Importação em lote: grava tudo ou nada sem atrapalhar as outras escritas feitas ao mesmo tempo
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { criarAmbiente, iniciarServidor } = require('./auxiliar');
+
+const registros = (prefixo, quantidade) => Array.from({ length: quantidade }, (_, i) => ({
+    tag: `${prefixo}-${i + 1}`,
+    nomeDemanda: `Teste de importação ${i + 1}`,
+    funcionarioId: 2,
+    nomeFuncionario: 'Funcionária Teste',
+    categoria: 'TI',
+    prioridade: 'Média',
+    complexidade: 'Fácil',
+    local: 'Lundin',
+    dataLimite: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    atribuidos: [{ id: 3 }]
+}));
+
+describe('POST /api/demandas/batch', () => {
+    let ambiente;
+    let servidor;
+    let funcionaria;
+    let gestor;
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        servidor = await iniciarServidor(ambiente);
+        funcionaria = await servidor.login(2);
+        gestor = await servidor.login(10);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    it('grava a importação e uma migração de anotações feita durante a gravação', async () => {
+        const anotacoes = Array.from({ length: 20 }, (_, i) => ({ idLocal: i + 1, titulo: `Teste ${i + 1}`, conteudo: 'Nota migrada' }));
+
+        // Com a resposta transmitida, o primeiro progresso de gravação chega com a transação da importação aberta
+        const resposta = await fetch(`${servidor.url}/api/demandas/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson', Authorization: `Bearer ${gestor}` },
+            body: JSON.stringify({ demandas: registros('IMP', 400) })
+        });
+
+        let migracao = null;
+        let texto = '';
+        const decodificador = new TextDecoder();
+        for await (const parte of resposta.body) {
+            texto += decodificador.decode(parte, { stream: true });
+            if (!migracao && texto.includes('"etapa":"gravacao"')) {
+                migracao = servidor.api(funcionaria, 'POST', '/anotacoes/migrar', { anotacoes });
+            }
+        }
+
+        const resultado = JSON.parse(texto.trim().split('\n').pop());
+        assert.ok(migracao, 'a importação não informou o progresso da gravação');
+        assert.strictEqual(resultado.success, true, resultado.error);
+        assert.strictEqual(resultado.novas, 400);
+
+        const { status, corpo } = await migracao;
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(corpo, { success: true, importadas: 20 });
+
+        const [{ total }] = await ambiente.consultar("SELECT COUNT(*) AS total FROM demandas WHERE tag LIKE 'IMP-%'");
+        assert.strictEqual(total, 400);
+        const [{ atribuicoes }] = await ambiente.consultar('SELECT COUNT(*) AS atribuicoes FROM demanda_atribuidos WHERE usuarioId = 3');
+        assert.strictEqual(atribuicoes, 400);
+        const [{ notas }] = await ambiente.consultar('SELECT COUNT(*) AS notas FROM anotacoes WHERE criadoPor = 2');
+        assert.strictEqual(notas, 20);
+    });
+
+    it('gera uma nova versão quando a importação só troca os atribuídos', async () => {
+        const [registro] = registros('LISTA', 1);
+        const { corpo: criada } = await servidor.api(gestor, 'POST', '/demandas/batch', { demandas: [registro] });
+        const id = criada.diff[0].id;
+        assert.deepStrictEqual(await ambiente.consultar('SELECT versao FROM demandas WHERE id = ?', [id]), [{ versao: 1 }]);
+
+        const { status } = await servidor.api(gestor, 'POST', '/demandas/batch', { demandas: [{ tag: registro.tag, atribuidos: [{ id: 2 }] }] });
+        assert.strictEqual(status, 200);
+
+        assert.deepStrictEqual(await ambiente.consultar('SELECT versao FROM demandas WHERE id = ?', [id]), [{ versao: 2 }]);
+        assert.deepStrictEqual(await ambiente.consultar('SELECT usuarioId FROM demanda_atribuidos WHERE demandaId = ?', [id]), [{ usuarioId: 2 }]);
+    });
+
+    it('desfaz a importação inteira quando uma gravação falha', async () => {
+        await ambiente.executar(`
+        CREATE TRIGGER teste_falha_importacao BEFORE INSERT ON demandas WHEN NEW.tag = 'FALHA-3'
+        BEGIN SELECT RAISE(ABORT, 'falha simulada'); END
+        `);
+        try {
+            const { status } = await servidor.api(gestor, 'POST', '/demandas/batch', { demandas: registros('FALHA', 5) });
+            assert.strictEqual(status, 500);
+        } finally {
+            await ambiente.executar('DROP TRIGGER teste_falha_importacao');
+        }
+
+        assert.deepStrictEqual(await ambiente.consultar("SELECT id FROM demandas WHERE tag LIKE 'FALHA-%'"), []);
+    });
+});
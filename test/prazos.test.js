@@ -0,0 +1,61 @@
+// Aviso de prazo próximo do vencimento: um único aviso por prazo, só para demandas em aberto
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { aguardarAte, criarAmbiente, iniciarServidor } = require('./auxiliar');
+
+const UMA_HORA = 60 * 60 * 1000;
+const TITULO_AVISO = 'Prazo Próximo do Vencimento';
+
+describe('aviso de prazo próximo', () => {
+    let ambiente;
+
+    const criarDemanda = async (nomeDemanda, dataLimite, status = 'pendente') => {
+        const { lastID } = await ambiente.executar(`
+        INSERT INTO demandas (funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade,
+        descricao, local, dataCriacao, dataLimite, status, nomeDemanda, tag)
+        VALUES (2, 'Funcionária Teste', 'funcionaria@teste.com', 'TI', 'Média', 'Fácil', 'Teste de prazo', 'Lundin', ?, ?, ?, ?, ?)
+        `, [new Date().toISOString(), new Date(dataLimite).toISOString(), status, nomeDemanda, `DEM-${nomeDemanda}`]);
+        return lastID;
+    };
+
+    const avisosDa = async (demandaId) => ambiente.consultar(
+        'SELECT usuarioId FROM notificacoes WHERE titulo = ? AND demandaId = ?', [TITULO_AVISO, demandaId]);
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+    });
+
+    after(() => ambiente.remover());
+
+    it('avisa uma única vez o responsável por uma demanda que vence nas próximas horas', async () => {
+        const proxima = await criarDemanda('proxima', Date.now() + 2 * UMA_HORA);
+        const distante = await criarDemanda('distante', Date.now() + 5 * 24 * UMA_HORA);
+        const vencida = await criarDemanda('vencida', Date.now() - 2 * UMA_HORA);
+        const aprovada = await criarDemanda('aprovada', Date.now() + 2 * UMA_HORA, 'aprovada');
+
+        let servidor = await iniciarServidor(ambiente);
+        try {
+            await aguardarAte(async () => (await avisosDa(proxima)).length > 0, { descricao: 'o aviso de prazo' });
+        } finally {
+            await servidor.parar();
+        }
+
+        assert.deepStrictEqual(await avisosDa(proxima), [{ usuarioId: 2 }]);
+        assert.deepStrictEqual(await avisosDa(distante), []);
+        assert.deepStrictEqual(await avisosDa(vencida), []);
+        assert.deepStrictEqual(await avisosDa(aprovada), []);
+
+        // Uma nova verificação (aqui, a da próxima inicialização) não repete o aviso; o aviso da
+        // demanda criada entre as duas mostra que a verificação rodou
+        const outra = await criarDemanda('outra', Date.now() + 3 * UMA_HORA);
+        servidor = await iniciarServidor(ambiente);
+        try {
+            await aguardarAte(async () => (await avisosDa(outra)).length > 0, { descricao: 'a segunda verificação de prazos' });
+        } finally {
+            await servidor.parar();
+        }
+
+        assert.deepStrictEqual(await avisosDa(proxima), [{ usuarioId: 2 }]);
+        assert.deepStrictEqual(await avisosDa(outra), [{ usuarioId: 2 }]);
+    });
+});
@@ -0,0 +1,66 @@
+// Ranking e relatórios: o atraso vem do SLA (prazos com hora, pausa aguardando aprovação), não da data do prazo
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { criarAmbiente, iniciarServidor } = require('./auxiliar');
+
+const UMA_HORA = 60 * 60 * 1000;
+const UM_DIA = 24 * UMA_HORA;
+const emISO = (deslocamento) => new Date(Date.now() + deslocamento).toISOString();
+
+describe('GET /api/ranking', () => {
+    let ambiente;
+    let servidor;
+    let gestor;
+
+    const criarDemanda = (campos) => ambiente.executar(`
+    INSERT INTO demandas (funcionarioId, nomeFuncionario, emailFuncionario, categoria, prioridade, complexidade,
+    descricao, local, dataCriacao, dataLimite, status, nomeDemanda, tag, slaPausadoEm, dataConclusao)
+    VALUES (2, 'Funcionária Teste', 'funcionaria@teste.com', 'TI', 'Média', 'Fácil', 'Teste de ranking', 'Lundin', ?, ?, ?, ?, ?, ?, ?)
+    `, [emISO(-10 * UM_DIA), campos.dataLimite, campos.status, campos.tag, campos.tag, campos.slaPausadoEm || null, campos.dataConclusao || null]);
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+
+        // Vencida há uma hora, no mesmo dia do prazo
+        await criarDemanda({ tag: 'VENCIDA-HOJE', status: 'pendente', dataLimite: emISO(-UMA_HORA) });
+        // Resolvida antes do prazo e aguardando aprovação: o relógio parou antes de vencer
+        await criarDemanda({ tag: 'EM-ANALISE', status: 'finalizado_pendente_aprovacao', dataLimite: emISO(-2 * UM_DIA), slaPausadoEm: emISO(-3 * UM_DIA) });
+        // Entregue antes do prazo, aprovada depois dele
+        await criarDemanda({ tag: 'NO-PRAZO', status: 'aprovada', dataLimite: emISO(-3 * UM_DIA), slaPausadoEm: emISO(-4 * UM_DIA), dataConclusao: emISO(-UM_DIA) });
+        // Entregue depois do prazo
+        await criarDemanda({ tag: 'COM-ATRASO', status: 'aprovada', dataLimite: emISO(-5 * UM_DIA), slaPausadoEm: emISO(-2 * UM_DIA), dataConclusao: emISO(-UM_DIA) });
+
+        servidor = await iniciarServidor(ambiente);
+        gestor = await servidor.login(10);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    it('conta como atrasadas e entregas com atraso só as que estouraram o SLA', async () => {
+        const { status, corpo } = await servidor.api(gestor, 'GET', '/ranking');
+        assert.strictEqual(status, 200);
+
+        const funcionaria = corpo.ranking.find(r => r.usuarioId === 2);
+        assert.strictEqual(funcionaria.atrasadas, 1);
+        assert.strictEqual(funcionaria.concluidas, 2);
+        assert.strictEqual(funcionaria.noPrazo, 1);
+        assert.strictEqual(funcionaria.comAtraso, 1);
+    });
+
+    it('lista no relatório de atrasadas as mesmas demandas que estouraram o SLA', async () => {
+        const resposta = await fetch(`${servidor.url}/api/relatorios/atrasadas-por-local`, { headers: { Authorization: `Bearer ${gestor}` } });
+        assert.strictEqual(resposta.status, 200);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(Buffer.from(await resposta.arrayBuffer()));
+        const detalhe = workbook.getWorksheet('Atrasadas - detalhe');
+
+        const tags = [];
+        detalhe.eachRow((linha, numero) => { if (numero > 3) tags.push(linha.getCell(2).value); });
+        assert.deepStrictEqual(tags, ['VENCIDA-HOJE']);
+    });
+});
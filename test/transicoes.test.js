@@ -0,0 +1,85 @@
+// Ações do fluxo de status: status e atribuídos são gravados juntos ou nada é gravado
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { criarAmbiente, iniciarServidor } = require('./auxiliar');
+
+describe('POST /api/demandas/:id/transitions/:acao', () => {
+    let ambiente;
+    let servidor;
+    let funcionaria;
+    let gestor;
+
+    const criarDemanda = async () => {
+        const { corpo } = await servidor.api(funcionaria, 'POST', '/demandas', {
+            nomeDemanda: 'Teste de transição',
+            funcionarioId: 2,
+            nomeFuncionario: 'Funcionária Teste',
+            emailFuncionario: 'funcionaria@teste.com',
+            categoria: 'TI',
+            prioridade: 'Média',
+            complexidade: 'Fácil',
+            descricao: 'Demanda criada pelos testes',
+            local: 'Lundin',
+            dataLimite: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+        });
+        return corpo.demanda;
+    };
+
+    before(async () => {
+        ambiente = await criarAmbiente();
+        servidor = await iniciarServidor(ambiente);
+        funcionaria = await servidor.login(2);
+        gestor = await servidor.login(10);
+    });
+
+    after(async () => {
+        await servidor.parar();
+        ambiente.remover();
+    });
+
+    it('desfaz a troca de status quando a gravação dos atribuídos falha', async () => {
+        const demanda = await criarDemanda();
+
+        await ambiente.executar(`
+        CREATE TRIGGER teste_falha_atribuidos BEFORE INSERT ON demanda_atribuidos
+        BEGIN SELECT RAISE(ABORT, 'falha simulada'); END
+        `);
+        try {
+            const { status } = await servidor.api(gestor, 'POST', `/demandas/${demanda.id}/transitions/reatribuir`, {
+                novoAtribuidoId: 3,
+                motivo: 'Troca de responsável'
+            });
+            assert.strictEqual(status, 500);
+        } finally {
+            await ambiente.executar('DROP TRIGGER teste_falha_atribuidos');
+        }
+
+        const [gravada] = await ambiente.consultar('SELECT status, comentarioGestor, versao FROM demandas WHERE id = ?', [demanda.id]);
+        assert.deepStrictEqual(gravada, { status: 'pendente', comentarioGestor: '', versao: demanda.versao });
+        assert.deepStrictEqual(await ambiente.consultar('SELECT * FROM demanda_atribuidos WHERE demandaId = ?', [demanda.id]), []);
+    });
+
+    it('grava status e atribuídos da reatribuição', async () => {
+        const demanda = await criarDemanda();
+
+        const { status, corpo } = await servidor.api(gestor, 'POST', `/demandas/${demanda.id}/transitions/reatribuir`, {
+            novoAtribuidoId: 3,
+            motivo: 'Troca de responsável'
+        });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(corpo.demanda.status, 'atribuida_pendente_aceitacao');
+        assert.deepStrictEqual(corpo.demanda.atribuidos.map(a => a.id), [3]);
+    });
+
+    it('não deixa um funcionário reatribuir', async () => {
+        const demanda = await criarDemanda();
+
+        const { status } = await servidor.api(funcionaria, 'POST', `/demandas/${demanda.id}/transitions/reatribuir`, {
+            novoAtribuidoId: 3,
+            motivo: 'Troca de responsável'
+        });
+
+        assert.strictEqual(status, 403);
+    });
+});